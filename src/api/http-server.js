@@ -0,0 +1,296 @@
+/**
+ * @fileoverview Serves MCP over HTTP so several remote clients can share one
+ * server. Streamable HTTP clients use `/mcp`; older clients use the SSE
+ * transport on `/sse` and `/messages`. Each client connection gets its own
+ * MCP session, and `/health` reports whether the server is up.
+ */
+
+import http from 'http';
+import net from 'net';
+import { randomUUID } from 'crypto';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from './streamable-http-transport.js';
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const SESSION_HEADER = 'mcp-session-id';
+
+export class HttpServer {
+  /**
+   * @param {object} bridge - The APIBridge server, which opens, serves and closes sessions.
+   * @param {object} [options] - The `http` block of the configuration.
+   * @param {string} [options.host] - The address to bind (default `127.0.0.1`, local clients only).
+   * @param {number} [options.port] - The port (default 8765; 0 picks a free one).
+   * @param {Array<string>} [options.corsOrigins] - Browser origins allowed to call the server; `*` allows any.
+   * @param {Array<string>} [options.hostnames] - Host names, besides `localhost` and IP addresses,
+   *   clients may reach the server under, e.g. the name of a proxy in front of it.
+   */
+  constructor(bridge, options = {}) {
+    this.bridge = bridge;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port ?? 8765;
+    this.corsOrigins = options.corsOrigins || [];
+    this.hostnames = options.hostnames || [];
+    this.transports = new Map();
+    this.server = null;
+  }
+
+  /**
+   * Start listening.
+   * @returns {Promise<string>} The base URL, e.g. `http://127.0.0.1:8765`.
+   */
+  async listen() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        this.bridge.logger.error(`HTTP ${req.method} ${req.url} failed: ${error.message}`);
+        if (!res.headersSent) {
+          this.sendJson(res, 500, { error: error.message });
+        } else {
+          res.end();
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    const { address, port } = this.server.address();
+    return `http://${address.includes(':') ? `[${address}]` : address}:${port}`;
+  }
+
+  /**
+   * Close every session and stop listening
+   */
+  async close() {
+    await Promise.all([...this.transports.values()].map(transport => transport.close()));
+    if (this.server) {
+      this.server.closeAllConnections?.();
+      await new Promise(resolve => this.server.close(resolve));
+    }
+  }
+
+  /**
+   * Route a request, after checking the host it was sent to and the origin of browser requests
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/health' && !this.isAllowedHost(req.headers.host)) {
+      return this.sendJson(res, 403, { error: `Host ${req.headers.host} is not allowed. Add it to http.hostnames in apibridge.config.json` });
+    }
+    if (!this.applyCors(req, res)) {
+      return this.sendJson(res, 403, { error: `Origin ${req.headers.origin} is not allowed. Add it to http.corsOrigins in apibridge.config.json` });
+    }
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end();
+      return;
+    }
+
+    const route = `${req.method} ${url.pathname}`;
+    switch (route) {
+      case 'GET /health':
+        return this.sendJson(res, 200, {
+          status: 'ok',
+          name: this.bridge.config.name,
+          version: this.bridge.config.version,
+          uptime: Math.floor((Date.now() - this.bridge.startTime) / 1000),
+          sessions: this.transports.size
+        });
+      case 'POST /mcp':
+        return this.handleStreamablePost(req, res, url);
+      case 'DELETE /mcp':
+        return this.handleStreamableDelete(req, res);
+      case 'GET /mcp':
+        // Responses are returned with their POST; there is no stream for server-initiated messages
+        res.writeHead(405, { Allow: 'POST, DELETE' }).end();
+        return;
+      case 'GET /sse':
+        return this.handleSseConnect(res, url);
+      case 'POST /messages':
+        return this.handleSseMessage(req, res, url);
+      default:
+        return this.sendJson(res, 404, { error: `No route for ${route}` });
+    }
+  }
+
+  /**
+   * Handle a Streamable HTTP POST. An initialize request without a session
+   * id opens a session; every other message must carry the session id.
+   */
+  async handleStreamablePost(req, res, url) {
+    let body;
+    try {
+      body = JSON.parse(await this.readBody(req));
+    } catch (error) {
+      return this.sendJsonRpcError(res, 400, -32700, `Parse error: ${error.message}`);
+    }
+
+    // Validate before looking up or opening a session, so invalid bodies leave nothing behind
+    let messages;
+    try {
+      messages = StreamableHTTPServerTransport.parseMessages(body);
+    } catch (error) {
+      return this.sendJsonRpcError(res, 400, -32600, `Invalid request: ${error.message}`);
+    }
+
+    const sessionId = req.headers[SESSION_HEADER];
+    let transport = sessionId ? this.transports.get(sessionId) : undefined;
+    if (sessionId && !(transport instanceof StreamableHTTPServerTransport)) {
+      return this.sendJsonRpcError(res, 404, -32001, `Session ${sessionId} not found. Send a new initialize request`);
+    }
+
+    const initialize = messages.find(message => message.method === 'initialize' && message.id !== undefined);
+    const opening = !transport;
+    if (opening) {
+      if (!initialize) {
+        return this.sendJsonRpcError(res, 400, -32000, 'Missing Mcp-Session-Id header. Start a session with an initialize request');
+      }
+      transport = new StreamableHTTPServerTransport(randomUUID());
+      await this.connect(transport, url.searchParams.get('session'));
+    }
+
+    let responses;
+    try {
+      responses = await transport.handleMessages(body);
+    } catch (error) {
+      if (opening) await transport.close();
+      return this.sendJsonRpcError(res, 400, -32600, `Invalid request: ${error.message}`);
+    }
+
+    // A session whose initialize failed cannot be used; close it rather than leave it open
+    if (opening && responses.find(response => response.id === initialize.id)?.error) {
+      await transport.close();
+      this.sendJson(res, 400, Array.isArray(body) ? responses : responses[0]);
+      return;
+    }
+
+    const headers = { 'Mcp-Session-Id': transport.sessionId };
+    if (responses.length === 0) {
+      res.writeHead(202, headers).end();
+      return;
+    }
+    this.sendJson(res, 200, Array.isArray(body) ? responses : responses[0], headers);
+  }
+
+  /**
+   * End a Streamable HTTP session
+   */
+  async handleStreamableDelete(req, res) {
+    const transport = this.transports.get(req.headers[SESSION_HEADER]);
+    if (!(transport instanceof StreamableHTTPServerTransport)) {
+      return this.sendJson(res, 404, { error: 'Session not found' });
+    }
+    await transport.close();
+    res.writeHead(204).end();
+  }
+
+  /**
+   * Open an SSE stream; the transport tells the client where to POST its messages
+   */
+  async handleSseConnect(res, url) {
+    const transport = new SSEServerTransport('/messages', res);
+    await this.connect(transport, url.searchParams.get('session'));
+  }
+
+  /**
+   * Deliver a message POSTed by an SSE client
+   */
+  async handleSseMessage(req, res, url) {
+    const transport = this.transports.get(url.searchParams.get('sessionId'));
+    if (!(transport instanceof SSEServerTransport)) {
+      return this.sendJson(res, 404, { error: 'Session not found. Open a new SSE connection on /sse' });
+    }
+    await transport.handlePostMessage(req, res);
+  }
+
+  /**
+   * Open an MCP session for a transport and serve it until the transport closes.
+   * @param {string|null} name - The persisted session the client asked for with `?session=`.
+   */
+  async connect(transport, name) {
+    const id = transport.sessionId;
+    const session = await this.bridge.openSession(id, name);
+    const server = this.bridge.createMCPServer(session);
+    this.transports.set(id, transport);
+    try {
+      await server.connect(transport);
+    } catch (error) {
+      this.transports.delete(id);
+      this.bridge.closeSession(id);
+      throw error;
+    }
+    // The SDK server takes over onclose when connecting, so chain to it
+    const onclose = transport.onclose;
+    transport.onclose = () => {
+      onclose?.();
+      this.transports.delete(id);
+      this.bridge.closeSession(id);
+      this.bridge.logger.info(`🔌 MCP session ${id} closed`);
+    };
+    this.bridge.logger.info(`🔌 MCP session ${id} opened${name ? ` (session '${name}')` : ''}`);
+  }
+
+  /**
+   * Whether a request's Host header names this server. DNS rebinding pages
+   * send their own domain name, so only IP addresses, `localhost`, the bound
+   * host (on the port listened on) and `hostnames` (on any port) are accepted.
+   */
+  isAllowedHost(header) {
+    let url;
+    try {
+      url = new URL(`http://${header}`);
+    } catch {
+      return false;
+    }
+    const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+    if (this.hostnames.includes(hostname)) {
+      return true;
+    }
+    const port = Number(url.port || 80);
+    return port === this.server.address().port && (hostname === 'localhost' || hostname === this.host || net.isIP(hostname) !== 0);
+  }
+
+  /**
+   * Add the CORS headers for allowed origins. Returns false for a browser
+   * request from another origin.
+   */
+  applyCors(req, res) {
+    const origin = req.headers.origin;
+    if (!origin) {
+      return true;
+    }
+    if (!this.corsOrigins.includes('*') && !this.corsOrigins.includes(origin)) {
+      return false;
+    }
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Mcp-Session-Id, Mcp-Protocol-Version');
+    res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id');
+    return true;
+  }
+
+  /**
+   * Read a request body, refusing bodies over 4 MB
+   */
+  async readBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        throw new Error('Request body is larger than 4 MB');
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  }
+
+  sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  sendJsonRpcError(res, status, code, message) {
+    this.sendJson(res, status, { jsonrpc: '2.0', id: null, error: { code, message } });
+  }
+}
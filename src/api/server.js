@@ -10,8 +10,12 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 
 import { OpenAPIParser } from '../services/openapi-parser.js';
+import { WorkflowLoader } from '../services/workflow-loader.js';
+import { SessionStore } from '../services/session-store.js';
+import { SessionContext } from '../services/session-context.js';
 import { ConfigManager } from '../config/config-manager.js';
 import { ToolManager } from '../tools/tool-manager.js';
+import { HttpServer } from './http-server.js';
 import { HttpClient } from '../utils/http-client.js';
 import { Logger } from '../utils/logger.js';
 
@@ -21,14 +25,18 @@ export class APIBridgeMCPServer {
   constructor(options = {}) {
     this.configManager = new ConfigManager();
     this.openApiParser = new OpenAPIParser();
+    this.workflowLoader = new WorkflowLoader();
     this.toolManager = new ToolManager();
     this.httpClient = new HttpClient();
     this.logger = new Logger();
     
     this.server = null;
+    this.httpServer = null;
     this.config = {};
-    this.testContext = new Map();
-    this.metrics = new Map();
+    // The state of each MCP session by session id, and the context keys all sessions share
+    this.sessions = new Map();
+    this.sharedContext = new Map();
+    this.stdioSession = null;
     this.startTime = Date.now();
     
     this.options = options;
@@ -77,8 +85,34 @@ export class APIBridgeMCPServer {
     // Initialize tool manager
     this.toolManager.initialize(this.config, this.httpClient, this.logger);
 
-    // Initialize MCP server
-    this.server = new Server(
+    // Load custom workflows; their steps are checked against the available tools
+    if (this.config.workflowsDir) {
+      const actions = (await this.toolManager.generateTools(this.config)).map(tool => tool.name);
+      const workflows = await this.workflowLoader.loadFromDirectory(this.config.workflowsDir, {
+        actions,
+        workflows: Object.keys(this.config.workflows || {})
+      });
+      if (Object.keys(workflows).length > 0) {
+        this.logger.info(`📂 Loaded ${Object.keys(workflows).length} workflow files from ${this.config.workflowsDir}`);
+        this.configManager.mergeWorkflows(workflows);
+        this.config = this.configManager.getAll();
+        // Re-create the core tools so the run_workflow enum lists the loaded workflows
+        this.toolManager.initialize(this.config, this.httpClient, this.logger);
+      }
+    }
+
+    this.setupErrorHandling();
+
+    this.logger.info(`✅ Server initialized successfully`);
+    this.logger.info(`📊 Loaded ${Object.keys(this.config.endpoints || {}).length} endpoints`);
+    this.logger.info(`🔄 Loaded ${Object.keys(this.config.workflows || {}).length} workflows`);
+  }
+
+  /**
+   * Create an MCP server whose tool calls use the context and metrics of one session
+   */
+  createMCPServer(session) {
+    const server = new Server(
       {
         name: this.config.name,
         version: this.config.version,
@@ -90,116 +124,176 @@ export class APIBridgeMCPServer {
       }
     );
 
-    // Setup handlers
-    this.setupToolHandlers();
-    this.setupErrorHandling();
-    this.setupMetrics();
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+      const tools = await this.toolManager.generateTools(this.config);
+      return { tools };
+    });
 
-    this.logger.info(`✅ Server initialized successfully`);
-    this.logger.info(`📊 Loaded ${Object.keys(this.config.endpoints || {}).length} endpoints`);
-    this.logger.info(`🔄 Loaded ${Object.keys(this.config.workflows || {}).length} workflows`);
+    server.setRequestHandler(CallToolRequestSchema, async (request) => this.handleCallTool(request.params, session));
+
+    server.onerror = (error) => {
+      this.logger.error(`MCP Server error: ${error.message}`);
+      this.recordMetric(session.metrics, 'critical_errors', 1);
+    };
+
+    return server;
   }
 
   /**
-   * Setup MCP tool handlers
+   * Run a tool call of a session, recording its metrics and history
    */
-  setupToolHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
-      const tools = await this.toolManager.generateTools(this.config);
-      return { tools };
-    });
+  async handleCallTool(params, session) {
+    const startTime = Date.now();
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const startTime = Date.now();
-      
-      try {
-        this.recordMetric('requests_total', 1);
-        
-        const result = await this.toolManager.handleToolCall(
-          request.params.name,
-          request.params.arguments || {},
-          this.testContext,
-          this.metrics
-        );
-        
-        const responseTime = Date.now() - startTime;
-        this.recordMetric('response_times', responseTime);
-        this.recordMetric('requests_successful', 1);
-        
-        return result;
-      } catch (error) {
-        const responseTime = Date.now() - startTime;
-        this.recordMetric('response_times', responseTime);
-        this.recordMetric('requests_failed', 1);
-        this.recordMetric('errors', 1);
-        
-        this.logger.error(`Tool call failed: ${error.message}`);
-        
-        return {
-          content: [{
-            type: 'text',
-            text: `❌ Error: ${error.message}`
-          }],
-          isError: true
-        };
-      }
-    });
+    try {
+      this.recordMetric(session.metrics, 'requests_total', 1);
+
+      const result = await this.toolManager.handleToolCall(
+        params.name,
+        params.arguments || {},
+        session.testContext,
+        session.metrics,
+        session
+      );
+
+      const responseTime = Date.now() - startTime;
+      this.recordMetric(session.metrics, 'response_times', responseTime);
+      this.recordMetric(session.metrics, 'requests_successful', 1);
+      await this.persistCall(session, params, result.isError || result.passed === false ? 'failed' : 'passed', responseTime, result.content?.[0]?.text);
+
+      return result;
+    } catch (error) {
+      const responseTime = Date.now() - startTime;
+      this.recordMetric(session.metrics, 'response_times', responseTime);
+      this.recordMetric(session.metrics, 'requests_failed', 1);
+      this.recordMetric(session.metrics, 'errors', 1);
+
+      this.logger.error(`Tool call failed: ${error.message}`);
+      await this.persistCall(session, params, 'failed', responseTime, error.message);
+
+      return this.toolManager.formatErrorResponse(error);
+    }
   }
 
   /**
    * Setup error handling
    */
   setupErrorHandling() {
-    this.server.onerror = (error) => {
-      this.logger.error(`MCP Server error: ${error.message}`);
-      this.recordMetric('critical_errors', 1);
-    };
-
     process.on('SIGINT', async () => {
       this.logger.info('🛑 Shutting down gracefully...');
+      await this.stop();
       process.exit(0);
     });
 
     process.on('uncaughtException', (error) => {
       this.logger.error(`Uncaught exception: ${error.message}`);
-      this.recordMetric('critical_errors', 1);
+      this.recordCriticalError();
       process.exit(1);
     });
 
     process.on('unhandledRejection', (reason, promise) => {
       this.logger.error(`Unhandled rejection at: ${promise}, reason: ${reason}`);
-      this.recordMetric('critical_errors', 1);
+      this.recordCriticalError();
     });
   }
 
   /**
    * Setup metrics collection
    */
-  setupMetrics() {
-    this.metrics.set('requests_total', 0);
-    this.metrics.set('requests_successful', 0);
-    this.metrics.set('requests_failed', 0);
-    this.metrics.set('response_times', []);
-    this.metrics.set('errors', 0);
-    this.metrics.set('critical_errors', 0);
+  setupMetrics(metrics) {
+    metrics.set('requests_total', 0);
+    metrics.set('requests_successful', 0);
+    metrics.set('requests_failed', 0);
+    metrics.set('response_times', []);
+    metrics.set('errors', 0);
+    metrics.set('critical_errors', 0);
+    metrics.set('retries_total', 0);
+    metrics.set('requests_retried', 0);
+    metrics.set('responses_invalid', 0);
+  }
+
+  /**
+   * Open the state of an MCP session: its own test context and metrics.
+   * When persistence is enabled, the session is restored from and saved to
+   * the persisted session `name`. Sessions opened with the name of an open
+   * session share its state.
+   * @param {string} id - The MCP session id.
+   * @param {string|null} [name] - The persisted session; without one the state is kept in memory only.
+   * @returns {Promise<{id: string, name: string|null, testContext: SessionContext, metrics: Map, store: SessionStore|null}>}
+   */
+  async openSession(id, name = null) {
+    const joined = name && [...this.sessions.values()].find(session => session.name === name);
+    if (joined) {
+      this.sessions.set(id, joined);
+      return joined;
+    }
+
+    const session = { id, name, testContext: new SessionContext(this.sharedContext), metrics: new Map(), store: null };
+    this.setupMetrics(session.metrics);
+    if (name && this.config.persistence?.enabled) {
+      session.store = new SessionStore({ ...this.config.persistence, session: name });
+      const { context, metrics, history } = await session.store.open();
+      context.forEach((value, key) => session.testContext.set(key, value));
+      metrics.forEach((value, key) => session.metrics.set(key, value));
+      this.logger.info(`💾 Session '${name}' (${session.store.path}): restored ${context.size} context keys and ${history.length} history entries`);
+    }
+
+    this.sessions.set(id, session);
+    return session;
   }
 
   /**
-   * Record a metric
+   * Forget an MCP session once its client disconnects. Its persisted session
+   * is kept, and its store is closed once no other client has joined it.
    */
-  recordMetric(key, value) {
+  closeSession(id) {
+    const session = this.sessions.get(id);
+    this.sessions.delete(id);
+    if (session?.store && ![...this.sessions.values()].includes(session)) {
+      session.store.close();
+    }
+  }
+
+  /**
+   * Add a tool call to the session history and save the session. Failures
+   * to save are logged and do not fail the call.
+   */
+  async persistCall(session, { name, arguments: args = {} }, status, duration, text = '') {
+    if (!session.store) {
+      return;
+    }
+
+    try {
+      session.store.recordCall({ tool: name, args, status, duration, summary: text.split('\n')[0] });
+      await session.store.save(session.testContext.local, session.metrics);
+    } catch (error) {
+      this.logger.error(`Could not save session '${session.store.session}': ${error.message}`);
+    }
+  }
+
+  /**
+   * Count a critical error in the metrics of every open session
+   */
+  recordCriticalError() {
+    new Set(this.sessions.values()).forEach(session => this.recordMetric(session.metrics, 'critical_errors', 1));
+  }
+
+  /**
+   * Record a metric of a session
+   */
+  recordMetric(metrics, key, value) {
     if (key === 'response_times') {
-      const times = this.metrics.get(key) || [];
+      const times = metrics.get(key) || [];
       times.push(value);
       // Keep only the last 100 response times
       if (times.length > 100) {
         times.shift();
       }
-      this.metrics.set(key, times);
-    } else if (this.metrics.has(key)) {
-      this.metrics.set(key, this.metrics.get(key) + value);
+      metrics.set(key, times);
+    } else if (metrics.has(key)) {
+      metrics.set(key, metrics.get(key) + value);
     } else {
-      this.metrics.set(key, value);
+      metrics.set(key, value);
     }
   }
 
@@ -209,10 +303,37 @@ export class APIBridgeMCPServer {
   async startMCPServer() {
     this.logger.info(`🚀 ${this.config.name} v${this.config.version} starting...`);
     this.logger.info(`🔗 API Base URL: ${this.config.apiBaseUrl}`);
+    this.logger.info(`🔐 Authentication: ${this.httpClient.auth ? this.httpClient.auth.describe() : 'none'}`);
     
+
+    if (this.config.transport === 'http') {
+      this.httpServer = new HttpServer(this, this.config.http);
+      const url = await this.httpServer.listen();
+      this.logger.info(`👂 Server is listening for MCP requests on ${url}/mcp (SSE: ${url}/sse, health: ${url}/health)`);
+      if (this.config.persistence?.enabled) {
+        // Each HTTP client has its own session; defaulting to one name would make them all share it
+        this.logger.info(`💾 HTTP clients persist their session when they name it with ?session=<name>; the configured session '${this.config.persistence.session}' is not used`);
+      }
+      return;
+    }
+
+    // The stdio client is the only client, and uses the configured persistence session
+    this.stdioSession = await this.openSession('stdio', this.config.persistence?.session || 'default');
+    this.server = this.createMCPServer(this.stdioSession);
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
     
     this.logger.info('👂 Server is listening for MCP requests on stdio.');
   }
+
+  /**
+   * Stop serving HTTP clients and close every session
+   */
+  async stop() {
+    if (this.httpServer) {
+      await this.httpServer.close();
+      this.httpServer = null;
+    }
+    [...this.sessions.keys()].forEach(id => this.closeSession(id));
+  }
 }
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Server side of the MCP Streamable HTTP transport for one
+ * session. Clients POST JSON-RPC messages to a single endpoint and get the
+ * responses to their requests in the HTTP response, as JSON.
+ */
+
+import { JSONRPCMessageSchema } from '@modelcontextprotocol/sdk/types.js';
+
+export class StreamableHTTPServerTransport {
+  /**
+   * @param {string} sessionId - Sent to the client in the `Mcp-Session-Id` header.
+   */
+  constructor(sessionId) {
+    this.sessionId = sessionId;
+    this.pending = new Map();
+    this.closed = false;
+    this.onclose = undefined;
+    this.onerror = undefined;
+    this.onmessage = undefined;
+  }
+
+  /**
+   * Nothing to set up: messages arrive through handleMessages
+   */
+  async start() {}
+
+  /**
+   * Deliver the messages of a POST body to the server, and resolve with the
+   * responses to its requests. Notifications and responses get none.
+   * @param {object|Array<object>} body - One JSON-RPC message or a batch.
+   * @returns {Promise<Array<object>>} The responses, in the order of the requests.
+   * @throws {Error} When a message is not valid JSON-RPC, or a request reuses the
+   * id of another request of the batch or of one still running; nothing is delivered then.
+   */
+  async handleMessages(body) {
+    if (this.closed) {
+      throw new Error('Session is closed');
+    }
+
+    const messages = StreamableHTTPServerTransport.parseMessages(body);
+    const requests = messages.filter(message => message.method !== undefined && message.id !== undefined);
+    const running = requests.find(request => this.pending.has(request.id));
+    if (running) {
+      throw new Error(`Request id ${JSON.stringify(running.id)} is already in use by a running request`);
+    }
+    const responses = requests.map(request => new Promise(resolve => this.pending.set(request.id, resolve)));
+
+    messages.forEach(message => this.onmessage?.(message));
+    return Promise.all(responses);
+  }
+
+  /**
+   * Validate a POST body: one JSON-RPC message or a batch, whose requests have distinct ids.
+   * @returns {Array<object>} The parsed messages.
+   * @throws {Error} When a message is invalid or an id repeats.
+   */
+  static parseMessages(body) {
+    const messages = (Array.isArray(body) ? body : [body]).map(message => JSONRPCMessageSchema.parse(message));
+    const ids = messages.filter(message => message.method !== undefined && message.id !== undefined).map(request => request.id);
+    const repeated = ids.find((id, index) => ids.indexOf(id) !== index);
+    if (repeated !== undefined) {
+      throw new Error(`Request id ${JSON.stringify(repeated)} is used more than once in the batch`);
+    }
+    return messages;
+  }
+
+  /**
+   * Send a message to the client. Responses complete their POST request;
+   * server-initiated messages have no stream to go to and are dropped.
+   */
+  async send(message) {
+    const resolve = message.id !== undefined && message.method === undefined ? this.pending.get(message.id) : undefined;
+    if (resolve) {
+      this.pending.delete(message.id);
+      resolve(message);
+    }
+  }
+
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+    // Answer requests still running, so their HTTP responses do not hang
+    for (const [id, resolve] of this.pending) {
+      resolve({ jsonrpc: '2.0', id, error: { code: -32000, message: 'Session closed' } });
+    }
+    this.pending.clear();
+    this.onclose?.();
+  }
+}
@@ -0,0 +1,303 @@
+/**
+ * @fileoverview Authentication strategies used by the HttpClient.
+ *
+ * A strategy is selected with the `auth` block of apibridge.config.json and is
+ * asked to decorate every outgoing request. Strategies that hold expiring
+ * credentials (OAuth 2.0) can also be asked to refresh them after a 401.
+ */
+
+import axios from 'axios';
+
+/**
+ * Bearer token in the Authorization header.
+ */
+export class BearerAuth {
+  /**
+   * @param {object} options
+   * @param {string} options.token - The bearer token.
+   */
+  constructor({ token }) {
+    if (!token) {
+      throw new Error('Bearer auth requires a token');
+    }
+    this.type = 'bearer';
+    this.token = token;
+  }
+
+  async apply(request) {
+    request.headers.Authorization = `Bearer ${this.token}`;
+    return request;
+  }
+
+  describe() {
+    return 'Bearer token';
+  }
+}
+
+/**
+ * API key sent in a custom header, as a query string parameter or as a cookie.
+ */
+export class ApiKeyAuth {
+  /**
+   * @param {object} options
+   * @param {string} options.key - The API key.
+   * @param {string} [options.in='header'] - Where to send the key: 'header', 'query' or 'cookie'.
+   * @param {string} [options.name] - Header, query parameter or cookie name (defaults to 'X-API-Key' / 'api_key').
+   */
+  constructor({ key, in: location = 'header', name }) {
+    if (!key) {
+      throw new Error('API key auth requires a key');
+    }
+    if (!['header', 'query', 'cookie'].includes(location)) {
+      throw new Error(`API key auth cannot be sent in '${location}'; use 'header', 'query' or 'cookie'`);
+    }
+    this.type = 'apiKey';
+    this.key = key;
+    this.in = location;
+    this.name = name || (location === 'header' ? 'X-API-Key' : 'api_key');
+  }
+
+  async apply(request) {
+    if (this.in === 'query') {
+      request.params = { ...(request.params || {}), [this.name]: this.key };
+    } else if (this.in === 'cookie') {
+      const cookie = `${this.name}=${encodeURIComponent(this.key)}`;
+      request.headers.Cookie = request.headers.Cookie ? `${request.headers.Cookie}; ${cookie}` : cookie;
+    } else {
+      request.headers[this.name] = this.key;
+    }
+    return request;
+  }
+
+  describe() {
+    return `API key in ${this.in} '${this.name}'`;
+  }
+}
+
+/**
+ * HTTP Basic authentication.
+ */
+export class BasicAuth {
+  /**
+   * @param {object} options
+   * @param {string} options.username - The user name.
+   * @param {string} [options.password=''] - The password.
+   */
+  constructor({ username, password = '' }) {
+    if (!username) {
+      throw new Error('Basic auth requires a username');
+    }
+    this.type = 'basic';
+    this.username = username;
+    this.password = password;
+  }
+
+  async apply(request) {
+    const encoded = Buffer.from(`${this.username}:${this.password}`).toString('base64');
+    request.headers.Authorization = `Basic ${encoded}`;
+    return request;
+  }
+
+  describe() {
+    return `HTTP Basic as '${this.username}'`;
+  }
+}
+
+/**
+ * OAuth 2.0 client credentials grant. The access token is cached until shortly
+ * before it expires and fetched again on expiry or when the API answers 401.
+ */
+export class OAuth2ClientCredentialsAuth {
+  /**
+   * @param {object} options
+   * @param {string} options.tokenUrl - The token endpoint.
+   * @param {string} options.clientId - The client ID.
+   * @param {string} options.clientSecret - The client secret.
+   * @param {string} [options.scope] - Space-separated scopes to request.
+   * @param {string} [options.audience] - Audience parameter required by some providers.
+   * @param {string} [options.clientAuthentication='body'] - 'body' to send client credentials
+   *   as form fields, 'basic' to send them in an Authorization header.
+   * @param {number} [options.expirySkew=30000] - Refresh this many ms before the token expires,
+   *   at most half the token's lifetime.
+   * @param {number} [options.timeout=10000] - Timeout for the token request.
+   */
+  constructor({ tokenUrl, clientId, clientSecret, scope, audience, clientAuthentication = 'body', expirySkew = 30000, timeout = 10000 }) {
+    const missing = Object.entries({ tokenUrl, clientId, clientSecret })
+      .filter(([, value]) => !value)
+      .map(([key]) => key);
+    if (missing.length > 0) {
+      throw new Error(`OAuth2 client credentials auth requires ${missing.join(', ')}`);
+    }
+    this.type = 'oauth2';
+    this.tokenUrl = tokenUrl;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.scope = scope;
+    this.audience = audience;
+    this.clientAuthentication = clientAuthentication;
+    this.expirySkew = expirySkew;
+    this.timeout = timeout;
+
+    this.accessToken = null;
+    this.expiresAt = 0;
+    this.pendingToken = null;
+  }
+
+  async apply(request) {
+    const token = await this.getToken();
+    request.headers.Authorization = `Bearer ${token}`;
+    return request;
+  }
+
+  /**
+   * Drop the cached token so the next request fetches a new one
+   * @returns {Promise<boolean>} True, the request can be retried with a new token.
+   */
+  async refresh() {
+    this.accessToken = null;
+    this.expiresAt = 0;
+    return true;
+  }
+
+  /**
+   * Return the cached token or fetch a new one. Concurrent callers share one fetch.
+   */
+  async getToken() {
+    if (this.accessToken && Date.now() < this.expiresAt) {
+      return this.accessToken;
+    }
+    if (!this.pendingToken) {
+      this.pendingToken = this.fetchToken().finally(() => {
+        this.pendingToken = null;
+      });
+    }
+    return this.pendingToken;
+  }
+
+  /**
+   * Request a new access token from the token endpoint
+   */
+  async fetchToken() {
+    const params = new URLSearchParams({ grant_type: 'client_credentials' });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+    if (this.clientAuthentication === 'basic') {
+      const encoded = Buffer.from(`${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`).toString('base64');
+      headers.Authorization = `Basic ${encoded}`;
+    } else {
+      params.set('client_id', this.clientId);
+      params.set('client_secret', this.clientSecret);
+    }
+    if (this.scope) params.set('scope', this.scope);
+    if (this.audience) params.set('audience', this.audience);
+
+    let response;
+    try {
+      response = await axios.post(this.tokenUrl, params.toString(), { headers, timeout: this.timeout });
+    } catch (error) {
+      const status = error.response ? ` (HTTP ${error.response.status})` : '';
+      throw new Error(`Failed to obtain OAuth2 token from ${this.tokenUrl}${status}: ${error.message}`);
+    }
+
+    const { access_token: accessToken, expires_in: expiresIn } = response.data || {};
+    if (!accessToken) {
+      throw new Error(`OAuth2 token response from ${this.tokenUrl} did not include an access_token`);
+    }
+
+    this.accessToken = accessToken;
+    // Tokens without expires_in are kept until the API rejects them. The skew is
+    // capped so short-lived tokens are still reused for half their lifetime.
+    const lifetime = Number(expiresIn) * 1000;
+    this.expiresAt = expiresIn !== undefined
+      ? Date.now() + lifetime - Math.min(this.expirySkew, lifetime / 2)
+      : Infinity;
+    return accessToken;
+  }
+
+  describe() {
+    return `OAuth2 client credentials via ${this.tokenUrl}`;
+  }
+}
+
+/**
+ * Create the strategy selected by the `auth` config block.
+ *
+ * When no `auth` block is configured, a non-empty `apiKey` keeps the historical
+ * behavior of being sent as a bearer token. For `bearer` and `apiKey` strategies
+ * the top-level `apiKey` (CLI `--api-key` / `API_KEY`) is used as the credential
+ * when the block does not set one.
+ *
+ * @param {object} [authConfig] - The `auth` block from the configuration.
+ * @param {string} [apiKey] - The top-level API key.
+ * @returns {object|null} The strategy, or null when no authentication is configured.
+ */
+export function createAuthStrategy(authConfig, apiKey) {
+  if (!authConfig || !authConfig.type || authConfig.type === 'none') {
+    return apiKey ? new BearerAuth({ token: apiKey }) : null;
+  }
+
+  switch (authConfig.type) {
+    case 'bearer':
+      return new BearerAuth({ ...authConfig, token: authConfig.token || apiKey });
+    case 'apiKey':
+      return new ApiKeyAuth({ ...authConfig, key: authConfig.key || apiKey });
+    case 'basic':
+      return new BasicAuth(authConfig);
+    case 'oauth2':
+      return new OAuth2ClientCredentialsAuth(authConfig);
+    default:
+      throw new Error(`Unsupported auth type: ${authConfig.type}. Use bearer, apiKey, basic or oauth2`);
+  }
+}
+
+/**
+ * Create the strategy for an OpenAPI security scheme from its configured credential.
+ *
+ * Credentials come from the `credentials` config block, keyed by scheme name. A
+ * credential is either a string (the key or token) or an object: `{ key }` for
+ * apiKey schemes, `{ token }` for bearer/oauth2/openIdConnect, `{ username, password }`
+ * for basic, or `{ clientId, clientSecret }` for an OAuth2 client credentials flow.
+ * Schemes that take a single secret fall back to `apiKey`, when one is given.
+ *
+ * @param {object} scheme - The security scheme object from the spec.
+ * @param {string|object} [credential] - The configured credential for this scheme.
+ * @param {string} [apiKey] - The API key to use when the credential has no secret.
+ * @returns {object|null} The strategy, or null when no usable credential is configured.
+ */
+export function createSchemeStrategy(scheme, credential, apiKey) {
+  if (!scheme) return null;
+  const secret = typeof credential === 'string'
+    ? credential
+    : credential?.token || credential?.key || credential?.value || apiKey;
+
+  switch (scheme.type) {
+    case 'apiKey':
+      return secret ? new ApiKeyAuth({ key: secret, in: scheme.in, name: scheme.name }) : null;
+
+    case 'http': {
+      const httpScheme = (scheme.scheme || '').toLowerCase();
+      if (httpScheme === 'basic') {
+        return credential?.username ? new BasicAuth(credential) : null;
+      }
+      if (httpScheme === 'bearer') {
+        return secret ? new BearerAuth({ token: secret }) : null;
+      }
+      return null;
+    }
+
+    case 'oauth2':
+      if (credential?.clientId) {
+        return new OAuth2ClientCredentialsAuth({
+          tokenUrl: scheme.flows?.clientCredentials?.tokenUrl,
+          ...credential
+        });
+      }
+      return secret ? new BearerAuth({ token: secret }) : null;
+
+    case 'openIdConnect':
+      return secret ? new BearerAuth({ token: secret }) : null;
+
+    default:
+      return null;
+  }
+}
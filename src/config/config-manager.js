@@ -5,6 +5,9 @@
 
 import fs from 'fs/promises';
 
+// Settings blocks whose keys are merged with their defaults instead of replacing them
+const NESTED_BLOCKS = ['persistence', 'http', 'retry', 'responseValidation'];
+
 export class ConfigManager {
   constructor() {
     this.config = {};
@@ -20,12 +23,26 @@ export class ConfigManager {
       version: '1.0.0',
       apiBaseUrl: options.baseUrl || process.env.API_BASE_URL || 'http://localhost:3000/api',
       apiKey: options.apiKey || process.env.API_KEY || '',
+      auth: null,
+      credentials: {},
+      securitySchemes: {},
       timeout: 10000,
       retryAttempts: 3,
+      retry: {},
+      responseValidation: { enabled: true, strict: false },
+      reportsDir: './reports',
+      reportFormats: ['junit', 'json', 'markdown'],
       enableLogging: options.verbose || true,
       enableMetrics: true,
       configFile: options.configFile || './apibridge.config.json',
       openApiFile: options.openApiFile || null,
+      workflowsDir: './workflows',
+      workflowConcurrency: 4,
+      workflowCleanup: true,
+      allowedHosts: [],
+      persistence: { enabled: false, storage: 'json', session: 'default', ttl: '7d', historyLimit: 200 },
+      transport: 'stdio',
+      http: { host: '127.0.0.1', port: 8765, corsOrigins: [], hostnames: [] },
       endpoints: {},
       workflows: {}
     };
@@ -53,6 +70,29 @@ export class ConfigManager {
       this.config.openApiFile = options.openApiFile;
     }
 
+    if (options.workflowsDir) {
+      this.config.workflowsDir = options.workflowsDir;
+    }
+
+    // Choosing a session turns persistence on
+    if (options.session) {
+      this.config.persistence = { ...this.config.persistence, enabled: true, session: options.session };
+    }
+
+    // Choosing a port serves MCP over HTTP
+    if (options.transport) {
+      this.config.transport = options.transport;
+    }
+
+    if (options.port !== null && options.port !== undefined) {
+      this.config.transport = options.transport || 'http';
+      this.config.http = { ...this.config.http, port: options.port };
+    }
+
+    if (options.host) {
+      this.config.http = { ...this.config.http, host: options.host };
+    }
+
     return this.config;
   }
 
@@ -64,8 +104,14 @@ export class ConfigManager {
       const content = await fs.readFile(filePath, 'utf8');
       const fileConfig = JSON.parse(content);
       
-      // Merge with existing config
-      this.config = { ...this.config, ...fileConfig };
+      // Merge with existing config; nested settings blocks keep the defaults they do not set
+      const merged = { ...this.config, ...fileConfig };
+      for (const key of NESTED_BLOCKS) {
+        if (this.isPlainObject(this.config[key]) && this.isPlainObject(fileConfig[key])) {
+          merged[key] = { ...this.config[key], ...fileConfig[key] };
+        }
+      }
+      this.config = merged;
     } catch (error) {
       if (error.code !== 'ENOENT') {
         console.warn(`Warning: Could not load config file ${filePath}: ${error.message}`);
@@ -73,6 +119,13 @@ export class ConfigManager {
     }
   }
 
+  /**
+   * Whether a value is an object that is not an array
+   */
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
   /**
    * Merge OpenAPI-generated configuration
    */
@@ -90,11 +143,23 @@ export class ConfigManager {
       }
     }
 
+    // Security schemes from the spec; schemes in the config file take precedence
+    if (openApiConfig.securitySchemes) {
+      this.config.securitySchemes = { ...openApiConfig.securitySchemes, ...this.config.securitySchemes };
+    }
+
     // Merge endpoints and workflows
     this.config.endpoints = { ...this.config.endpoints, ...openApiConfig.endpoints };
     this.config.workflows = { ...this.config.workflows, ...openApiConfig.workflows };
   }
 
+  /**
+   * Merge workflows loaded from workflow files; they replace generated workflows of the same name
+   */
+  mergeWorkflows(workflows) {
+    this.config.workflows = { ...this.config.workflows, ...workflows };
+  }
+
   /**
    * Get configuration value
    */
@@ -134,6 +199,15 @@ export class ConfigManager {
       errors.push('version is required');
     }
 
+    if (!['stdio', 'http'].includes(this.config.transport)) {
+      errors.push(`transport must be stdio or http, got '${this.config.transport}'`);
+    }
+
+    const port = this.config.http?.port;
+    if (port !== undefined && (!Number.isInteger(port) || port < 0 || port > 65535)) {
+      errors.push(`http.port must be a port number, got '${port}'`);
+    }
+
     if (errors.length > 0) {
       throw new Error(`Configuration validation failed: ${errors.join(', ')}`);
     }
@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Evaluates the `expect` block of a workflow step against the
+ * HTTP response of that step: status codes, response time, headers and body
+ * values addressed by JSONPath or JSON Pointer.
+ */
+
+import { evaluatePath } from '../utils/json-path.js';
+
+const COMPARATORS = {
+  eq: { text: '==', test: (actual, expected) => actual === expected },
+  ne: { text: '!=', test: (actual, expected) => actual !== expected },
+  gt: { text: '>', test: (actual, expected) => actual > expected },
+  gte: { text: '>=', test: (actual, expected) => actual >= expected },
+  lt: { text: '<', test: (actual, expected) => actual < expected },
+  lte: { text: '<=', test: (actual, expected) => actual <= expected },
+};
+
+const BODY_MATCHERS = ['exists', 'equals', 'notEquals', 'matches', 'type', 'length', 'contains', ...Object.keys(COMPARATORS)];
+
+export class AssertionEvaluator {
+  /**
+   * Evaluate an `expect` block.
+   * @param {object} expect - The step's expectations.
+   * @param {{status: number, duration?: number, headers?: object, body?: any}} response - The step's response.
+   * @returns {Array<{passed: boolean, description: string, actual?: string}>} One result per assertion.
+   */
+  evaluate(expect, response) {
+    const unknown = Object.keys(expect || {}).filter(key => !['status', 'responseTime', 'headers', 'body'].includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown expectation '${unknown[0]}'. Use status, responseTime, headers or body`);
+    }
+
+    const results = [];
+    if (expect.status !== undefined) {
+      results.push(this.checkStatus(expect.status, response.status));
+    }
+    if (expect.responseTime !== undefined) {
+      const comparators = typeof expect.responseTime === 'number' ? { lte: expect.responseTime } : expect.responseTime;
+      results.push(...this.compare('response time', response.duration, comparators, 'ms'));
+    }
+    for (const [name, expected] of Object.entries(expect.headers || {})) {
+      results.push(...this.checkHeader(name, expected, response.headers || {}));
+    }
+    for (const assertion of this.normalizeBodyAssertions(expect.body)) {
+      results.push(...this.checkBody(assertion, response.body));
+    }
+    return results;
+  }
+
+  /**
+   * Check the status against a code, a list of codes or a range such as `2xx`
+   */
+  checkStatus(expected, actual) {
+    const options = Array.isArray(expected) ? expected : [expected];
+    const passed = options.some(option => /^[1-5]xx$/i.test(String(option))
+      ? String(actual)[0] === String(option)[0]
+      : Number(option) === actual);
+    return { passed, description: `status is ${options.join(' or ')}`, actual: String(actual) };
+  }
+
+  /**
+   * Check a header: `true`/`false` for presence, a string for equality, or
+   * an object with `equals`, `contains` and/or `matches`
+   */
+  checkHeader(name, expected, headers) {
+    const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+    const value = key === undefined ? undefined : String(headers[key]);
+
+    if (typeof expected === 'boolean') {
+      return [{ passed: (value !== undefined) === expected, description: `header ${name} is ${expected ? 'present' : 'absent'}`, actual: value === undefined ? 'absent' : 'present' }];
+    }
+
+    const matchers = typeof expected === 'object' && expected !== null ? expected : { equals: expected };
+    return Object.entries(matchers).map(([matcher, operand]) => {
+      switch (matcher) {
+        case 'equals':
+          return { passed: value === String(operand), description: `header ${name} equals ${JSON.stringify(String(operand))}`, actual: this.show(value) };
+        case 'contains':
+          return { passed: value !== undefined && value.includes(operand), description: `header ${name} contains ${JSON.stringify(operand)}`, actual: this.show(value) };
+        case 'matches':
+          return { passed: value !== undefined && new RegExp(operand).test(value), description: `header ${name} matches /${operand}/`, actual: this.show(value) };
+        default:
+          throw new Error(`Unknown header matcher '${matcher}' for ${name}. Use equals, contains or matches`);
+      }
+    });
+  }
+
+  /**
+   * Accept either a list of `{ path, ...matchers }` or a `{ path: expectedValue }` map
+   */
+  normalizeBodyAssertions(body) {
+    if (!body) return [];
+    if (Array.isArray(body)) return body;
+    return Object.entries(body).map(([path, equals]) => ({ path, equals }));
+  }
+
+  /**
+   * Check one body assertion; each matcher on it yields its own result
+   */
+  checkBody(assertion, body) {
+    const { path = '$', ...matchers } = assertion;
+    const matcherNames = Object.keys(matchers);
+    const unknown = matcherNames.find(matcher => !BODY_MATCHERS.includes(matcher));
+    if (unknown) {
+      throw new Error(`Unknown body matcher '${unknown}' for ${path}. Use ${BODY_MATCHERS.join(', ')}`);
+    }
+
+    const { found, value } = evaluatePath(body, path);
+    const { exists, ...valueMatchers } = matchers;
+    const results = [];
+    if (matcherNames.length === 0 || exists !== undefined) {
+      const expected = exists ?? true;
+      results.push({ passed: found === expected, description: `${path} ${expected ? 'exists' : 'does not exist'}`, actual: found ? this.show(value) : 'missing' });
+    }
+
+    if (Object.keys(valueMatchers).length === 0) {
+      return results;
+    }
+    return [...results, ...(found ? this.checkValue(path, value, valueMatchers) : this.missingResults(path, valueMatchers))];
+  }
+
+  /**
+   * Fail every matcher of an assertion whose path did not resolve
+   */
+  missingResults(path, matchers) {
+    return Object.keys(matchers).map(matcher => ({ passed: false, description: `${path} ${matcher} ${this.show(matchers[matcher])}`, actual: 'missing' }));
+  }
+
+  /**
+   * Apply the value matchers of an assertion
+   */
+  checkValue(path, value, matchers) {
+    const results = [];
+    for (const [matcher, operand] of Object.entries(matchers)) {
+      switch (matcher) {
+        case 'equals':
+          results.push({ passed: this.isEqual(value, operand), description: `${path} equals ${this.show(operand)}`, actual: this.show(value) });
+          break;
+        case 'notEquals':
+          results.push({ passed: !this.isEqual(value, operand), description: `${path} does not equal ${this.show(operand)}`, actual: this.show(value) });
+          break;
+        case 'matches':
+          results.push({ passed: value !== null && value !== undefined && new RegExp(operand).test(String(value)), description: `${path} matches /${operand}/`, actual: this.show(value) });
+          break;
+        case 'type':
+          results.push({ passed: this.typeOf(value) === operand || (operand === 'number' && typeof value === 'number'), description: `${path} is of type ${operand}`, actual: this.typeOf(value) });
+          break;
+        case 'length': {
+          const length = Array.isArray(value) || typeof value === 'string' ? value.length : (value && typeof value === 'object' ? Object.keys(value).length : undefined);
+          const comparators = typeof operand === 'number' ? { eq: operand } : operand;
+          results.push(...this.compare(`${path} length`, length, comparators));
+          break;
+        }
+        case 'contains': {
+          const passed = Array.isArray(value)
+            ? value.some(item => this.isEqual(item, operand))
+            : typeof value === 'string' && value.includes(operand);
+          results.push({ passed, description: `${path} contains ${this.show(operand)}`, actual: this.show(value) });
+          break;
+        }
+        default:
+          results.push(...this.compare(path, value, { [matcher]: operand }));
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Compare a value with `{ eq, ne, gt, gte, lt, lte }`
+   */
+  compare(label, actual, comparators, unit = '') {
+    return Object.entries(comparators || {}).map(([name, expected]) => {
+      const comparator = COMPARATORS[name];
+      if (!comparator) {
+        throw new Error(`Unknown comparator '${name}' for ${label}. Use ${Object.keys(COMPARATORS).join(', ')}`);
+      }
+      return {
+        passed: actual !== undefined && actual !== null && comparator.test(actual, expected),
+        description: `${label} ${comparator.text} ${expected}${unit}`,
+        actual: actual === undefined ? 'missing' : `${actual}${unit}`
+      };
+    });
+  }
+
+  /**
+   * Deep equality for JSON values
+   */
+  isEqual(actual, expected) {
+    return JSON.stringify(actual) === JSON.stringify(expected);
+  }
+
+  /**
+   * The JSON type of a value, distinguishing integer, array and null
+   */
+  typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  /**
+   * Render a value for messages, shortened when long
+   */
+  show(value) {
+    if (value === undefined) return 'undefined';
+    const text = JSON.stringify(value);
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+  }
+
+  /**
+   * Format assertion results as a list
+   */
+  formatResults(results, indent = '') {
+    return results
+      .map(result => `${indent}${result.passed ? '✅' : '❌'} ${result.description}${result.passed ? '' : ` (got ${result.actual})`}`)
+      .join('\n');
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Derives negative test cases from a request body schema. Each
+ * case starts from a valid sample payload and breaks exactly one rule of the
+ * schema, so a conforming API is expected to reject it with a 4xx status.
+ */
+
+const INVALID_ENUM_VALUE = '__apibridge_invalid_enum__';
+
+export class EdgeCaseGenerator {
+  /**
+   * Generate the negative cases for a request body.
+   * @param {object} schema - The resolved request body schema.
+   * @param {object} sampleData - A valid payload for the schema.
+   * @returns {Array<{kind: string, field: string, description: string, data: object}>} The cases.
+   */
+  generate(schema, sampleData = {}) {
+    if (!schema?.properties) {
+      return [];
+    }
+
+    const cases = [];
+    const withValue = (field, value) => ({ ...sampleData, [field]: value });
+
+    for (const field of schema.required || []) {
+      const { [field]: _removed, ...data } = sampleData;
+      cases.push({ kind: 'missing-required', field, description: `without required '${field}'`, data });
+    }
+
+    for (const [field, propSchema] of Object.entries(schema.properties)) {
+      if (!propSchema || propSchema.readOnly) continue;
+
+      const wrongType = this.getWrongTypeValue(propSchema);
+      if (wrongType !== undefined) {
+        cases.push({ kind: 'wrong-type', field, description: `with wrong type for '${field}'`, data: withValue(field, wrongType) });
+      }
+
+      for (const { description, value } of this.getOutOfRangeValues(propSchema)) {
+        cases.push({ kind: 'out-of-range', field, description: `with '${field}' ${description}`, data: withValue(field, value) });
+      }
+
+      if (Array.isArray(propSchema.enum) && propSchema.enum.every(option => typeof option === 'string')) {
+        cases.push({ kind: 'invalid-enum', field, description: `with unknown enum value for '${field}'`, data: withValue(field, INVALID_ENUM_VALUE) });
+      }
+    }
+
+    return cases;
+  }
+
+  /**
+   * Get a value of a different JSON type than the schema declares
+   */
+  getWrongTypeValue(propSchema) {
+    const type = propSchema.type || (propSchema.properties ? 'object' : undefined);
+    switch (type) {
+      case 'string': return 12345;
+      case 'integer':
+      case 'number': return 'not-a-number';
+      case 'boolean': return 'not-a-boolean';
+      case 'array': return 'not-an-array';
+      case 'object': return 'not-an-object';
+      default: return undefined;
+    }
+  }
+
+  /**
+   * Get values just outside the numeric and length bounds of the schema
+   */
+  getOutOfRangeValues(propSchema) {
+    const values = [];
+    const { type } = propSchema;
+
+    if (type === 'integer' || type === 'number') {
+      const step = type === 'integer' ? 1 : 0.5;
+      if (typeof propSchema.exclusiveMinimum === 'number') {
+        values.push({ description: `equal to the exclusive minimum ${propSchema.exclusiveMinimum}`, value: propSchema.exclusiveMinimum });
+      } else if (propSchema.minimum !== undefined) {
+        const value = propSchema.exclusiveMinimum === true ? propSchema.minimum : propSchema.minimum - step;
+        values.push({ description: `below the minimum ${propSchema.minimum}`, value });
+      }
+      if (typeof propSchema.exclusiveMaximum === 'number') {
+        values.push({ description: `equal to the exclusive maximum ${propSchema.exclusiveMaximum}`, value: propSchema.exclusiveMaximum });
+      } else if (propSchema.maximum !== undefined) {
+        const value = propSchema.exclusiveMaximum === true ? propSchema.maximum : propSchema.maximum + step;
+        values.push({ description: `above the maximum ${propSchema.maximum}`, value });
+      }
+    }
+
+    if (type === 'string' && !propSchema.enum) {
+      if (propSchema.minLength > 0) {
+        values.push({ description: `shorter than minLength ${propSchema.minLength}`, value: 'x'.repeat(propSchema.minLength - 1) });
+      }
+      if (propSchema.maxLength !== undefined) {
+        values.push({ description: `longer than maxLength ${propSchema.maxLength}`, value: 'x'.repeat(propSchema.maxLength + 1) });
+      }
+    }
+
+    if (type === 'array') {
+      if (propSchema.minItems > 0) {
+        values.push({ description: `with fewer than ${propSchema.minItems} items`, value: [] });
+      }
+    }
+
+    return values;
+  }
+}
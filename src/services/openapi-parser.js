@@ -1,6 +1,6 @@
 /**
- * @fileoverview Parses OpenAPI specifications and converts them into a format
- * usable by the APIBridge MCP Server.
+ * @fileoverview Parses OpenAPI 3.x and Swagger 2.0 specifications and converts them
+ * into a format usable by the APIBridge MCP Server.
  * This enhanced version includes robust $ref resolution, required field handling,
  * and improved data generation for automated workflows.
  */
@@ -8,12 +8,18 @@
 import fs from 'fs/promises';
 import path from 'path';
 import yaml from 'yaml';
+import { Swagger2Converter } from './swagger2-converter.js';
 
 export class OpenAPIParser {
   constructor() {
     this.spec = null;
     this.endpoints = new Map();
     this.workflows = new Map();
+    this.endpointNamesByPath = new Map();
+    this.toolNames = new Set();
+    this.documents = new Map();
+    this.unresolvedRefs = [];
+    this.rootPath = '';
   }
 
   /**
@@ -34,6 +40,20 @@ export class OpenAPIParser {
         throw new Error(`Unsupported file format: ${ext}. Use .yml, .yaml, or .json`);
       }
 
+      // Load every file referenced through external $refs (e.g. ./schemas/User.yaml#/User)
+      const rootPath = path.resolve(filePath);
+      this.rootPath = rootPath;
+      this.documents.set(rootPath, this.spec);
+      await this.loadExternalReferences(this.spec, rootPath);
+
+      // Normalize Swagger 2.0 documents into the OpenAPI 3 shape used below
+      if (this.spec?.swagger !== undefined) {
+        if (!String(this.spec.swagger).startsWith('2.')) {
+          throw new Error(`Unsupported Swagger version: ${this.spec.swagger}. Only Swagger 2.0 is supported`);
+        }
+        this.spec = new Swagger2Converter().convert(this.spec);
+      }
+
       this.generateEndpoints();
       this.generateWorkflows();
 
@@ -42,6 +62,8 @@ export class OpenAPIParser {
         workflows: Object.fromEntries(this.workflows),
         info: this.spec.info || {},
         servers: this.spec.servers || [],
+        securitySchemes: this.extractSecuritySchemes(),
+        unresolvedRefs: this.unresolvedRefs,
       };
     } catch (error) {
       console.error(`Failed to parse OpenAPI spec: ${error.message}`);
@@ -50,43 +72,300 @@ export class OpenAPIParser {
   }
 
   /**
-   * Resolves a JSON schema $ref pointer.
+   * Loads the documents referenced by external $refs, recursively, and rewrites
+   * those refs to absolute `<file>#<pointer>` form. Local refs inside external
+   * documents are rewritten too, so every ref can be resolved without knowing
+   * which file it came from. Loaded documents are cached by absolute path.
+   * @param {object} document - The document to scan.
+   * @param {string} documentPath - The absolute path of that document.
+   */
+  async loadExternalReferences(document, documentPath) {
+    const isRoot = document === this.spec;
+    const pending = [];
+
+    const visit = (node) => {
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
+      if (!node || typeof node !== 'object') return;
+
+      if (typeof node.$ref === 'string') {
+        const hashIndex = node.$ref.indexOf('#');
+        const file = hashIndex === -1 ? node.$ref : node.$ref.slice(0, hashIndex);
+        const pointer = hashIndex === -1 ? '' : node.$ref.slice(hashIndex);
+
+        if (!file) {
+          // Local refs of the root document keep resolving against this.spec
+          if (!isRoot) node.$ref = `${documentPath}${pointer}`;
+        } else if (/^[a-z][a-z0-9+.-]*:\/\//i.test(file)) {
+          this.reportUnresolvedRef(node.$ref, file, pointer.slice(1), 'remote references are not supported');
+        } else {
+          const absoluteFile = path.resolve(path.dirname(documentPath), decodeURI(file));
+          node.$ref = `${absoluteFile}${pointer}`;
+          pending.push(absoluteFile);
+        }
+      }
+
+      for (const [key, value] of Object.entries(node)) {
+        if (key !== '$ref') visit(value);
+      }
+    };
+    visit(document);
+
+    for (const file of pending) {
+      if (this.documents.has(file)) continue;
+      try {
+        const content = await fs.readFile(file, 'utf8');
+        const loaded = path.extname(file).toLowerCase() === '.json' ? JSON.parse(content) : yaml.parse(content);
+        this.documents.set(file, loaded);
+        await this.loadExternalReferences(loaded, file);
+      } catch (error) {
+        // Remember the failure so refs into this file are reported when resolved
+        this.documents.set(file, undefined);
+        this.reportUnresolvedRef(file, file, '', `could not load file: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Resolves a $ref (local `#/...` or absolute `<file>#/...`) to the value it points at.
+   * JSON Pointer tokens are unescaped (`~1` to `/`, `~0` to `~`) and percent-decoded.
+   * @param {string} ref - The reference.
+   * @returns {*} The referenced value, or undefined if it cannot be resolved.
+   */
+  resolveRefTarget(ref) {
+    const hashIndex = ref.indexOf('#');
+    const file = hashIndex === -1 ? ref : ref.slice(0, hashIndex);
+    const pointer = hashIndex === -1 ? '' : ref.slice(hashIndex + 1);
+
+    const document = file ? this.documents.get(file) : this.spec;
+    if (document === undefined) {
+      this.reportUnresolvedRef(ref, file, pointer, file && this.documents.has(file) ? 'file could not be loaded' : 'file was not loaded');
+      return undefined;
+    }
+    if (pointer && !pointer.startsWith('/')) {
+      this.reportUnresolvedRef(ref, file, pointer, 'not a JSON pointer');
+      return undefined;
+    }
+
+    let resolved = document;
+    for (const token of pointer.split('/').slice(1)) {
+      let key;
+      try {
+        key = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+      } catch {
+        key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+      }
+      if (resolved && typeof resolved === 'object' && key in resolved) {
+        resolved = resolved[key];
+      } else {
+        this.reportUnresolvedRef(ref, file, pointer, `'${key}' not found`);
+        return undefined;
+      }
+    }
+    return resolved;
+  }
+
+  /**
+   * Records and warns about a reference that could not be resolved (once per ref).
+   * @param {string} ref - The reference as written (after rewriting to an absolute path).
+   * @param {string} file - The file the reference points into ('' for the root document).
+   * @param {string} pointer - The JSON pointer within that file.
+   * @param {string} reason - Why resolution failed.
+   */
+  reportUnresolvedRef(ref, file, pointer, reason) {
+    if (this.unresolvedRefs.some(entry => entry.ref === ref)) return;
+    const entry = { ref, file: file || '(root document)', pointer: pointer || '/', reason };
+    this.unresolvedRefs.push(entry);
+    console.warn(`Could not resolve reference ${ref}: ${reason} (file: ${entry.file}, pointer: ${entry.pointer})`);
+  }
+
+  /**
+   * Resolves a JSON schema $ref pointer, including nested references, allOf
+   * composition and oneOf/anyOf variants. A reference that points back to a
+   * schema already being resolved is replaced by a bounded placeholder, so
+   * recursive schemas produce finite results.
    * @param {object} schemaOrRef - The schema object or a reference object.
+   * @param {Set<string>} [resolving] - References on the current resolution path.
    * @returns {object|null} The resolved schema object, or null if resolution fails.
    */
-  resolveSchemaReference(schemaOrRef) {
-    if (!schemaOrRef) return null;
+  resolveSchemaReference(schemaOrRef, resolving = new Set()) {
+    if (!schemaOrRef || typeof schemaOrRef !== 'object') return schemaOrRef ?? null;
 
     if (schemaOrRef.$ref) {
-      const refPath = schemaOrRef.$ref.replace(/^#\//, '').split('/');
-      let resolved = this.spec;
-      for (const part of refPath) {
-        if (resolved && typeof resolved === 'object' && part in resolved) {
-          resolved = resolved[part];
-        } else {
-          console.warn(`Could not resolve reference: ${schemaOrRef.$ref}`);
-          return null;
-        }
+      const refKey = schemaOrRef.$ref.startsWith('#') ? `${this.rootPath}${schemaOrRef.$ref}` : schemaOrRef.$ref;
+      if (resolving.has(refKey)) {
+        return this.createCircularPlaceholder(schemaOrRef.$ref);
+      }
+      const resolved = this.resolveRefTarget(schemaOrRef.$ref);
+      if (resolved === undefined) {
+        return null;
       }
       // Recursively resolve if the resolved part is also a reference
-      return this.resolveSchemaReference(resolved);
+      return this.resolveSchemaReference(resolved, new Set([...resolving, refKey]));
+    }
+
+    let schema = this.normalizeNullable(schemaOrRef);
+
+    // Merge allOf members (and any sibling keywords) into a single schema
+    if (Array.isArray(schema.allOf)) {
+      const { allOf, ...siblings } = schema;
+      const members = allOf.map(member => this.resolveSchemaReference(member, resolving));
+      return this.mergeAllOf([...members, this.resolveSchemaReference(siblings, resolving)]);
+    }
+
+    // Resolve each variant of oneOf/anyOf
+    for (const keyword of ['oneOf', 'anyOf']) {
+      if (Array.isArray(schema[keyword])) {
+        schema = {
+          ...schema,
+          [keyword]: schema[keyword].map(variant => this.resolveSchemaReference(variant, resolving)).filter(Boolean)
+        };
+      }
     }
 
     // If it's an object with properties, resolve any nested references
-    if (schemaOrRef.type === 'object' && schemaOrRef.properties) {
+    if (schema.properties) {
         const resolvedProperties = {};
-        for (const [key, value] of Object.entries(schemaOrRef.properties)) {
-            resolvedProperties[key] = this.resolveSchemaReference(value);
+        for (const [key, value] of Object.entries(schema.properties)) {
+            resolvedProperties[key] = this.resolveSchemaReference(value, resolving);
         }
-        return { ...schemaOrRef, properties: resolvedProperties };
+        schema = { ...schema, properties: resolvedProperties };
+    }
+
+    if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        schema = { ...schema, additionalProperties: this.resolveSchemaReference(schema.additionalProperties, resolving) };
     }
     
     // If it's an array with items, resolve the items schema
-    if (schemaOrRef.type === 'array' && schemaOrRef.items) {
-        return { ...schemaOrRef, items: this.resolveSchemaReference(schemaOrRef.items) };
+    if (schema.items) {
+        schema = { ...schema, items: this.resolveSchemaReference(schema.items, resolving) };
     }
 
-    return schemaOrRef;
+    return schema;
+  }
+
+  /**
+   * Converts an OpenAPI 3.1 `type: [X, 'null']` into `type: X` with `nullable: true`.
+   * @param {object} schema - The schema.
+   * @returns {object} The normalized schema.
+   */
+  normalizeNullable(schema) {
+    if (!Array.isArray(schema.type)) {
+      return schema;
+    }
+    const types = schema.type.filter(type => type !== 'null');
+    const normalized = { ...schema, type: types[0] || 'string' };
+    if (types.length < schema.type.length) {
+      normalized.nullable = true;
+    }
+    return normalized;
+  }
+
+  /**
+   * Merges resolved allOf members: properties and required lists are combined,
+   * other keywords from later members win.
+   * @param {Array<object>} members - The resolved member schemas.
+   * @returns {object} The merged schema.
+   */
+  mergeAllOf(members) {
+    const merged = {};
+    const properties = {};
+    const required = new Set();
+
+    for (const member of members) {
+      if (!member) continue;
+      const { properties: memberProperties, required: memberRequired, ...rest } = member;
+      Object.assign(merged, rest);
+      Object.assign(properties, memberProperties || {});
+      (memberRequired || []).forEach(name => required.add(name));
+    }
+
+    if (Object.keys(properties).length > 0) {
+      merged.properties = properties;
+      merged.type = merged.type || 'object';
+    }
+    if (required.size > 0) {
+      merged.required = [...required];
+    }
+    return merged;
+  }
+
+  /**
+   * Creates the schema used in place of a circular reference.
+   * @param {string} ref - The reference that closes the cycle.
+   * @returns {object} A finite object schema describing the cycle.
+   */
+  createCircularPlaceholder(ref) {
+    const name = ref.split('/').pop();
+    return {
+      type: 'object',
+      description: `Recursive reference to ${name} (not expanded)`,
+      additionalProperties: true,
+      'x-circular-ref': ref,
+    };
+  }
+
+  /**
+   * Picks the oneOf/anyOf variant used for sample data. With a discriminator
+   * mapping, the first mapped variant is used and its discriminator value set.
+   * @param {object} schema - A resolved schema with oneOf or anyOf.
+   * @returns {object} `{ variant, discriminator }` where discriminator is `{ propertyName, value }` or null.
+   */
+  selectVariant(schema) {
+    const variants = schema.oneOf || schema.anyOf || [];
+    const { propertyName, mapping } = schema.discriminator || {};
+
+    if (propertyName && mapping && Object.keys(mapping).length > 0) {
+      const [value, target] = Object.entries(mapping)[0];
+      const ref = target.includes('/') || target.includes('#') ? target : `#/components/schemas/${target}`;
+      const variant = this.resolveSchemaReference({ $ref: ref });
+      if (variant) {
+        return { variant, discriminator: { propertyName, value } };
+      }
+    }
+
+    return {
+      variant: variants[0] || null,
+      discriminator: propertyName ? { propertyName, value: null } : null,
+    };
+  }
+
+  /**
+   * Resolves and merges path-level and operation-level parameters.
+   * Operation parameters override path-level ones with the same name and location.
+   * @param {Array} pathParameters - The parameters declared on the path item.
+   * @param {Array} operationParameters - The parameters declared on the operation.
+   * @returns {Array} The resolved parameter objects.
+   */
+  resolveParameters(pathParameters = [], operationParameters = []) {
+    const merged = new Map();
+    for (const parameter of [...pathParameters, ...operationParameters]) {
+      const resolved = this.resolveSchemaReference(parameter);
+      if (!resolved || !resolved.name || !resolved.in) continue;
+
+      const schema = resolved.schema
+        ? this.resolveSchemaReference(resolved.schema)
+        : this.resolveSchemaReference(Object.values(resolved.content || {})[0]?.schema);
+      merged.set(`${resolved.in}:${resolved.name}`, { ...resolved, schema: schema || { type: 'string' } });
+    }
+    return [...merged.values()];
+  }
+
+  /**
+   * Extracts the security schemes declared in the spec, resolving any references.
+   * @returns {object} The security schemes keyed by scheme name.
+   */
+  extractSecuritySchemes() {
+    const schemes = {};
+    for (const [name, scheme] of Object.entries(this.spec.components?.securitySchemes || {})) {
+      const resolved = this.resolveSchemaReference(scheme);
+      if (resolved) {
+        schemes[name] = resolved;
+      }
+    }
+    return schemes;
   }
 
   /**
@@ -95,12 +374,34 @@ export class OpenAPIParser {
    * @returns {object|null} The resolved schema.
    */
   extractSchemaFromRequestBody(requestBody) {
+    requestBody = this.resolveSchemaReference(requestBody);
     if (!requestBody?.content?.['application/json']?.schema) {
       return null;
     }
     return this.resolveSchemaReference(requestBody.content['application/json'].schema);
   }
 
+  /**
+   * Resolves the declared responses of an operation, including response `$ref`s
+   * and the schema of each media type, so responses can be validated at call time.
+   * @param {object} responses - The responses object from the OpenAPI spec.
+   * @returns {object} The responses keyed by status code, with resolved schemas.
+   */
+  resolveResponses(responses = {}) {
+    const resolved = {};
+    for (const [status, responseOrRef] of Object.entries(responses || {})) {
+      const response = this.resolveSchemaReference(responseOrRef);
+      if (!response) continue;
+
+      const content = {};
+      for (const [mediaType, media] of Object.entries(response.content || {})) {
+        content[mediaType] = { ...media, schema: media?.schema ? this.resolveSchemaReference(media.schema) : undefined };
+      }
+      resolved[status] = { ...response, content };
+    }
+    return resolved;
+  }
+
   /**
    * Generates endpoint configurations from the OpenAPI paths.
    */
@@ -109,14 +410,16 @@ export class OpenAPIParser {
       throw new Error('No paths found in OpenAPI specification');
     }
 
-    for (const [pathTemplate, pathItem] of Object.entries(this.spec.paths)) {
-      const endpointName = this.extractEndpointName(pathTemplate);
+    for (const [pathTemplate, pathItemOrRef] of Object.entries(this.spec.paths)) {
+      const pathItem = this.resolveSchemaReference(pathItemOrRef) || {};
+      const endpointName = this.getEndpointNameForPath(pathTemplate);
       let endpoint = this.endpoints.get(endpointName) || {
         name: endpointName,
         path: pathTemplate,
         methods: [],
         operations: {},
         schema: null,
+        ...this.extractParentLink(pathTemplate),
       };
 
       const methods = Object.keys(pathItem)
@@ -132,13 +435,22 @@ export class OpenAPIParser {
         const isCollectionPath = !pathTemplate.endsWith('}');
         const operationKey = isCollectionPath && methodKey === 'GET' ? 'GET_COLLECTION' : methodKey;
 
+        const requestSchema = operation.requestBody ? this.extractSchemaFromRequestBody(operation.requestBody) : null;
+
         endpoint.operations[operationKey] = {
           operationId: operation.operationId || this.generateOperationId(method, pathTemplate),
+          toolName: this.generateToolName(operationKey, pathTemplate),
           summary: operation.summary,
           description: operation.description,
-          parameters: operation.parameters || [],
-          requestBody: operation.requestBody,
-          responses: operation.responses || {},
+          parameters: this.resolveParameters(pathItem.parameters, operation.parameters),
+          requestBody: operation.requestBody ? this.resolveSchemaReference(operation.requestBody) : undefined,
+          // The JSON body schema and a sample payload, used by validate_api. Unique
+          // fields hold template helpers and foreign keys hold DYNAMIC markers
+          requestSchema: requestSchema || undefined,
+          sampleData: requestSchema ? this.withUniqueValues(this.generateSampleData(requestSchema, endpointName), requestSchema) : undefined,
+          responses: this.resolveResponses(operation.responses),
+          // Operation-level security overrides the global requirement; undefined means none declared
+          security: operation.security ?? this.spec.security,
           path: pathTemplate,
           isCollection: isCollectionPath,
         };
@@ -185,16 +497,107 @@ export class OpenAPIParser {
   }
 
   /**
-   * Extracts a clean endpoint name from a path template.
-   * @param {string} pathTemplate - The path template (e.g., /users/{id}).
-   * @returns {string} A clean name (e.g., users).
+   * Extracts a clean endpoint name from a path template. Sub-resources keep
+   * their parent segments so they do not collide with the parent endpoint.
+   * @param {string} pathTemplate - The path template (e.g., /users/{userId}/posts).
+   * @returns {string} A clean name (e.g., users_posts).
    */
   extractEndpointName(pathTemplate) {
-    return pathTemplate
-      .replace(/^\//, '')
-      .replace(/\{[^}]+\}.*$/, '') // Remove path parameters and anything after
-      .replace(/\/$/, '') // remove trailing slash
-      .replace(/[\/-]/g, '_') || 'root';
+    return this.getCollectionPath(pathTemplate)
+      .split('/')
+      .filter(part => part && !part.startsWith('{'))
+      .join('_')
+      .replace(/-/g, '_') || 'root';
+  }
+
+  /**
+   * Strips the trailing item parameter so item and collection paths share a name.
+   * @param {string} pathTemplate - The path template (e.g., /users/{userId}/posts/{postId}).
+   * @returns {string} The collection path (e.g., /users/{userId}/posts).
+   */
+  getCollectionPath(pathTemplate) {
+    return pathTemplate.replace(/\/$/, '').replace(/\/\{[^}]+\}$/, '') || '/';
+  }
+
+  /**
+   * Returns the endpoint name for a path, keeping names unique when two different
+   * collection paths would produce the same name (e.g. /user-posts and /user/posts).
+   * @param {string} pathTemplate - The path template.
+   * @returns {string} The endpoint name.
+   */
+  getEndpointNameForPath(pathTemplate) {
+    const collectionPath = this.getCollectionPath(pathTemplate);
+    if (this.endpointNamesByPath.has(collectionPath)) {
+      return this.endpointNamesByPath.get(collectionPath);
+    }
+
+    const baseName = this.extractEndpointName(pathTemplate);
+    const taken = new Set(this.endpointNamesByPath.values());
+    let name = baseName;
+    for (let suffix = 2; taken.has(name); suffix++) {
+      name = `${baseName}_${suffix}`;
+    }
+    this.endpointNamesByPath.set(collectionPath, name);
+    return name;
+  }
+
+  /**
+   * Finds the parent resource of a sub-resource path.
+   * @param {string} pathTemplate - The path template (e.g., /users/{userId}/posts/{postId}).
+   * @returns {object} `{ parent, parentParam }` (e.g. users / userId), or an empty object for top-level resources.
+   */
+  extractParentLink(pathTemplate) {
+    const collectionPath = this.getCollectionPath(pathTemplate);
+    const match = collectionPath.match(/^(.*\/\{([^}]+)\})\/[^{}]+$/);
+    if (!match) {
+      return {};
+    }
+    return {
+      parent: this.getEndpointNameForPath(match[1]),
+      parentParam: match[2],
+    };
+  }
+
+  /**
+   * Generates a unique MCP tool name for an operation. Static segments that are
+   * followed by a path parameter are singularized, so GET /users/{userId}/posts
+   * becomes list_user_posts and GET /users/{userId}/posts/{postId} get_user_post.
+   * @param {string} operationKey - The operation key (GET, GET_COLLECTION, POST, ...).
+   * @param {string} pathTemplate - The path template of the operation.
+   * @returns {string} The tool name.
+   */
+  generateToolName(operationKey, pathTemplate) {
+    const collectionPath = this.getCollectionPath(pathTemplate);
+    const parts = collectionPath.split('/').filter(Boolean);
+
+    const nameParts = [];
+    parts.forEach((part, index) => {
+      if (part.startsWith('{')) return;
+      const isLast = index === parts.length - 1;
+      const followedByParam = parts[index + 1]?.startsWith('{');
+      const clean = part.replace(/-/g, '_');
+      nameParts.push(followedByParam || (isLast && operationKey !== 'GET_COLLECTION')
+        ? this.getSingularName(clean)
+        : clean);
+    });
+    const resource = nameParts.join('_') || 'root';
+
+    const actions = {
+      'GET': 'get',
+      'GET_COLLECTION': 'list',
+      'POST': 'create',
+      'PUT': 'update',
+      'PATCH': 'patch',
+      'DELETE': 'delete'
+    };
+    const baseName = `${actions[operationKey] || operationKey.toLowerCase()}_${resource}`;
+
+    let toolName = baseName;
+    for (let suffix = 2; this.toolNames.has(toolName); suffix++) {
+      toolName = `${baseName}_${suffix}`;
+    }
+    this.toolNames.add(toolName);
+    return toolName;
   }
 
   /**
@@ -204,7 +607,16 @@ export class OpenAPIParser {
    * @returns {object} An object with sample data.
    */
   generateSampleData(schema, endpointName = '') {
-    if (!schema || schema.type !== 'object' || !schema.properties) {
+    if (schema && (schema.oneOf || schema.anyOf)) {
+      const { variant, discriminator } = this.selectVariant(schema);
+      const sampleData = this.generateSampleData(variant, endpointName);
+      if (discriminator?.value) {
+        sampleData[discriminator.propertyName] = discriminator.value;
+      }
+      return sampleData;
+    }
+
+    if (!schema || (schema.type && schema.type !== 'object') || !schema.properties) {
       return {};
     }
 
@@ -240,10 +652,25 @@ export class OpenAPIParser {
    * @returns {*} A sample value.
    */
   generateSampleValueForProp(propName, propSchema, endpointName = '') {
+    if (!propSchema) return null;
     if (propSchema.example !== undefined) return propSchema.example;
     if (propSchema.enum) return propSchema.enum[0];
 
-    const { type, format } = propSchema;
+    // Recursive references are not expanded any further
+    if (propSchema['x-circular-ref']) {
+      return propSchema.nullable ? null : {};
+    }
+
+    if (propSchema.oneOf || propSchema.anyOf) {
+      const { variant } = this.selectVariant(propSchema);
+      if (variant && (variant.properties || variant.oneOf || variant.anyOf)) {
+        return this.generateSampleData(propSchema, endpointName);
+      }
+      return this.generateSampleValueForProp(propName, variant, endpointName);
+    }
+
+    const type = propSchema.type || (propSchema.properties ? 'object' : undefined);
+    const { format } = propSchema;
     const lowerPropName = propName.toLowerCase();
 
     switch (type) {
@@ -286,7 +713,8 @@ export class OpenAPIParser {
         return true;
 
       case 'array':
-        if (propSchema.items) {
+        // Arrays of a recursive type stay empty to keep sample data bounded
+        if (propSchema.items && !propSchema.items['x-circular-ref']) {
           return [this.generateSampleValueForProp(`${propName}_item`, propSchema.items, endpointName)];
         }
         return [];
@@ -365,6 +793,8 @@ export class OpenAPIParser {
 
   /**
    * Generates CRUD workflows from the parsed endpoints.
+   * Sub-resource workflows first create (or look up) their parent resources and
+   * pass the parent ids into the child path parameters.
    */
   generateWorkflows() {
     for (const [endpointName, endpoint] of this.endpoints) {
@@ -383,83 +813,206 @@ export class OpenAPIParser {
         const updateData = this.generateWorkflowSampleData(endpoint, hasUpdate ? (endpoint.operations.PUT ? 'PUT' : 'PATCH') : null, endpointName);
 
         const steps = [];
-
-        // Dynamically detect and resolve foreign key dependencies
-        const foreignKeyDeps = this.analyzeForeignKeyDependencies(createData);
-        
-        // Add pre-steps to fetch required foreign key data (deduplicated)
+        const cleanupSteps = [];
         const addedContextKeys = new Set();
-        for (const dep of foreignKeyDeps) {
-          const contextKey = `existing_${dep.targetEndpoint}`;
-          if (!addedContextKeys.has(contextKey)) {
-            steps.push({
-              action: `list_${dep.targetEndpoint}`,
-              description: `Get existing ${dep.targetEndpoint} for ${dep.sourceProperty} reference`,
-              args: {
-                saveToContext: contextKey
-              }
-            });
-            addedContextKeys.add(contextKey);
+
+        // Create or look up the parent resources of a sub-resource, outermost first
+        const parentChain = this.getParentChain(endpoint);
+        if (!parentChain) continue;
+
+        const parentArgs = {};
+        const parentDeps = [];
+        let parentsResolved = true;
+        for (const { endpoint: parent, param } of parentChain) {
+          const parentRef = this.addParentSteps(parent, { ...parentArgs }, [...parentDeps], steps, cleanupSteps, addedContextKeys);
+          if (!parentRef) {
+            parentsResolved = false;
+            break;
           }
+          parentArgs[param] = parentRef.marker;
+          parentDeps.push(parentRef.dependency);
         }
+        if (!parentsResolved) continue;
+
+        // Dynamically detect and resolve foreign key dependencies
+        const foreignKeyDeps = this.addForeignKeyPreSteps(createData, steps, addedContextKeys);
 
         // 1. Create
-        const createArgs = { saveToContext: contextVar, ...createData };
-        
-        // Add dynamic resolution flags for any foreign keys (deduplicated)
-        if (foreignKeyDeps.length > 0) {
-          // Remove duplicates based on marker
-          const uniqueDeps = foreignKeyDeps.filter((dep, index, arr) => 
-            arr.findIndex(d => d.marker === dep.marker) === index
-          );
-          createArgs._dynamicForeignKeys = uniqueDeps;
-        }
-        
         steps.push({
-          action: `create_${singularName}`,
+          action: hasCreate.toolName,
           description: `Create a new ${singularName}`,
-          args: createArgs,
+          args: this.withDynamicKeys({ saveToContext: contextVar, ...parentArgs, ...createData }, [...parentDeps, ...foreignKeyDeps]),
         });
 
         // 2. List
-        steps.push({
-          action: `list_${endpointName}`,
+        const listStep = {
+          action: hasList.toolName,
           description: `List all ${endpointName} to verify creation`,
-        });
+        };
+        if (parentDeps.length > 0) {
+          listStep.args = this.withDynamicKeys({ ...parentArgs }, parentDeps);
+        }
+        steps.push(listStep);
         
         // 3. Get single
         steps.push({
-            action: `get_${singularName}`,
+            action: hasGet.toolName,
             description: `Get the created ${singularName} by ID`,
-            args: { fromContext: contextVar }
+            args: this.withDynamicKeys({ fromContext: contextVar, ...parentArgs }, parentDeps)
         });
 
         // 4. Update
         if (hasUpdate && Object.keys(updateData).length > 1) { // check for more than just 'data'
           steps.push({
-            action: `update_${singularName}`,
+            action: hasUpdate.toolName,
             description: `Update the created ${singularName}`,
-            args: {
+            args: this.withDynamicKeys({
               fromContext: contextVar,
+              ...parentArgs,
               ...updateData,
-            },
+            }, parentDeps),
           });
         }
 
         // 5. Delete
         steps.push({
-          action: `delete_${singularName}`,
+          action: hasDelete.toolName,
           description: `Delete the created ${singularName}`,
-          args: { fromContext: contextVar },
+          args: this.withDynamicKeys({ fromContext: contextVar, ...parentArgs }, parentDeps),
         });
 
-        this.workflows.set(`${endpointName}_crud_workflow`, {
+        const workflow = {
           name: `${endpointName}_crud_workflow`,
           description: `Full CRUD workflow for the ${endpointName} endpoint.`,
           steps,
+        };
+
+        // 6. Delete created parents, innermost first, even when a step failed
+        if (cleanupSteps.length > 0) {
+          workflow.finally = cleanupSteps.reverse();
+        }
+
+        this.workflows.set(`${endpointName}_crud_workflow`, workflow);
+      }
+    }
+  }
+
+  /**
+   * Returns the ancestors of a sub-resource endpoint, outermost first.
+   * @param {object} endpoint - The endpoint configuration.
+   * @returns {Array|null} Array of `{ endpoint, param }` where `param` is the path parameter
+   *   holding that ancestor's id, or null when an ancestor is not described in the spec.
+   */
+  getParentChain(endpoint) {
+    const chain = [];
+    let current = endpoint;
+    while (current.parent && !chain.some(link => link.endpoint.name === current.parent)) {
+      const parent = this.endpoints.get(current.parent);
+      if (!parent) {
+        return null;
+      }
+      chain.unshift({ endpoint: parent, param: current.parentParam });
+      current = parent;
+    }
+    return chain;
+  }
+
+  /**
+   * Adds the steps that provide a parent resource id for a sub-resource workflow.
+   * The parent is created when it has a POST operation (and deleted again at the
+   * end), otherwise the first existing parent from its list operation is used.
+   * @param {object} parent - The parent endpoint configuration.
+   * @param {object} parentArgs - Path arguments for the parent's own ancestors.
+   * @param {Array} parentDeps - Dynamic key dependencies for those arguments.
+   * @param {Array} steps - The workflow steps to append to.
+   * @param {Array} cleanupSteps - The cleanup steps to append to.
+   * @param {Set} addedContextKeys - Context keys already populated by earlier steps.
+   * @returns {object|null} `{ marker, dependency }` for the parent id, or null if the parent cannot be provided.
+   */
+  addParentSteps(parent, parentArgs, parentDeps, steps, cleanupSteps, addedContextKeys) {
+    const singularParent = this.getSingularName(parent.name);
+    const marker = `{{PARENT_${parent.name.toUpperCase()}_ID}}`;
+
+    if (parent.operations.POST) {
+      const contextKey = `parent_${singularParent}`;
+      const createData = this.generateWorkflowSampleData(parent, 'POST', parent.name);
+      const foreignKeyDeps = this.addForeignKeyPreSteps(createData, steps, addedContextKeys);
+
+      steps.push({
+        action: parent.operations.POST.toolName,
+        description: `Create a parent ${singularParent}`,
+        args: this.withDynamicKeys({ saveToContext: contextKey, ...parentArgs, ...createData }, [...parentDeps, ...foreignKeyDeps]),
+      });
+      if (parent.operations.DELETE) {
+        cleanupSteps.push({
+          action: parent.operations.DELETE.toolName,
+          description: `Delete the parent ${singularParent}`,
+          args: this.withDynamicKeys({ fromContext: contextKey, ...parentArgs }, parentDeps),
+        });
+      }
+      return { marker, dependency: { sourceProperty: parent.name, targetEndpoint: parent.name, marker, contextKey } };
+    }
+
+    if (parent.operations.GET_COLLECTION) {
+      const contextKey = `existing_${parent.name}`;
+      if (!addedContextKeys.has(contextKey)) {
+        const listStep = {
+          action: parent.operations.GET_COLLECTION.toolName,
+          description: `Get existing ${parent.name} to use as parent`,
+          args: this.withDynamicKeys({ saveToContext: contextKey, ...parentArgs }, parentDeps),
+        };
+        steps.push(listStep);
+        addedContextKeys.add(contextKey);
+      }
+      return { marker, dependency: { sourceProperty: parent.name, targetEndpoint: parent.name, marker, contextKey } };
+    }
+
+    return null;
+  }
+
+  /**
+   * Adds list steps that fetch existing records for foreign keys in the sample data.
+   * @param {object} sampleData - The generated sample data.
+   * @param {Array} steps - The workflow steps to append to.
+   * @param {Set} addedContextKeys - Context keys already populated by earlier steps.
+   * @returns {Array} The foreign key dependencies found in the data.
+   */
+  addForeignKeyPreSteps(sampleData, steps, addedContextKeys) {
+    const foreignKeyDeps = this.analyzeForeignKeyDependencies(sampleData);
+
+    // Add pre-steps to fetch required foreign key data (deduplicated)
+    for (const dep of foreignKeyDeps) {
+      const contextKey = `existing_${dep.targetEndpoint}`;
+      const listOperation = this.endpoints.get(dep.targetEndpoint)?.operations.GET_COLLECTION;
+      if (!addedContextKeys.has(contextKey) && listOperation) {
+        steps.push({
+          action: listOperation.toolName,
+          description: `Get existing ${dep.targetEndpoint} for ${dep.sourceProperty} reference`,
+          args: {
+            saveToContext: contextKey
+          }
         });
+        addedContextKeys.add(contextKey);
       }
     }
+
+    return foreignKeyDeps;
+  }
+
+  /**
+   * Attaches dynamic key dependencies (deduplicated by marker) to step arguments.
+   * @param {object} args - The step arguments.
+   * @param {Array} dependencies - The dependencies whose markers appear in the arguments.
+   * @returns {object} The arguments, with `_dynamicForeignKeys` when there are dependencies.
+   */
+  withDynamicKeys(args, dependencies) {
+    const uniqueDeps = dependencies.filter((dep, index, arr) =>
+      arr.findIndex(d => d.marker === dep.marker) === index
+    );
+    if (uniqueDeps.length > 0) {
+      args._dynamicForeignKeys = uniqueDeps;
+    }
+    return args;
   }
 
   /**
@@ -530,7 +1083,7 @@ export class OpenAPIParser {
     if (operation.requestBody) {
       const schema = this.extractSchemaFromRequestBody(operation.requestBody);
       if (schema) {
-        const sampleData = this.generateSampleData(schema, endpointName);
+        const sampleData = this.withUniqueValues(this.generateSampleData(schema, endpointName), schema);
         // Provide data both as a single object and as individual fields
         return {
           data: sampleData,
@@ -541,6 +1094,32 @@ export class OpenAPIParser {
     return {};
   }
 
+  /**
+   * Replaces fixed sample values of fields that are usually unique (emails,
+   * usernames, SKUs) with template helpers, so repeated workflow runs do not
+   * collide with resources left over from earlier runs.
+   * @param {object} sampleData - The generated sample data.
+   * @param {object} schema - The request body schema.
+   * @returns {object} The sample data with templated unique fields.
+   */
+  withUniqueValues(sampleData, schema) {
+    const result = { ...sampleData };
+    for (const [propName, propSchema] of Object.entries(schema.properties || {})) {
+      if (typeof result[propName] !== 'string' || propSchema.example !== undefined || propSchema.enum || propSchema.pattern) {
+        continue;
+      }
+      const lowerPropName = propName.toLowerCase();
+      if (propSchema.format === 'email' || lowerPropName.includes('email')) {
+        result[propName] = '{{randomEmail}}';
+      } else if (lowerPropName.includes('username')) {
+        result[propName] = `${result[propName]}_{{randomString(6)}}`;
+      } else if (lowerPropName === 'sku') {
+        result[propName] = '{{faker.sku}}';
+      }
+    }
+    return result;
+  }
+
   /**
    * Converts a plural endpoint name to singular.
    * @param {string} name - The plural name.
@@ -0,0 +1,269 @@
+/**
+ * @fileoverview Builds structured test reports from validate_api and
+ * run_workflow results and writes them as JUnit XML, JSON and Markdown.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const REPORT_FORMATS = ['junit', 'json', 'markdown'];
+
+const EXTENSIONS = { junit: 'xml', json: 'json', markdown: 'md' };
+const EXCERPT_LIMIT = 2000;
+const STATUS_ICONS = { passed: '✅', warning: '⚠️', failed: '❌', skipped: '⏭️' };
+
+export class ReportGenerator {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.directory] - Directory the reports are written to.
+   * @param {Array<string>} [options.formats] - Formats to write: junit, json and/or markdown.
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || './reports';
+    this.formats = options.formats || REPORT_FORMATS;
+  }
+
+  /**
+   * Create an empty report.
+   * @param {string} type - The kind of run, e.g. `validation` or `workflow`.
+   * @param {string} name - The name of the run.
+   * @returns {object} The report.
+   */
+  createReport(type, name) {
+    return {
+      type,
+      name,
+      startedAt: new Date().toISOString(),
+      duration: 0,
+      suites: []
+    };
+  }
+
+  /**
+   * Add a test case to a suite of the report, creating the suite if needed.
+   * @param {object} report - The report.
+   * @param {string} suiteName - The suite (endpoint or workflow) the case belongs to.
+   * @param {object} testCase - `{ name, status, duration, request, response, failures, warnings }`.
+   */
+  addCase(report, suiteName, testCase) {
+    let suite = report.suites.find(existing => existing.name === suiteName);
+    if (!suite) {
+      suite = { name: suiteName, cases: [] };
+      report.suites.push(suite);
+    }
+    suite.cases.push({
+      status: 'passed',
+      duration: 0,
+      failures: [],
+      warnings: [],
+      ...testCase,
+      request: testCase.request ? this.excerptExchange(testCase.request) : undefined,
+      response: testCase.response ? this.excerptExchange(testCase.response) : undefined
+    });
+  }
+
+  /**
+   * Count the cases of a report, or of one suite, by status.
+   * @param {object} reportOrSuite - A report or one of its suites.
+   * @returns {{tests: number, passed: number, warnings: number, failed: number, skipped: number, duration: number}}
+   */
+  summarize(reportOrSuite) {
+    const cases = reportOrSuite.cases || reportOrSuite.suites.flatMap(suite => suite.cases);
+    const count = status => cases.filter(testCase => testCase.status === status).length;
+    return {
+      tests: cases.length,
+      passed: count('passed'),
+      warnings: count('warning'),
+      failed: count('failed'),
+      skipped: count('skipped'),
+      duration: cases.reduce((total, testCase) => total + (testCase.duration || 0), 0)
+    };
+  }
+
+  /**
+   * Write the report in each configured format.
+   * @param {object} report - The report.
+   * @param {object} [options] - Overrides for the directory and formats.
+   * @returns {Promise<Array<{format: string, path: string}>>} The files written.
+   */
+  async save(report, { directory = this.directory, formats = this.formats } = {}) {
+    await fs.mkdir(directory, { recursive: true });
+
+    const stamp = report.startedAt.replace(/[:.]/g, '-');
+    const baseName = `${report.type}-${this.slugify(report.name)}-${stamp}`;
+    const files = [];
+    for (const format of formats) {
+      if (!EXTENSIONS[format]) {
+        throw new Error(`Unsupported report format: ${format}. Use ${REPORT_FORMATS.join(', ')}`);
+      }
+      const filePath = path.join(directory, `${baseName}.${EXTENSIONS[format]}`);
+      await fs.writeFile(filePath, this.render(report, format), 'utf8');
+      files.push({ format, path: filePath });
+    }
+    return files;
+  }
+
+  /**
+   * Render the report in one format.
+   * @param {object} report - The report.
+   * @param {string} format - junit, json or markdown.
+   * @returns {string} The rendered report.
+   */
+  render(report, format) {
+    switch (format) {
+      case 'junit': return this.toJUnit(report);
+      case 'json': return this.toJSON(report);
+      case 'markdown': return this.toMarkdown(report);
+      default: throw new Error(`Unsupported report format: ${format}. Use ${REPORT_FORMATS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Render the report as JUnit XML. Warnings are passing cases with their
+   * details in `<system-out>`.
+   */
+  toJUnit(report) {
+    const total = this.summarize(report);
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="${this.escapeXml(report.name)}" tests="${total.tests}" failures="${total.failed}" skipped="${total.skipped}" time="${this.seconds(total.duration)}">`
+    ];
+
+    for (const suite of report.suites) {
+      const summary = this.summarize(suite);
+      lines.push(`  <testsuite name="${this.escapeXml(suite.name)}" tests="${summary.tests}" failures="${summary.failed}" errors="0" skipped="${summary.skipped}" time="${this.seconds(summary.duration)}" timestamp="${report.startedAt}">`);
+
+      for (const testCase of suite.cases) {
+        lines.push(`    <testcase name="${this.escapeXml(testCase.name)}" classname="${this.escapeXml(`${report.type}.${suite.name}`)}" time="${this.seconds(testCase.duration)}">`);
+        if (testCase.status === 'failed') {
+          const message = testCase.failures[0] || 'Failed';
+          lines.push(`      <failure message="${this.escapeXml(message)}">${this.escapeXml(testCase.failures.join('\n'))}</failure>`);
+        } else if (testCase.status === 'skipped') {
+          lines.push(`      <skipped message="${this.escapeXml(testCase.failures[0] || testCase.message || '')}"/>`);
+        }
+        const output = this.formatExchange(testCase);
+        if (output) {
+          lines.push(`      <system-out>${this.escapeXml(output)}</system-out>`);
+        }
+        lines.push('    </testcase>');
+      }
+      lines.push('  </testsuite>');
+    }
+
+    lines.push('</testsuites>');
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Render the report as JSON, with the summary up front
+   */
+  toJSON(report) {
+    return `${JSON.stringify({ ...report, summary: this.summarize(report) }, null, 2)}\n`;
+  }
+
+  /**
+   * Render the report as a Markdown summary with a table per suite and the
+   * details of every failing case
+   */
+  toMarkdown(report) {
+    const total = this.summarize(report);
+    const lines = [
+      `# ${report.name}`,
+      '',
+      `- **Type**: ${report.type}`,
+      `- **Started**: ${report.startedAt}`,
+      `- **Duration**: ${total.duration}ms`,
+      `- **Result**: ${total.passed} passed, ${total.warnings} with warnings, ${total.failed} failed, ${total.skipped} skipped (${total.tests} total)`,
+      ''
+    ];
+
+    for (const suite of report.suites) {
+      lines.push(`## ${suite.name}`, '', '| Status | Test | Duration |', '| --- | --- | --- |');
+      for (const testCase of suite.cases) {
+        lines.push(`| ${STATUS_ICONS[testCase.status] || ''} ${testCase.status} | ${this.escapeMarkdown(testCase.name)} | ${testCase.duration || 0}ms |`);
+      }
+      lines.push('');
+
+      for (const testCase of suite.cases.filter(candidate => ['failed', 'warning'].includes(candidate.status))) {
+        lines.push(`### ${STATUS_ICONS[testCase.status]} ${testCase.name}`, '');
+        [...testCase.failures, ...testCase.warnings].forEach(message => lines.push(`- ${message}`));
+        const exchange = this.formatExchange(testCase);
+        if (exchange) {
+          lines.push('', '```', exchange, '```');
+        }
+        lines.push('');
+      }
+    }
+
+    return `${lines.join('\n').trim()}\n`;
+  }
+
+  /**
+   * Format the request and response of a case as plain text
+   */
+  formatExchange(testCase) {
+    const parts = [];
+    const { request, response, warnings = [] } = testCase;
+    if (request) {
+      parts.push(`Request: ${request.method} ${request.url}`);
+      if (request.body !== undefined) parts.push(request.body);
+    }
+    if (response) {
+      parts.push(`Response: ${response.status}${response.duration !== undefined ? ` (${response.duration}ms)` : ''}`);
+      if (response.body !== undefined) parts.push(response.body);
+    }
+    if (warnings.length > 0) {
+      parts.push(`Warnings:\n${warnings.map(warning => `- ${warning}`).join('\n')}`);
+    }
+    return parts.join('\n');
+  }
+
+  /**
+   * Keep a request or response with its body truncated to an excerpt
+   */
+  excerptExchange({ body, ...exchange }) {
+    if (body === undefined || body === null || body === '') {
+      return exchange;
+    }
+    const text = typeof body === 'string' ? body : JSON.stringify(body, null, 2);
+    return {
+      ...exchange,
+      body: text.length > EXCERPT_LIMIT ? `${text.slice(0, EXCERPT_LIMIT)}… (${text.length - EXCERPT_LIMIT} more characters)` : text
+    };
+  }
+
+  /**
+   * Escape text for XML attributes and content
+   */
+  escapeXml(value) {
+    return String(value)
+      // Control characters are not allowed in XML 1.0
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Escape the characters that would break a Markdown table cell
+   */
+  escapeMarkdown(value) {
+    return String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  }
+
+  /**
+   * Convert milliseconds to the seconds used by JUnit
+   */
+  seconds(ms) {
+    return ((ms || 0) / 1000).toFixed(3);
+  }
+
+  /**
+   * Make a name safe for use in a file name
+   */
+  slugify(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'report';
+  }
+}
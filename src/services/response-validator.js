@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Validates API responses against the responses declared in the
+ * OpenAPI specification: the status code, and the body against the resolved
+ * response schema (types, required properties, enums, formats and bounds).
+ */
+
+const MAX_VIOLATIONS = 50;
+
+const FORMAT_PATTERNS = {
+  'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})$/i,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  time: /^\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/i,
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  uri: /^[a-z][a-z0-9+.-]*:\S+$/i,
+  url: /^[a-z][a-z0-9+.-]*:\S+$/i,
+  hostname: /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i,
+  ipv4: /^((25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(25[0-5]|2[0-4]\d|1?\d?\d)$/,
+  ipv6: /^[0-9a-f:]+$/i,
+  byte: /^[A-Za-z0-9+/]*={0,2}$/,
+};
+
+export class ResponseValidator {
+  /**
+   * Validate a response against an operation's declared responses.
+   * @param {object} operation - The parsed operation, with resolved `responses`.
+   * @param {{status: number, headers?: object, data: any}} response - The received response.
+   * @returns {{checked: boolean, statusDeclared: boolean, schemaChecked: boolean, violations: Array<{path: string, message: string}>}}
+   */
+  validate(operation, response) {
+    const responses = operation?.responses || {};
+    const result = { checked: false, statusDeclared: false, schemaChecked: false, violations: [] };
+
+    // Nothing to validate against when the spec declares no responses
+    if (Object.keys(responses).length === 0) {
+      return result;
+    }
+    result.checked = true;
+
+    const declared = this.findDeclaredResponse(responses, response.status);
+    if (!declared) {
+      result.violations.push({
+        path: 'status',
+        message: `Status ${response.status} is not declared (expected ${Object.keys(responses).join(', ')})`
+      });
+      return result;
+    }
+    result.statusDeclared = true;
+
+    const schema = this.selectSchema(declared, response.headers);
+    if (!schema) {
+      return result;
+    }
+    result.schemaChecked = true;
+
+    // A body-less response cannot match a declared schema
+    if (response.data === undefined || response.data === '') {
+      result.violations.push({ path: '$', message: 'Expected a response body but none was returned' });
+      return result;
+    }
+
+    this.validateValue(response.data, schema, '$', result.violations);
+    return result;
+  }
+
+  /**
+   * Find the response declared for a status: exact code, then `2XX`-style ranges, then `default`
+   */
+  findDeclaredResponse(responses, status) {
+    const code = String(status);
+    return responses[code] || responses[`${code[0]}XX`] || responses[`${code[0]}xx`] || responses.default || null;
+  }
+
+  /**
+   * Pick the schema of the media type matching the response's Content-Type,
+   * falling back to a JSON media type or the first one with a schema
+   */
+  selectSchema(declared, headers = {}) {
+    const content = declared.content || {};
+    const contentType = String(headers['content-type'] || headers['Content-Type'] || '').split(';')[0].trim().toLowerCase();
+    const mediaTypes = Object.keys(content).filter(mediaType => content[mediaType]?.schema);
+
+    const match = mediaTypes.find(mediaType => mediaType.toLowerCase() === contentType)
+      || mediaTypes.find(mediaType => mediaType.endsWith('/*') && contentType.startsWith(mediaType.slice(0, -1)))
+      || mediaTypes.find(mediaType => /json/i.test(mediaType))
+      || mediaTypes[0];
+
+    return match ? content[match].schema : null;
+  }
+
+  /**
+   * Validate a value against a resolved schema, collecting violations
+   */
+  validateValue(value, schema, path, violations) {
+    if (!schema || violations.length >= MAX_VIOLATIONS) return;
+    const add = message => violations.length < MAX_VIOLATIONS && violations.push({ path, message });
+
+    if (value === null) {
+      if (!schema.nullable && schema.type && schema.type !== 'null') {
+        add(`Expected ${schema.type} but got null`);
+      }
+      return;
+    }
+
+    // Circular placeholders stand for an already validated type
+    if (schema['x-circular-ref']) {
+      if (typeof value !== 'object') add(`Expected object but got ${this.describeType(value)}`);
+      return;
+    }
+
+    for (const keyword of ['oneOf', 'anyOf']) {
+      if (Array.isArray(schema[keyword]) && schema[keyword].length > 0) {
+        const matches = schema[keyword].filter(variant => this.collectViolations(value, variant, path).length === 0).length;
+        if (matches === 0) {
+          add(`Does not match any of the ${keyword} schemas`);
+        } else if (keyword === 'oneOf' && matches > 1 && !schema.discriminator) {
+          add(`Matches ${matches} oneOf schemas, expected exactly one`);
+        }
+      }
+    }
+
+    if (schema.not && this.collectViolations(value, schema.not, path).length === 0) {
+      add(schema.not.enum
+        ? `Value ${JSON.stringify(value)} cannot be one of ${schema.not.enum.map(option => JSON.stringify(option)).join(', ')}`
+        : 'Matches a schema it must not match');
+    }
+
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+      add(`Value ${JSON.stringify(value)} is not one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+      return;
+    }
+
+    const type = schema.type || (schema.properties ? 'object' : undefined);
+    if (type && !this.matchesType(value, type)) {
+      add(`Expected ${type} but got ${this.describeType(value)}`);
+      return;
+    }
+
+    if (typeof value === 'string') {
+      this.validateString(value, schema, add);
+    } else if (typeof value === 'number') {
+      this.validateNumber(value, schema, add);
+    } else if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) add(`Expected at least ${schema.minItems} items but got ${value.length}`);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) add(`Expected at most ${schema.maxItems} items but got ${value.length}`);
+      value.forEach((item, index) => this.validateValue(item, schema.items, `${path}[${index}]`, violations));
+    } else if (typeof value === 'object') {
+      this.validateObject(value, schema, path, violations, add);
+    }
+  }
+
+  /**
+   * Validate the properties of an object value
+   */
+  validateObject(value, schema, path, violations, add) {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        add(`Missing required property '${name}'`);
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [name, propValue] of Object.entries(value)) {
+      if (properties[name]) {
+        this.validateValue(propValue, properties[name], `${path}.${name}`, violations);
+      } else if (schema.additionalProperties === false) {
+        add(`Unexpected property '${name}'`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        this.validateValue(propValue, schema.additionalProperties, `${path}.${name}`, violations);
+      }
+    }
+  }
+
+  /**
+   * Validate string formats, lengths and patterns
+   */
+  validateString(value, schema, add) {
+    const pattern = FORMAT_PATTERNS[schema.format];
+    if (pattern && (!pattern.test(value) || (['date', 'date-time'].includes(schema.format) && isNaN(Date.parse(value))))) {
+      add(`Value ${JSON.stringify(value)} is not a valid ${schema.format}`);
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) add(`Expected at least ${schema.minLength} characters but got ${value.length}`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) add(`Expected at most ${schema.maxLength} characters but got ${value.length}`);
+    if (schema.pattern) {
+      try {
+        if (!new RegExp(schema.pattern, 'u').test(value)) add(`Value ${JSON.stringify(value)} does not match pattern ${schema.pattern}`);
+      } catch {
+        // Patterns that are not valid JavaScript regular expressions are not checked
+      }
+    }
+  }
+
+  /**
+   * Validate numeric bounds
+   */
+  validateNumber(value, schema, add) {
+    const exclusiveMin = schema.exclusiveMinimum === true ? schema.minimum : schema.exclusiveMinimum;
+    const exclusiveMax = schema.exclusiveMaximum === true ? schema.maximum : schema.exclusiveMaximum;
+    if (typeof exclusiveMin === 'number' && value <= exclusiveMin) add(`Expected a value greater than ${exclusiveMin} but got ${value}`);
+    else if (schema.minimum !== undefined && value < schema.minimum) add(`Expected a value of at least ${schema.minimum} but got ${value}`);
+    if (typeof exclusiveMax === 'number' && value >= exclusiveMax) add(`Expected a value less than ${exclusiveMax} but got ${value}`);
+    else if (schema.maximum !== undefined && value > schema.maximum) add(`Expected a value of at most ${schema.maximum} but got ${value}`);
+  }
+
+  /**
+   * Collect the violations of a value against a schema without affecting another list
+   */
+  collectViolations(value, schema, path) {
+    const violations = [];
+    this.validateValue(value, schema, path, violations);
+    return violations;
+  }
+
+  /**
+   * Check a value against a JSON schema type
+   */
+  matchesType(value, type) {
+    switch (type) {
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'string': return typeof value === 'string';
+      case 'boolean': return typeof value === 'boolean';
+      case 'array': return Array.isArray(value);
+      case 'object': return typeof value === 'object' && !Array.isArray(value);
+      default: return true;
+    }
+  }
+
+  /**
+   * Describe the JSON type of a value for messages
+   */
+  describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  /**
+   * Format violations as an indented list
+   */
+  formatViolations(violations, indent = '') {
+    return violations.map(violation => `${indent}- ${violation.path}: ${violation.message}`).join('\n');
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview The test context of one MCP session. Keys are private to the
+ * session, except keys starting with `shared:`, which live in a namespace
+ * shared by every session of the server.
+ */
+
+export const SHARED_CONTEXT_PREFIX = 'shared:';
+
+/**
+ * A Map of the session's own keys that also reads and writes the shared
+ * namespace through `shared:`-prefixed keys. Iteration lists the session's
+ * keys first, then the shared ones with their prefix; `clear()` only clears
+ * the session's keys.
+ */
+export class SessionContext extends Map {
+  /**
+   * @param {Map} [shared] - The namespace shared by all sessions.
+   */
+  constructor(shared = new Map()) {
+    super();
+    this.shared = shared;
+  }
+
+  get(key) {
+    return this.isShared(key) ? this.shared.get(this.sharedKey(key)) : super.get(key);
+  }
+
+  set(key, value) {
+    if (this.isShared(key)) {
+      this.shared.set(this.sharedKey(key), value);
+    } else {
+      super.set(key, value);
+    }
+    return this;
+  }
+
+  has(key) {
+    return this.isShared(key) ? this.shared.has(this.sharedKey(key)) : super.has(key);
+  }
+
+  delete(key) {
+    return this.isShared(key) ? this.shared.delete(this.sharedKey(key)) : super.delete(key);
+  }
+
+  get size() {
+    return super.size + this.shared.size;
+  }
+
+  /**
+   * The session's own entries, without the shared namespace
+   */
+  get local() {
+    return new Map(super.entries());
+  }
+
+  *entries() {
+    yield* super.entries();
+    for (const [key, value] of this.shared) {
+      yield [`${SHARED_CONTEXT_PREFIX}${key}`, value];
+    }
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  *keys() {
+    for (const [key] of this.entries()) yield key;
+  }
+
+  *values() {
+    for (const [, value] of this.entries()) yield value;
+  }
+
+  forEach(callback, thisArg) {
+    for (const [key, value] of this.entries()) {
+      callback.call(thisArg, value, key, this);
+    }
+  }
+
+  isShared(key) {
+    return typeof key === 'string' && key.startsWith(SHARED_CONTEXT_PREFIX);
+  }
+
+  sharedKey(key) {
+    return key.slice(SHARED_CONTEXT_PREFIX.length);
+  }
+}
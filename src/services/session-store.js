@@ -0,0 +1,262 @@
+/**
+ * @fileoverview Persists the test context, metrics and a history of tool calls
+ * in named sessions, so they survive server restarts. Sessions are stored in a
+ * JSON file or, on Node.js 22.5 and later, an SQLite database. Context entries,
+ * history entries and whole sessions older than the TTL are dropped on load.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const DEFAULT_PATHS = { json: './.apibridge/sessions.json', sqlite: './.apibridge/sessions.db' };
+const SECRET_KEY_PATTERN = /authorization|password|secret|token|api[-_]?key|cookie/i;
+
+// The pending writes of each sessions file, so saves of the same file run one at a time
+const fileQueues = new Map();
+let temporaryFileCount = 0;
+
+/**
+ * Parse a duration such as `7d`, `12h`, `30m`, `45s` or `500ms`. Plain numbers are milliseconds.
+ * @param {string|number|null} value - The duration; `0` or null means no limit.
+ * @returns {number} The duration in milliseconds, 0 for no limit.
+ */
+export function parseDuration(value) {
+  if (value === null || value === undefined || value === 0) return 0;
+  if (typeof value === 'number' && value > 0) return value;
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/);
+  if (!match) {
+    throw new Error(`Invalid duration '${value}'. Use a number of milliseconds or a value such as 30m, 12h or 7d`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2] || 'ms'];
+}
+
+/**
+ * Stores sessions as one JSON document. Writes re-read the file, so servers
+ * using different sessions of the same file keep each other's data. Writes
+ * to the same file from this process are queued.
+ */
+class JsonFileBackend {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async read() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw new Error(`Could not read sessions file ${this.filePath}: ${error.message}`);
+    }
+    try {
+      return JSON.parse(content).sessions || {};
+    } catch (error) {
+      throw new Error(`Invalid JSON in sessions file ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  async update(changes) {
+    const key = path.resolve(this.filePath);
+    const queued = (fileQueues.get(key) || Promise.resolve()).catch(() => {}).then(() => this.write(changes));
+    fileQueues.set(key, queued);
+    try {
+      return await queued;
+    } finally {
+      if (fileQueues.get(key) === queued) fileQueues.delete(key);
+    }
+  }
+
+  async write(changes) {
+    const sessions = await this.read();
+    for (const [name, session] of Object.entries(changes)) {
+      if (session === null) {
+        delete sessions[name];
+      } else {
+        sessions[name] = session;
+      }
+    }
+
+    // Write to a temporary file first, so a crash cannot leave half a file behind
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const temporaryFile = `${this.filePath}.${process.pid}.${++temporaryFileCount}.tmp`;
+    await fs.writeFile(temporaryFile, JSON.stringify({ version: 1, sessions }, null, 2));
+    await fs.rename(temporaryFile, this.filePath);
+  }
+
+  /**
+   * Nothing to release: the file is only open while it is read or written
+   */
+  close() {}
+}
+
+/**
+ * Stores each session as a row of an SQLite table, using the built-in node:sqlite module
+ */
+class SqliteBackend {
+  static async open(filePath) {
+    let sqlite;
+    try {
+      sqlite = await import('node:sqlite');
+    } catch {
+      throw new Error(`SQLite persistence needs Node.js 22.5 or later (node:sqlite); this is ${process.version}. Use "storage": "json" instead`);
+    }
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const db = new sqlite.DatabaseSync(filePath);
+    db.exec('CREATE TABLE IF NOT EXISTS sessions (name TEXT PRIMARY KEY, data TEXT NOT NULL)');
+    return new SqliteBackend(db);
+  }
+
+  constructor(db) {
+    this.db = db;
+  }
+
+  async read() {
+    const rows = this.db.prepare('SELECT name, data FROM sessions').all();
+    return Object.fromEntries(rows.map(row => [row.name, JSON.parse(row.data)]));
+  }
+
+  async update(changes) {
+    const upsert = this.db.prepare('INSERT INTO sessions (name, data) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET data = excluded.data');
+    const remove = this.db.prepare('DELETE FROM sessions WHERE name = ?');
+    this.db.exec('BEGIN');
+    try {
+      for (const [name, session] of Object.entries(changes)) {
+        if (session === null) {
+          remove.run(name);
+        } else {
+          upsert.run(name, JSON.stringify(session));
+        }
+      }
+      this.db.exec('COMMIT');
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+export class SessionStore {
+  /**
+   * @param {object} [options] - The `persistence` block of the configuration.
+   * @param {string} [options.storage] - `json` (default) or `sqlite`.
+   * @param {string} [options.path] - The sessions file; defaults to `./.apibridge/sessions.json` or `.db`.
+   * @param {string} [options.session] - The session to use (default `default`).
+   * @param {string|number} [options.ttl] - How long unchanged entries are kept (default `7d`); 0 keeps them forever.
+   * @param {number} [options.historyLimit] - How many tool calls the history keeps (default 200).
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || 'json';
+    if (!DEFAULT_PATHS[this.storage]) {
+      throw new Error(`Unknown persistence storage '${this.storage}'. Use json or sqlite`);
+    }
+    this.path = options.path || DEFAULT_PATHS[this.storage];
+    this.session = options.session || 'default';
+    this.ttl = parseDuration(options.ttl ?? '7d');
+    this.historyLimit = options.historyLimit ?? 200;
+    this.backend = null;
+    this.state = { context: {}, metrics: {}, history: [] };
+  }
+
+  /**
+   * Open the store and load the session, dropping expired entries and sessions.
+   * @returns {Promise<{context: Map, metrics: Map, history: Array<object>}>} The restored session.
+   */
+  async open() {
+    this.backend = this.storage === 'sqlite' ? await SqliteBackend.open(this.path) : new JsonFileBackend(this.path);
+    const sessions = await this.backend.read();
+
+    const expired = Object.keys(sessions).filter(name => this.isExpired(sessions[name].updatedAt));
+    if (expired.length > 0) {
+      await this.backend.update(Object.fromEntries(expired.map(name => [name, null])));
+    }
+
+    const stored = expired.includes(this.session) ? null : sessions[this.session];
+    this.state = {
+      context: Object.fromEntries(Object.entries(stored?.context || {}).filter(([, entry]) => !this.isExpired(entry.updatedAt))),
+      metrics: stored?.metrics || {},
+      history: (stored?.history || []).filter(entry => !this.isExpired(entry.at))
+    };
+    return {
+      context: new Map(Object.entries(this.state.context).map(([key, entry]) => [key, entry.value])),
+      metrics: new Map(Object.entries(this.state.metrics)),
+      history: this.state.history
+    };
+  }
+
+  /**
+   * Add a tool call to the history, dropping the oldest calls beyond `historyLimit`.
+   * Argument values under keys that look like credentials are masked.
+   * @param {{tool: string, args: object, status: string, duration: number, summary: string}} call
+   */
+  recordCall({ tool, args, status, duration, summary }) {
+    this.state.history.push({ at: new Date().toISOString(), tool, args: this.maskSecrets(args), status, duration, summary });
+    if (this.state.history.length > this.historyLimit) {
+      this.state.history.splice(0, this.state.history.length - this.historyLimit);
+    }
+  }
+
+  /**
+   * Write the session: the context, with the time each value last changed, the metrics and the history.
+   * @param {Map} context - The test context.
+   * @param {Map} metrics - The server metrics.
+   */
+  async save(context, metrics) {
+    const now = new Date().toISOString();
+    const entries = {};
+    for (const [key, value] of context) {
+      const json = JSON.stringify(value);
+      if (json === undefined) continue;
+      const previous = this.state.context[key];
+      const unchanged = previous && JSON.stringify(previous.value) === json;
+      entries[key] = { value: JSON.parse(json), updatedAt: unchanged ? previous.updatedAt : now };
+    }
+
+    this.state.context = entries;
+    this.state.metrics = Object.fromEntries(metrics);
+    await this.backend.update({ [this.session]: { updatedAt: now, ...this.state } });
+  }
+
+  /**
+   * Release the sessions file or database. The store cannot be saved afterwards.
+   */
+  close() {
+    this.backend?.close();
+    this.backend = null;
+  }
+
+  /**
+   * The most recent tool calls of the session, newest last.
+   * @param {object} [options]
+   * @param {number} [options.limit] - How many calls to return (default 20).
+   * @param {string} [options.tool] - Only return calls of this tool.
+   */
+  getHistory({ limit = 20, tool } = {}) {
+    const calls = this.state.history.filter(entry => !tool || entry.tool === tool);
+    return calls.slice(-limit);
+  }
+
+  /**
+   * Whether a timestamp is older than the TTL
+   */
+  isExpired(timestamp) {
+    return this.ttl > 0 && Date.now() - Date.parse(timestamp) > this.ttl;
+  }
+
+  /**
+   * Copy tool arguments with the values of credential-like keys masked
+   */
+  maskSecrets(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.maskSecrets(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, SECRET_KEY_PATTERN.test(key) ? '***' : this.maskSecrets(item)]));
+    }
+    return value;
+  }
+}
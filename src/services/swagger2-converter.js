@@ -0,0 +1,346 @@
+/**
+ * @fileoverview Converts Swagger 2.0 specifications into the OpenAPI 3.x shape
+ * understood by the OpenAPIParser, so legacy services get the same endpoints,
+ * tools and workflows as OpenAPI 3 services.
+ */
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+// Parameter keywords that move into `schema` in OpenAPI 3
+const SCHEMA_KEYWORDS = [
+  'type', 'format', 'items', 'enum', 'default', 'minimum', 'maximum', 'exclusiveMinimum',
+  'exclusiveMaximum', 'minLength', 'maxLength', 'pattern', 'minItems', 'maxItems', 'uniqueItems', 'multipleOf'
+];
+
+// Swagger 2.0 collectionFormat to OpenAPI 3 style/explode. OpenAPI 3 has no
+// tab-delimited style, so tsv keeps its format in an extension
+const COLLECTION_FORMATS = {
+  csv: { style: 'form', explode: false },
+  ssv: { style: 'spaceDelimited', explode: false },
+  tsv: { style: 'form', explode: false, 'x-collectionFormat': 'tsv' },
+  pipes: { style: 'pipeDelimited', explode: false },
+  multi: { style: 'form', explode: true }
+};
+
+export class Swagger2Converter {
+  constructor() {
+    this.source = null;
+  }
+
+  /**
+   * Converts a Swagger 2.0 document to OpenAPI 3.0.
+   * @param {object} spec - The parsed Swagger 2.0 document.
+   * @returns {object} An equivalent OpenAPI 3.0 document.
+   */
+  convert(spec) {
+    this.source = spec;
+
+    const converted = {
+      openapi: '3.0.0',
+      info: spec.info || {},
+      servers: this.convertServers(spec),
+      paths: {},
+      components: {
+        schemas: this.rewriteRefs(spec.definitions || {}),
+        parameters: {},
+        responses: {},
+        securitySchemes: this.convertSecurityDefinitions(spec.securityDefinitions || {})
+      }
+    };
+
+    if (spec.security) converted.security = spec.security;
+    if (spec.tags) converted.tags = spec.tags;
+
+    for (const [name, parameter] of Object.entries(spec.parameters || {})) {
+      // Body and form parameters become request bodies where they are used
+      if (!['body', 'formData'].includes(parameter.in)) {
+        converted.components.parameters[name] = this.convertParameter(parameter);
+      }
+    }
+
+    for (const [name, response] of Object.entries(spec.responses || {})) {
+      converted.components.responses[name] = this.convertResponse(response, spec.produces);
+    }
+
+    for (const [pathTemplate, pathItem] of Object.entries(spec.paths || {})) {
+      converted.paths[pathTemplate] = this.convertPathItem(pathItem);
+    }
+
+    return converted;
+  }
+
+  /**
+   * Builds the OpenAPI 3 servers list from host, basePath and schemes.
+   * @param {object} spec - The Swagger 2.0 document.
+   * @returns {Array} The servers list (empty when no host is declared).
+   */
+  convertServers(spec) {
+    if (!spec.host) {
+      return spec.basePath ? [{ url: spec.basePath }] : [];
+    }
+    const basePath = spec.basePath && spec.basePath !== '/' ? spec.basePath : '';
+    const schemes = spec.schemes && spec.schemes.length > 0 ? spec.schemes : ['https'];
+    return schemes.map(scheme => ({ url: `${scheme}://${spec.host}${basePath}` }));
+  }
+
+  /**
+   * Converts securityDefinitions to OpenAPI 3 securitySchemes.
+   * @param {object} definitions - The Swagger 2.0 securityDefinitions.
+   * @returns {object} The securitySchemes.
+   */
+  convertSecurityDefinitions(definitions) {
+    const schemes = {};
+    for (const [name, definition] of Object.entries(definitions)) {
+      switch (definition.type) {
+        case 'basic':
+          schemes[name] = { type: 'http', scheme: 'basic', description: definition.description };
+          break;
+        case 'apiKey':
+          schemes[name] = { type: 'apiKey', in: definition.in, name: definition.name, description: definition.description };
+          break;
+        case 'oauth2': {
+          const flowNames = {
+            implicit: 'implicit',
+            password: 'password',
+            application: 'clientCredentials',
+            accessCode: 'authorizationCode'
+          };
+          const flow = { scopes: definition.scopes || {} };
+          if (definition.authorizationUrl) flow.authorizationUrl = definition.authorizationUrl;
+          if (definition.tokenUrl) flow.tokenUrl = definition.tokenUrl;
+          schemes[name] = {
+            type: 'oauth2',
+            description: definition.description,
+            flows: { [flowNames[definition.flow] || definition.flow]: flow }
+          };
+          break;
+        }
+        default:
+          schemes[name] = { ...definition };
+      }
+    }
+    return schemes;
+  }
+
+  /**
+   * Converts a path item, moving body and form parameters into request bodies.
+   * @param {object} pathItem - The Swagger 2.0 path item.
+   * @returns {object} The OpenAPI 3 path item.
+   */
+  convertPathItem(pathItem) {
+    const pathParameters = (pathItem.parameters || []).map(parameter => this.dereferenceParameter(parameter));
+    const converted = {};
+
+    const sharedParameters = pathParameters.filter(parameter => !['body', 'formData'].includes(parameter.in));
+    if (sharedParameters.length > 0) {
+      converted.parameters = sharedParameters.map(parameter => this.convertParameter(parameter));
+    }
+
+    for (const [key, value] of Object.entries(pathItem)) {
+      if (HTTP_METHODS.includes(key)) {
+        const bodyParameters = pathParameters.filter(parameter => ['body', 'formData'].includes(parameter.in));
+        converted[key] = this.convertOperation(value, bodyParameters);
+      } else if (key !== 'parameters') {
+        converted[key] = value;
+      }
+    }
+
+    return converted;
+  }
+
+  /**
+   * Converts an operation.
+   * @param {object} operation - The Swagger 2.0 operation.
+   * @param {Array} inheritedBodyParameters - Body/form parameters declared on the path item.
+   * @returns {object} The OpenAPI 3 operation.
+   */
+  convertOperation(operation, inheritedBodyParameters = []) {
+    const { parameters = [], responses = {}, consumes, produces, ...rest } = operation;
+    const converted = { ...rest };
+    const resolved = parameters.map(parameter => this.dereferenceParameter(parameter));
+
+    const otherParameters = resolved.filter(parameter => !['body', 'formData'].includes(parameter.in));
+    if (otherParameters.length > 0) {
+      converted.parameters = otherParameters.map(parameter => this.convertParameter(parameter));
+    }
+
+    const mediaTypes = consumes || this.source.consumes;
+    const bodyParameter = resolved.find(parameter => parameter.in === 'body')
+      || inheritedBodyParameters.find(parameter => parameter.in === 'body');
+    const formParameters = [
+      ...inheritedBodyParameters.filter(parameter => parameter.in === 'formData'),
+      ...resolved.filter(parameter => parameter.in === 'formData')
+    ];
+
+    if (bodyParameter) {
+      converted.requestBody = {
+        description: bodyParameter.description,
+        required: bodyParameter.required === true,
+        content: { [this.pickMediaType(mediaTypes)]: { schema: this.rewriteRefs(bodyParameter.schema || {}) } }
+      };
+    } else if (formParameters.length > 0) {
+      converted.requestBody = this.convertFormParameters(formParameters, mediaTypes);
+    }
+
+    converted.responses = {};
+    for (const [status, response] of Object.entries(responses)) {
+      converted.responses[status] = this.convertResponse(response, produces || this.source.produces);
+    }
+
+    return converted;
+  }
+
+  /**
+   * Converts formData parameters into a form request body.
+   * @param {Array} parameters - The formData parameters.
+   * @param {Array} mediaTypes - The consumed media types.
+   * @returns {object} The request body.
+   */
+  convertFormParameters(parameters, mediaTypes = []) {
+    const hasFile = parameters.some(parameter => parameter.type === 'file');
+    const mediaType = hasFile || mediaTypes.includes('multipart/form-data')
+      ? 'multipart/form-data'
+      : 'application/x-www-form-urlencoded';
+
+    const schema = { type: 'object', properties: {} };
+    const required = [];
+    for (const parameter of parameters) {
+      const propertySchema = this.convertParameter(parameter).schema;
+      if (parameter.type === 'file') {
+        propertySchema.type = 'string';
+        propertySchema.format = 'binary';
+      }
+      schema.properties[parameter.name] = { ...propertySchema, description: parameter.description };
+      if (parameter.required) required.push(parameter.name);
+    }
+    if (required.length > 0) schema.required = required;
+
+    return {
+      required: required.length > 0,
+      content: { [mediaType]: { schema } }
+    };
+  }
+
+  /**
+   * Converts a non-body parameter, moving type keywords into `schema`.
+   * @param {object} parameter - The Swagger 2.0 parameter.
+   * @returns {object} The OpenAPI 3 parameter.
+   */
+  convertParameter(parameter) {
+    if (parameter.$ref) {
+      return { $ref: this.rewriteRef(parameter.$ref) };
+    }
+
+    const converted = {};
+    const schema = {};
+    for (const [key, value] of Object.entries(parameter)) {
+      if (SCHEMA_KEYWORDS.includes(key)) {
+        schema[key] = key === 'items' ? this.convertItems(value) : value;
+      } else if (key === 'collectionFormat') {
+        Object.assign(converted, COLLECTION_FORMATS[value] || {});
+      } else if (key !== 'allowEmptyValue' || parameter.in === 'query') {
+        converted[key] = value;
+      }
+    }
+    converted.schema = schema.type ? schema : { type: 'string', ...schema };
+    return converted;
+  }
+
+  /**
+   * Converts Swagger 2.0 `items` (which may carry collectionFormat) into a schema.
+   * @param {object} items - The items object.
+   * @returns {object} The items schema.
+   */
+  convertItems(items) {
+    const { collectionFormat, ...schema } = items || {};
+    if (schema.items) schema.items = this.convertItems(schema.items);
+    return this.rewriteRefs(schema);
+  }
+
+  /**
+   * Converts a response, moving `schema` under `content`.
+   * @param {object} response - The Swagger 2.0 response.
+   * @param {Array} mediaTypes - The produced media types.
+   * @returns {object} The OpenAPI 3 response.
+   */
+  convertResponse(response, mediaTypes) {
+    if (response.$ref) {
+      return { $ref: this.rewriteRef(response.$ref) };
+    }
+    const { schema, examples, headers, ...rest } = response;
+    const converted = { description: '', ...rest };
+    if (schema) {
+      converted.content = { [this.pickMediaType(mediaTypes)]: { schema: this.rewriteRefs(schema) } };
+    }
+    if (headers) {
+      converted.headers = Object.fromEntries(
+        Object.entries(headers).map(([name, header]) => {
+          const { description, ...headerSchema } = header;
+          return [name, { description, schema: this.convertItems(headerSchema) }];
+        })
+      );
+    }
+    return converted;
+  }
+
+  /**
+   * Resolves a `#/parameters/...` reference against the source document so body
+   * parameters can be turned into request bodies.
+   * @param {object} parameter - A parameter or parameter reference.
+   * @returns {object} The referenced parameter, or the input when it is not a parameter reference.
+   */
+  dereferenceParameter(parameter) {
+    const match = parameter.$ref?.match(/^#\/parameters\/(.+)$/);
+    if (!match) return parameter;
+    const name = match[1].replace(/~1/g, '/').replace(/~0/g, '~');
+    const referenced = this.source.parameters?.[name];
+    if (!referenced) return parameter;
+    // Keep non-body references so they point at components.parameters
+    return ['body', 'formData'].includes(referenced.in) ? referenced : parameter;
+  }
+
+  /**
+   * Picks the JSON media type when the operation accepts one.
+   * @param {Array} mediaTypes - The declared media types.
+   * @returns {string} The media type to use for the content map.
+   */
+  pickMediaType(mediaTypes) {
+    if (!mediaTypes || mediaTypes.length === 0) return 'application/json';
+    return mediaTypes.find(type => /[/+]json\b/.test(type)) ? 'application/json' : mediaTypes[0];
+  }
+
+  /**
+   * Rewrites a Swagger 2.0 local reference to its OpenAPI 3 location.
+   * @param {string} ref - The reference.
+   * @returns {string} The rewritten reference.
+   */
+  rewriteRef(ref) {
+    return ref
+      .replace(/^#\/definitions\//, '#/components/schemas/')
+      .replace(/^#\/parameters\//, '#/components/parameters/')
+      .replace(/^#\/responses\//, '#/components/responses/');
+  }
+
+  /**
+   * Deeply rewrites every `$ref` in a schema.
+   * @param {*} value - The schema or value.
+   * @returns {*} A copy with rewritten references.
+   */
+  rewriteRefs(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.rewriteRefs(item));
+    }
+    if (value && typeof value === 'object') {
+      const rewritten = {};
+      for (const [key, item] of Object.entries(value)) {
+        rewritten[key] = key === '$ref' && typeof item === 'string' ? this.rewriteRef(item) : this.rewriteRefs(item);
+      }
+      // `x-nullable` is the Swagger 2.0 spelling of `nullable`
+      if (rewritten['x-nullable'] !== undefined && rewritten.nullable === undefined) {
+        rewritten.nullable = rewritten['x-nullable'];
+      }
+      return rewritten;
+    }
+    return value;
+  }
+}
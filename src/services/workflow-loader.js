@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Loads custom workflows from the YAML files of a workflows
+ * directory. Each file holds one workflow and is validated against the
+ * workflow file schema; errors point at the file, line and column.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import yaml, { LineCounter } from 'yaml';
+import { ResponseValidator } from './response-validator.js';
+
+const WORKFLOW_EXTENSIONS = ['.yml', '.yaml'];
+
+const STEP_KINDS = ['action', 'workflow', 'steps', 'parallel'];
+
+/**
+ * Names a forEach item cannot take, because templates already read them
+ */
+export const RESERVED_ITEM_NAMES = ['ctx', 'shared', 'env', 'steps', 'args', 'row', 'index'];
+
+const STEP_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    if: { anyOf: [{ type: 'string' }, { type: 'boolean' }, { type: 'object' }, { type: 'array', items: { type: 'object' } }] },
+    forEach: { anyOf: [{ type: 'string' }, { type: 'array' }] },
+    as: { type: 'string', pattern: '^[A-Za-z_][A-Za-z0-9_]*$', not: { enum: RESERVED_ITEM_NAMES } },
+    action: { type: 'string', minLength: 1 },
+    workflow: { type: 'string', minLength: 1 },
+    concurrency: { type: 'integer', minimum: 1 },
+    args: { type: 'object' },
+    repeat: {
+      type: 'object',
+      required: ['until'],
+      additionalProperties: false,
+      properties: {
+        until: { type: 'object' },
+        interval: { type: 'integer', minimum: 0 },
+        timeout: { type: 'integer', minimum: 0 },
+        maxAttempts: { type: 'integer', minimum: 1 }
+      }
+    },
+    expect: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        status: {},
+        responseTime: {},
+        headers: { type: 'object' },
+        body: {}
+      }
+    },
+    extract: {
+      type: 'object',
+      additionalProperties: {
+        anyOf: [
+          { type: 'string', minLength: 1 },
+          { type: 'object', additionalProperties: false, properties: { path: { type: 'string' }, header: { type: 'string' }, regex: { type: 'string' } } }
+        ]
+      }
+    }
+  }
+};
+
+// Step groups, forEach bodies and parallel branches are lists of steps
+STEP_SCHEMA.properties.steps = { type: 'array', minItems: 1, items: STEP_SCHEMA };
+STEP_SCHEMA.properties.parallel = { type: 'array', minItems: 1, items: STEP_SCHEMA };
+
+/**
+ * The schema workflow files are validated against
+ */
+export const WORKFLOW_FILE_SCHEMA = {
+  type: 'object',
+  required: ['steps'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    steps: { type: 'array', minItems: 1, items: STEP_SCHEMA },
+    finally: { type: 'array', minItems: 1, items: STEP_SCHEMA },
+    cleanup: { type: 'boolean' }
+  }
+};
+
+export class WorkflowLoader {
+  constructor() {
+    this.validator = new ResponseValidator();
+  }
+
+  /**
+   * Load every workflow file of a directory. Workflows are keyed by file name
+   * without the extension. All files are checked before anything is returned.
+   * @param {string} directory - The workflows directory.
+   * @param {object} [options]
+   * @param {Array<string>} [options.actions] - Known tool names; when given, steps must use one of them.
+   * @param {Array<string>} [options.workflows] - Names of workflows defined elsewhere that steps may call.
+   * @returns {Promise<object>} The workflows by name; empty when the directory does not exist.
+   * @throws {Error} When a file is invalid. The error's `errors` lists `{ file, line, column, path, message }`.
+   */
+  async loadFromDirectory(directory, options = {}) {
+    let entries;
+    try {
+      entries = await fs.readdir(directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw new Error(`Could not read workflows directory ${directory}: ${error.message}`);
+    }
+
+    const workflows = {};
+    const errors = [];
+    const files = entries.filter(entry => WORKFLOW_EXTENSIONS.includes(path.extname(entry).toLowerCase())).sort();
+    const workflowNames = [...(options.workflows || []), ...files.map(file => path.basename(file, path.extname(file)))];
+    for (const file of files) {
+      const filePath = path.join(directory, file);
+      const key = path.basename(file, path.extname(file));
+      if (workflows[key]) {
+        errors.push({ file: filePath, line: 1, column: 1, path: '$', message: `Duplicate workflow name '${key}'` });
+        continue;
+      }
+
+      const content = await fs.readFile(filePath, 'utf8');
+      const result = this.parseWorkflow(content, { ...options, name: key, workflows: workflowNames });
+      errors.push(...result.errors.map(error => ({ file: filePath, ...error })));
+      if (result.workflow) {
+        workflows[key] = result.workflow;
+      }
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid workflow files:\n${this.formatErrors(errors)}`);
+      error.errors = errors;
+      throw error;
+    }
+    return workflows;
+  }
+
+  /**
+   * Parse and validate the content of one workflow file.
+   * @param {string} content - The YAML content.
+   * @param {object} [options]
+   * @param {string} [options.name] - The name used when the file does not set one.
+   * @param {Array<string>} [options.actions] - Known tool names.
+   * @param {Array<string>} [options.workflows] - Known workflow names.
+   * @returns {{workflow: object|null, errors: Array<{line: number, column: number, path: string, message: string}>}}
+   */
+  parseWorkflow(content, { name = 'workflow', actions, workflows } = {}) {
+    const lineCounter = new LineCounter();
+    const doc = yaml.parseDocument(content, { lineCounter });
+
+    if (doc.errors.length > 0) {
+      return {
+        workflow: null,
+        errors: doc.errors.map(error => ({
+          line: error.linePos?.[0]?.line ?? 1,
+          column: error.linePos?.[0]?.col ?? 1,
+          path: '$',
+          message: error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '')
+        }))
+      };
+    }
+
+    const data = doc.toJS();
+    const violations = [];
+    this.validator.validateValue(data, WORKFLOW_FILE_SCHEMA, '$', violations);
+    for (const key of ['steps', 'finally']) {
+      if (Array.isArray(data?.[key])) {
+        this.checkSteps(data[key], `$.${key}`, { actions, workflows }, violations);
+      }
+    }
+
+    if (violations.length > 0) {
+      return {
+        workflow: null,
+        errors: violations.map(violation => ({ ...this.locate(doc, lineCounter, violation), path: violation.path, message: violation.message }))
+      };
+    }
+
+    const workflow = { name: data.name || name, description: data.description || '', steps: data.steps };
+    if (data.finally) workflow.finally = data.finally;
+    if (data.cleanup !== undefined) workflow.cleanup = data.cleanup;
+    return { workflow, errors: [] };
+  }
+
+  /**
+   * Check what the schema cannot: each step has exactly one of action,
+   * workflow, steps or parallel, and refers to known tools and workflows
+   */
+  checkSteps(steps, stepsPath, known, violations) {
+    steps.forEach((step, index) => {
+      if (!step || typeof step !== 'object') return;
+      const stepPath = `${stepsPath}[${index}]`;
+      const kinds = STEP_KINDS.filter(kind => step[kind] !== undefined);
+      if (kinds.length !== 1) {
+        violations.push({ path: stepPath, message: kinds.length === 0 ? 'A step needs an action, a workflow, steps or parallel' : `A step can have only one of ${kinds.join(', ')}` });
+      }
+      if (step.repeat && !step.action) {
+        violations.push({ path: `${stepPath}.repeat`, message: 'repeat can only be used with an action' });
+      }
+      if (step.as && step.forEach === undefined) {
+        violations.push({ path: `${stepPath}.as`, message: 'as can only be used with forEach' });
+      }
+      if (step.concurrency && !step.parallel) {
+        violations.push({ path: `${stepPath}.concurrency`, message: 'concurrency can only be used with parallel' });
+      }
+      if (step.action && known.actions && !known.actions.includes(step.action)) {
+        violations.push({ path: `${stepPath}.action`, message: `Unknown action '${step.action}'` });
+      }
+      if (step.workflow && known.workflows && !known.workflows.includes(step.workflow)) {
+        violations.push({ path: `${stepPath}.workflow`, message: `Unknown workflow '${step.workflow}'` });
+      }
+      for (const kind of ['steps', 'parallel']) {
+        if (Array.isArray(step[kind])) {
+          this.checkSteps(step[kind], `${stepPath}.${kind}`, known, violations);
+        }
+      }
+    });
+  }
+
+  /**
+   * Find the line and column of a violation, pointing at the offending key
+   * for unexpected properties and at the closest existing node otherwise
+   */
+  locate(doc, lineCounter, violation) {
+    const keys = [...violation.path.matchAll(/\.([^.[\]]+)|\[(\d+)\]/g)].map(([, key, index]) => index !== undefined ? Number(index) : key);
+    const unexpected = violation.message.match(/^Unexpected property '(.+)'$/);
+    if (unexpected) {
+      const parent = doc.getIn(keys, true);
+      const pair = parent?.items?.find(item => item.key?.value === unexpected[1]);
+      if (pair?.key?.range) {
+        return this.position(lineCounter, pair.key.range[0]);
+      }
+    }
+
+    while (keys.length > 0 && !doc.getIn(keys, true)?.range) {
+      keys.pop();
+    }
+    const node = keys.length > 0 ? doc.getIn(keys, true) : doc.contents;
+    return node?.range ? this.position(lineCounter, node.range[0]) : { line: 1, column: 1 };
+  }
+
+  /**
+   * Convert a source offset to a line and column
+   */
+  position(lineCounter, offset) {
+    const { line, col } = lineCounter.linePos(offset);
+    return { line, column: col };
+  }
+
+  /**
+   * Format errors as `file:line:column path: message` lines
+   */
+  formatErrors(errors) {
+    return errors
+      .map(error => `  ${error.file}:${error.line}:${error.column} ${error.path}: ${error.message}`)
+      .join('\n');
+  }
+}
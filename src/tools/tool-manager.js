@@ -3,6 +3,39 @@
  * dynamically generated from the OpenAPI specification.
  */
 
+import { HttpError } from '../utils/http-error.js';
+import { ResponseValidator } from '../services/response-validator.js';
+import { EdgeCaseGenerator } from '../services/edge-case-generator.js';
+import { ReportGenerator } from '../services/report-generator.js';
+import { AssertionEvaluator } from '../services/assertion-evaluator.js';
+import { evaluatePath } from '../utils/json-path.js';
+import { TemplateEngine } from '../utils/template-engine.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { loadDataset } from '../utils/dataset.js';
+import { SHARED_CONTEXT_PREFIX } from '../services/session-context.js';
+import { RESERVED_ITEM_NAMES } from '../services/workflow-loader.js';
+import { v4 as uuidv4 } from 'uuid';
+
+const EXTRACT_SCHEMA = {
+  type: 'object',
+  description: "Save values from the response under context keys, e.g. { \"token\": \"$.data.token\", \"userId\": \"/id\", \"location\": \"header:Location\" }",
+  additionalProperties: {
+    anyOf: [
+      { type: 'string', description: "A JSONPath or JSON Pointer into the body, 'header:<name>' or 'status'" },
+      {
+        type: 'object',
+        properties: {
+          path: { type: 'string' },
+          header: { type: 'string' },
+          regex: { type: 'string', description: 'Keep the first capture group of this pattern' }
+        }
+      }
+    ]
+  }
+};
+
+const HTTP_REQUEST_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
 export class ToolManager {
   constructor() {
     this.config = null;
@@ -10,6 +43,11 @@ export class ToolManager {
     this.logger = null;
     this.coreTools = new Map();
     this.endpointTools = new Map();
+    this.responseValidator = new ResponseValidator();
+    this.edgeCaseGenerator = new EdgeCaseGenerator();
+    this.reportGenerator = new ReportGenerator();
+    this.assertionEvaluator = new AssertionEvaluator();
+    this.templateEngine = new TemplateEngine();
   }
 
   /**
@@ -47,12 +85,33 @@ export class ToolManager {
         properties: {
           endpoints: { type: 'array', items: { type: 'string' }, description: 'Array of endpoint names to validate. Defaults to all.' },
           includeEdgeCases: { type: 'boolean', default: true },
-          generateReport: { type: 'boolean', default: false }
+          generateReport: { type: 'boolean', default: false, description: 'Write JUnit XML, JSON and Markdown reports to the reports directory' },
+          strict: { type: 'boolean', description: 'Treat response contract violations as failures. Defaults to responseValidation.strict.' }
         }
       },
       handler: this.handleValidateApi.bind(this)
     });
 
+    this.coreTools.set('http_request', {
+      name: 'http_request',
+      description: 'Send an HTTP request to any path of the API or to an allowed host, e.g. for routes the OpenAPI spec does not describe',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          method: { type: 'string', enum: HTTP_REQUEST_METHODS, default: 'GET' },
+          url: { type: 'string', description: 'A path relative to apiBaseUrl (e.g. /admin/stats) or an absolute URL on the API host or a host in allowedHosts' },
+          headers: { type: 'object', additionalProperties: { type: 'string' }, description: 'Request headers' },
+          query: { type: 'object', additionalProperties: true, description: 'Query parameters; arrays are sent as repeated parameters' },
+          body: { description: 'The request body. Objects and arrays are sent as JSON, strings as text/plain unless a Content-Type header is given.' },
+          auth: { type: 'boolean', description: 'Apply the configured authentication. Defaults to true for the API host and false for other hosts.' },
+          saveToContext: { type: 'string', description: 'Save the response to context with this key' },
+          extract: EXTRACT_SCHEMA
+        },
+        required: ['url']
+      },
+      handler: this.handleHttpRequest.bind(this)
+    });
+
     this.coreTools.set('run_workflow', {
       name: 'run_workflow',
       description: 'Execute a pre-defined test workflow',
@@ -65,13 +124,109 @@ export class ToolManager {
             description: 'The name of the workflow to execute' 
           },
           stopOnError: { type: 'boolean', default: true },
-          saveResults: { type: 'boolean', default: false }
+          args: { type: 'object', description: 'Values the workflow steps can read as {{args.name}}' },
+          dataset: { type: 'string', description: 'A CSV or JSON file. The workflow runs once per row, and its steps read the row as {{row.column}}.' },
+          cleanup: { type: 'boolean', description: 'Delete the resources the workflow created and did not delete itself. Defaults to workflowCleanup.' },
+          saveResults: { type: 'boolean', default: false, description: 'Write JUnit XML, JSON and Markdown reports to the reports directory' }
         },
         required: ['workflow']
       },
       handler: this.handleRunWorkflow.bind(this)
     });
 
+    this.coreTools.set('run_all_workflows', {
+      name: 'run_all_workflows',
+      description: 'Execute several workflows concurrently and combine their results in one report',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          workflows: {
+            type: 'array',
+            items: { type: 'string', enum: Object.keys(this.config?.workflows || {}) },
+            description: 'The workflows to execute. Defaults to every generated *_crud_workflow.'
+          },
+          concurrency: { type: 'integer', minimum: 1, description: 'How many workflows run at once. Defaults to workflowConcurrency.' },
+          stopOnError: { type: 'boolean', default: true },
+          cleanup: { type: 'boolean', description: 'Delete the resources each workflow created and did not delete itself. Defaults to workflowCleanup.' },
+          saveResults: { type: 'boolean', default: false, description: 'Write JUnit XML, JSON and Markdown reports to the reports directory' }
+        }
+      },
+      handler: this.handleRunAllWorkflows.bind(this)
+    });
+
+    this.coreTools.set('list_context', {
+      name: 'list_context',
+      description: 'List the keys of the test context with the type and size of their values',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          prefix: { type: 'string', description: 'Only list keys starting with this prefix' }
+        }
+      },
+      handler: this.handleListContext.bind(this)
+    });
+
+    this.coreTools.set('get_context', {
+      name: 'get_context',
+      description: 'Read a value of the test context, and the id fromContext would take from it',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          key: { type: 'string', description: 'The context key' },
+          path: { type: 'string', description: 'A JSONPath or JSON Pointer into the value, e.g. $.items[0].id' }
+        },
+        required: ['key']
+      },
+      handler: this.handleGetContext.bind(this)
+    });
+
+    this.coreTools.set('set_context', {
+      name: 'set_context',
+      description: 'Save a value in the test context, e.g. an id for fromContext',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          key: { type: 'string', description: 'The context key' },
+          value: { description: 'The value to save' }
+        },
+        required: ['key', 'value']
+      },
+      handler: this.handleSetContext.bind(this)
+    });
+
+    this.coreTools.set('delete_context', {
+      name: 'delete_context',
+      description: 'Delete keys from the test context',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          keys: { type: 'array', items: { type: 'string' }, minItems: 1, description: 'The context keys to delete' }
+        },
+        required: ['keys']
+      },
+      handler: this.handleDeleteContext.bind(this)
+    });
+
+    this.coreTools.set('clear_context', {
+      name: 'clear_context',
+      description: 'Delete every key of the test context',
+      inputSchema: { type: 'object', properties: {} },
+      handler: this.handleClearContext.bind(this)
+    });
+
+    this.coreTools.set('get_history', {
+      name: 'get_history',
+      description: 'List the recent tool calls and workflow runs of the persisted session',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, default: 20, description: 'How many calls to list, newest last' },
+          tool: { type: 'string', description: 'Only list calls of this tool, e.g. run_workflow' }
+        }
+      },
+      handler: this.handleGetHistory.bind(this)
+    });
+
     this.coreTools.set('get_metrics', {
       name: 'get_metrics',
       description: 'Get server metrics and performance statistics',
@@ -121,7 +276,8 @@ export class ToolManager {
     for (const [operationKey, operation] of Object.entries(endpoint.operations || {})) {
       if (!operation) continue;
 
-      const toolName = this.generateToolName(operationKey, endpointName);
+      // Parsed specs assign unique tool names; hand-written endpoints fall back to the naming scheme
+      const toolName = operation.toolName || this.generateToolName(operationKey, endpointName);
       const tool = {
         name: toolName,
         description: this.generateToolDescription(operationKey, endpointName, endpoint),
@@ -199,14 +355,28 @@ export class ToolManager {
       properties: {}
     };
 
-    // Add common properties
-    if (['PUT', 'PATCH', 'DELETE', 'GET'].includes(method) && method !== 'GET_COLLECTION') {
+    const operation = endpoint.operations?.[method] || {};
+    const parameters = this.getOperationParameters(operation);
+    const required = [];
+
+    // `id` addresses the resource of an item path, so `fromContext` and plain ids keep working
+    const itemParam = this.getItemPathParam(operation);
+    if (itemParam && itemParam !== 'id') {
       schema.properties.id = {
         type: 'string',
-        description: 'The ID of the resource to modify'
+        description: `The ID of the resource (alias for the '${itemParam}' path parameter)`
       };
     }
 
+    // Add the declared path, query, header and cookie parameters
+    for (const param of parameters) {
+      schema.properties[param.name] = this.generateParameterSchema(param);
+      // Path parameters can also come from `id` or `fromContext`, so they are checked at call time
+      if (param.required && param.in !== 'path') {
+        required.push(param.name);
+      }
+    }
+
     // Add request body for POST/PUT/PATCH - make data input seamless
     if (['POST', 'PUT', 'PATCH'].includes(method)) {
       // Add individual fields based on the endpoint schema for easier data input
@@ -216,6 +386,10 @@ export class ToolManager {
           if (method === 'POST' && ['id', 'createdAt', 'updatedAt'].includes(key)) {
             continue;
           }
+          // Parameters win name clashes; the body field is still reachable through `data`
+          if (parameters.some(param => param.name === key)) {
+            continue;
+          }
           schema.properties[key] = value;
         }
       }
@@ -228,10 +402,10 @@ export class ToolManager {
       };
     }
 
-    // Add query parameters
+    // Add a bag for query parameters that are not declared in the spec
     schema.properties.queryParams = {
       type: 'object',
-      description: 'Query parameters to include in the request',
+      description: 'Additional query parameters to include in the request',
       additionalProperties: true
     };
 
@@ -246,23 +420,70 @@ export class ToolManager {
       description: 'Load data from context using this key'
     };
 
+    schema.properties.extract = EXTRACT_SCHEMA;
+
+    if (required.length > 0) {
+      schema.required = required;
+    }
+
     return schema;
   }
 
+  /**
+   * Get the path, query, header and cookie parameters of an operation. Path
+   * placeholders that the spec does not declare are added as required strings.
+   */
+  getOperationParameters(operation) {
+    const parameters = (operation.parameters || [])
+      .filter(param => ['path', 'query', 'header', 'cookie'].includes(param.in));
+
+    for (const [, name] of (operation.path || '').matchAll(/\{([^}]+)\}/g)) {
+      if (!parameters.some(param => param.in === 'path' && param.name === name)) {
+        parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+      }
+    }
+
+    return parameters;
+  }
+
+  /**
+   * Get the name of the path parameter that identifies the resource of an item
+   * path (e.g. `postId` in /users/{userId}/posts/{postId}), or null for collections
+   */
+  getItemPathParam(operation) {
+    const match = (operation.path || '').match(/\{([^}]+)\}$/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Generate the input schema property for an operation parameter
+   */
+  generateParameterSchema(param) {
+    const { description: schemaDescription, ...paramSchema } = param.schema || { type: 'string' };
+    const location = `${param.in} parameter${param.required ? ', required' : ''}`;
+    const description = param.description || schemaDescription;
+
+    return {
+      ...paramSchema,
+      description: description ? `${description} (${location})` : `${param.name} (${location})`
+    };
+  }
+
   /**
    * Handle tool call requests
+   * @param {object} [session] - The MCP session making the call, with its persisted `store`.
    */
-  async handleToolCall(toolName, args, testContext, metrics) {
+  async handleToolCall(toolName, args, testContext, metrics, session = null) {
     // Check core tools first
     if (this.coreTools.has(toolName)) {
       const tool = this.coreTools.get(toolName);
-      return await tool.handler(args, testContext, metrics);
+      return await tool.handler(args, testContext, metrics, session);
     }
 
     // Check endpoint tools
     if (this.endpointTools.has(toolName)) {
       const tool = this.endpointTools.get(toolName);
-      return await tool.handler(toolName, args, testContext);
+      return await tool.handler(toolName, args, testContext, metrics);
     }
 
     throw new Error(`Unknown tool: ${toolName}`);
@@ -306,6 +527,108 @@ export class ToolManager {
     };
   }
 
+  /**
+   * Handle the generic HTTP request tool. The call goes through the same
+   * client as endpoint tools, so it is logged and retried the same way.
+   * Redirects are not followed, so a response cannot lead to a host that is not allowed.
+   */
+  async handleHttpRequest(args, testContext, metrics) {
+    const method = (args.method || 'GET').toUpperCase();
+    if (!HTTP_REQUEST_METHODS.includes(method)) {
+      throw new Error(`Unsupported method '${args.method}'. Use ${HTTP_REQUEST_METHODS.join(', ')}`);
+    }
+
+    const target = this.resolveRequestUrl(args.url, args.query);
+    const url = target.toString();
+    const headers = { ...(args.headers || {}) };
+    const data = args.body ?? null;
+    if (typeof data === 'string' && !Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+      headers['Content-Type'] = 'text/plain';
+    }
+    // Credentials only go to other hosts when asked for
+    const auth = args.auth ?? target.origin === new URL(this.config.apiBaseUrl).origin;
+
+    let response;
+    try {
+      response = await this.httpClient.request(method, url, data, {
+        headers,
+        maxRedirects: 0,
+        security: auth ? undefined : []
+      });
+    } catch (error) {
+      this.recordRetries(metrics, error.retries);
+      error.exchange = { request: { method, url, body: data ?? undefined } };
+      if (error instanceof HttpError) {
+        error.exchange.response = { status: error.status, duration: error.duration, headers: error.headers, body: error.data };
+      }
+      const retryNote = error.retries ? ` (after ${error.retries} retries)` : '';
+      error.message = `${method} ${url} failed${retryNote}: ${error.message}`;
+      throw error;
+    }
+    this.recordRetries(metrics, response.retries);
+
+    const exchange = {
+      request: { method, url, body: data ?? undefined },
+      response: { status: response.status, duration: response.duration, headers: response.headers, body: response.data }
+    };
+    if (args.saveToContext && response.data) {
+      testContext.set(args.saveToContext, response.data);
+    }
+
+    let extracted = [];
+    if (args.extract) {
+      try {
+        extracted = this.applyExtract(args.extract, exchange.response, testContext);
+      } catch (error) {
+        error.message = `${method} ${url} returned ${response.status} but ${error.message}`;
+        error.exchange = exchange;
+        throw error;
+      }
+    }
+
+    const result = this.formatResponse(method, url, response, null, extracted);
+    Object.defineProperty(result, 'exchange', { value: exchange });
+    return result;
+  }
+
+  /**
+   * Resolve the target of an `http_request` call against apiBaseUrl and check
+   * that its host is the API's or one of `allowedHosts`. Entries match the
+   * host name, or host and port when they have one; `*.example.com` matches
+   * the subdomains of example.com.
+   */
+  resolveRequestUrl(target, query = {}) {
+    if (!target) {
+      throw new Error('http_request needs a url: a path such as /admin/stats or an absolute URL');
+    }
+
+    const base = new URL(this.config.apiBaseUrl);
+    const url = /^[a-z][a-z\d+.-]*:/i.test(target)
+      ? new URL(target)
+      : new URL(`${base.href.replace(/\/$/, '')}/${target.replace(/^\//, '')}`);
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error(`Unsupported protocol '${url.protocol}' in ${target}. Use http or https`);
+    }
+
+    const allowed = url.host === base.host || (this.config.allowedHosts || []).some(entry => {
+      const pattern = entry.toLowerCase();
+      const host = pattern.includes(':') ? url.host : url.hostname;
+      return pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern;
+    });
+    if (!allowed) {
+      throw new Error(`Host '${url.host}' is not allowed. Add it to allowedHosts in apibridge.config.json to call it`);
+    }
+
+    for (const [name, value] of Object.entries(query || {})) {
+      for (const item of Array.isArray(value) ? value : [value]) {
+        if (item !== undefined && item !== null) {
+          url.searchParams.append(name, typeof item === 'object' ? JSON.stringify(item) : String(item));
+        }
+      }
+    }
+    return url;
+  }
+
   /**
    * Handle validate API tool
    */
@@ -314,10 +637,25 @@ export class ToolManager {
     const endpointsToTest = args.endpoints && args.endpoints.length > 0 
       ? args.endpoints 
       : Object.keys(this.config.endpoints || {});
+    const run = {
+      strict: args.strict ?? this.getResponseValidationOptions().strict,
+      includeEdgeCases: args.includeEdgeCases !== false,
+      summary: { passed: 0, violations: 0, failed: 0, skipped: 0 },
+      metrics,
+      // Ids of the resources each endpoint was tested with, used for item and child paths
+      knownIds: new Map(),
+      // Ids of existing resources listed to fill foreign keys, by endpoint
+      referenceIds: new Map(),
+      // Resources created during the run; they are deleted once every endpoint is tested
+      created: [],
+      report: this.reportGenerator.createReport('validation', this.config.name || 'API validation'),
+      suite: null
+    };
+    const startTime = Date.now();
     
     results.push('🔍 Starting API validation...\n');
 
-    for (const endpointName of endpointsToTest) {
+    for (const endpointName of this.orderByParents(endpointsToTest)) {
       const endpoint = this.config.endpoints[endpointName];
       if (!endpoint) {
         results.push(`❌ Endpoint not found: ${endpointName}`);
@@ -325,10 +663,21 @@ export class ToolManager {
       }
 
       results.push(`🔍 Testing endpoint: ${endpointName}`);
-      await this.validateEndpoint(endpoint, results, args.includeEdgeCases);
+      run.suite = endpointName;
+      await this.validateEndpoint(endpointName, endpoint, results, run);
       results.push('');
     }
 
+    await this.cleanupValidationResources(results, run);
+
+    const { summary } = run;
+    results.push(`📋 Summary: ${summary.passed} passed, ${summary.violations} with contract violations, ${summary.failed} failed, ${summary.skipped} skipped`);
+
+    if (args.generateReport) {
+      run.report.duration = Date.now() - startTime;
+      results.push(await this.saveReport(run.report));
+    }
+
     return {
       content: [{
         type: 'text',
@@ -338,143 +687,1293 @@ export class ToolManager {
   }
 
   /**
-   * Validate a single endpoint
+   * Order endpoint names so parents are validated before their sub-resources
    */
-  async validateEndpoint(endpoint, results, includeEdgeCases) {
-    for (const method of endpoint.methods) {
-      try {
-        const baseUrl = `${this.config.apiBaseUrl}${endpoint.path.replace(/\{[^}]+\}/g, 'test-id')}`;
-        const response = await this.httpClient.request(method, baseUrl);
-        results.push(`  ✅ ${method}: ${response.status}`);
-      } catch (error) {
-        results.push(`  ❌ ${method}: ${error.message}`);
+  orderByParents(endpointNames) {
+    const depth = name => {
+      let level = 0;
+      for (let endpoint = this.config.endpoints?.[name]; endpoint?.parent && level < 10; endpoint = this.config.endpoints[endpoint.parent]) {
+        level++;
       }
-    }
+      return level;
+    };
+    return [...endpointNames].sort((a, b) => depth(a) - depth(b));
   }
 
   /**
-   * Handle run workflow tool
+   * Validate a single endpoint: happy paths with the generated sample data, then
+   * negative cases derived from the request schema and a non-existent id
    */
-  async handleRunWorkflow(args, testContext, metrics) {
-    const workflow = this.config.workflows[args.workflow];
-    if (!workflow) {
-      throw new Error(`Unknown workflow: ${args.workflow}`);
+  async validateEndpoint(endpointName, endpoint, results, run) {
+    const operations = endpoint.operations || {};
+
+    // Sub-resources are addressed through the ids of their parents
+    const pathParams = {};
+    for (let child = endpoint; child.parent; child = this.config.endpoints[child.parent] || {}) {
+      if (!run.knownIds.has(child.parent)) {
+        const message = `no ${child.parent} id available for '${child.parentParam}' (validate ${child.parent} as well)`;
+        run.summary.skipped++;
+        results.push(`  ⏭️ Skipped: ${message}`);
+        this.reportGenerator.addCase(run.report, run.suite, { name: endpointName, status: 'skipped', message });
+        return;
+      }
+      pathParams[child.parentParam] = run.knownIds.get(child.parent);
     }
 
-    const results = [];
-    const startTime = Date.now();
-    
-    results.push(`🚀 Starting workflow: ${workflow.name}`);
-    results.push(`📋 ${workflow.description}\n`);
+    let existingId = null;
+    if (operations.GET_COLLECTION) {
+      const response = await this.runValidationCheck('GET', operations.GET_COLLECTION, pathParams, null, results, run);
+      const first = Array.isArray(response?.data) ? response.data[0] : undefined;
+      existingId = first ? this.extractResourceId(first, null, operations.GET) : null;
+    }
 
-    // Execute steps
-    for (let i = 0; i < (workflow.steps || []).length; i++) {
-      const step = workflow.steps[i];
-      
+    // Request bodies get the ids of the resources their foreign keys point at
+    const bodies = {};
+    const bodyErrors = {};
+    for (const method of ['POST', 'PUT', 'PATCH']) {
+      if (!operations[method]) continue;
       try {
-        const stepName = `Step ${i + 1}: ${step.description || step.action}`;
-        results.push(`📍 ${stepName}`);
-        
-        // Execute the step
-        const stepResult = await this.handleToolCall(step.action, step.args || {}, testContext, metrics);
-        if (stepResult.content && stepResult.content[0].text) {
-          results.push(stepResult.content[0].text.split('\n').map(line => `  | ${line}`).join('\n'));
-        }
-        
-        results.push(`✅ Completed`);
+        bodies[method] = await this.fillForeignKeys(operations[method].sampleData || operations.POST?.sampleData || {}, run);
       } catch (error) {
-        results.push(`❌ Failed: ${error.message}`);
-        if (args.stopOnError) {
-          break;
-        }
+        bodyErrors[method] = error.message;
       }
-      
-      results.push('');
     }
 
-    const duration = Date.now() - startTime;
-    results.push(`\n🎉 Workflow finished in ${duration}ms.`);
+    let createdId = null;
+    if (operations.POST && bodyErrors.POST) {
+      this.skipValidationCheck('POST', operations.POST, bodyErrors.POST, results, run);
+    } else if (operations.POST) {
+      const response = await this.runValidationCheck('POST', operations.POST, pathParams, bodies.POST, results, run);
+      createdId = response && response.status < 300 ? this.extractResourceId(response.data, response.headers, operations.GET) : null;
+      if (createdId !== null) {
+        run.created.push({ endpointName, operation: operations.DELETE, pathParams, id: createdId, isHappyPath: true });
+      }
+    }
 
-    return {
-      content: [{
-        type: 'text',
-        text: results.join('\n')
-      }]
-    };
+    const id = createdId ?? existingId;
+    if (id !== null) {
+      run.knownIds.set(endpointName, id);
+    }
+
+    if (operations.GET) {
+      if (id !== null) {
+        await this.runValidationCheck('GET', operations.GET, { ...pathParams, id }, null, results, run);
+      } else {
+        this.skipValidationCheck('GET', operations.GET, 'no resource id available', results, run);
+      }
+    }
+
+    // Updates and deletes only touch resources created by this run
+    for (const method of ['PUT', 'PATCH']) {
+      if (!operations[method]) continue;
+      if (bodyErrors[method]) {
+        this.skipValidationCheck(method, operations[method], bodyErrors[method], results, run);
+      } else if (createdId !== null) {
+        await this.runValidationCheck(method, operations[method], { ...pathParams, id: createdId }, bodies[method], results, run);
+      } else {
+        this.skipValidationCheck(method, operations[method], 'only run against resources created during validation', results, run);
+      }
+    }
+
+    if (operations.DELETE && createdId === null) {
+      this.skipValidationCheck('DELETE', operations.DELETE, 'only run against resources created during validation', results, run);
+    }
+
+    if (!run.includeEdgeCases) {
+      return;
+    }
+
+    results.push('  🧪 Edge cases:');
+    if (operations.POST?.requestSchema && bodyErrors.POST) {
+      this.skipValidationCheck('POST', operations.POST, `edge cases need a valid payload: ${bodyErrors.POST}`, results, run);
+    } else if (operations.POST?.requestSchema) {
+      // Each case breaks one field of a valid payload, so a rejection is down to that field
+      const cases = this.edgeCaseGenerator.generate(operations.POST.requestSchema, bodies.POST);
+      for (const edgeCase of cases) {
+        const response = await this.runValidationCheck('POST', operations.POST, pathParams, edgeCase.data, results, run, {
+          expect: 'reject',
+          description: edgeCase.description
+        });
+        // Clean up anything the API accepted even though it should not have
+        const acceptedId = response && response.status < 300 ? this.extractResourceId(response.data, response.headers, operations.GET) : null;
+        if (acceptedId !== null) {
+          run.created.push({ endpointName, operation: operations.DELETE, pathParams, id: acceptedId, isHappyPath: false });
+        }
+      }
+    }
+
+    const missingId = `apibridge-missing-${uuidv4()}`;
+    for (const method of ['GET', 'PUT', 'PATCH', 'DELETE']) {
+      if (!operations[method]) continue;
+      if (bodyErrors[method]) {
+        this.skipValidationCheck(method, operations[method], bodyErrors[method], results, run);
+        continue;
+      }
+      const data = ['PUT', 'PATCH'].includes(method) ? bodies[method] : null;
+      await this.runValidationCheck(method, operations[method], { ...pathParams, id: missingId }, data, results, run, {
+        expect: 'not-found',
+        description: 'with non-existent id'
+      });
+    }
   }
 
   /**
-   * Handle get metrics tool
+   * Replace the `{{DYNAMIC_<ENDPOINT>_ID}}` foreign key markers of sample data
+   * with the id of a resource of that endpoint: one validated earlier in the
+   * run, or else the first one its collection lists.
+   * @throws {Error} When the referenced endpoint has no resource to point at.
    */
-  async handleGetMetrics(args, testContext, metrics) {
-    const uptime = Date.now() - this.startTime;
-    const metricsData = {
-      uptime: `${Math.floor(uptime / 1000)}s`,
-      requests: {
-        total: metrics.get('requests_total') || 0,
-        successful: metrics.get('requests_successful') || 0,
-        failed: metrics.get('requests_failed') || 0
-      },
-      performance: {
-        averageResponseTime: this.calculateAverageResponseTime(metrics),
-        errors: (metrics.get('errors') || 0) + (metrics.get('critical_errors') || 0),
-      },
-      context: {
-        activeItems: testContext.size,
-        endpoints: Object.keys(this.config.endpoints || {}).length,
-        workflows: Object.keys(this.config.workflows || {}).length
+  async fillForeignKeys(data, run) {
+    const markers = [...new Set(JSON.stringify(data).match(/\{\{DYNAMIC_\w+_ID\}\}/g) || [])];
+    const ids = new Map();
+    for (const marker of markers) {
+      const target = marker.slice('{{DYNAMIC_'.length, -'_ID}}'.length);
+      const endpointName = Object.keys(this.config.endpoints || {}).find(name => name.toUpperCase() === target) || target.toLowerCase();
+      const id = run.knownIds.get(endpointName) ?? await this.findReferenceId(endpointName, run);
+      if (id === null || id === undefined) {
+        throw new Error(`no ${endpointName} id available for its foreign key (create a ${endpointName} resource or validate ${endpointName} as well)`);
       }
-    };
-
-    let text;
-    switch (args.format) {
-      case 'json':
-        text = JSON.stringify(metricsData, null, 2);
-        break;
-      case 'table':
-        text = this.formatMetricsTable(metricsData);
-        break;
-      default:
-        text = this.formatMetricsSummary(metricsData);
+      ids.set(marker, id);
     }
 
-    return {
-      content: [{
-        type: 'text',
-        text
-      }]
+    const fill = value => {
+      if (typeof value === 'string') {
+        // A field that is only a marker takes the id as is, keeping numeric ids numbers
+        return ids.has(value) ? ids.get(value) : value.replace(/\{\{DYNAMIC_\w+_ID\}\}/g, marker => ids.get(marker) ?? marker);
+      }
+      if (Array.isArray(value)) return value.map(fill);
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fill(item)]));
+      }
+      return value;
     };
+    return markers.length > 0 ? fill(data) : data;
   }
 
   /**
-   * Calculate average response time
+   * The id of the first resource an endpoint's collection lists, or null.
+   * Endpoints nested under a parent are not listed.
    */
-  calculateAverageResponseTime(metrics) {
-    const times = metrics.get('response_times') || [];
-    return times.length > 0 
-      ? Math.round(times.reduce((a, b) => a + b, 0) / times.length) 
-      : 0;
+  async findReferenceId(endpointName, run) {
+    if (run.referenceIds.has(endpointName)) {
+      return run.referenceIds.get(endpointName);
+    }
+
+    const endpoint = this.config.endpoints?.[endpointName];
+    const operation = endpoint?.operations?.GET_COLLECTION;
+    let id = null;
+    if (operation && !endpoint.parent) {
+      try {
+        const { url, headers } = this.buildRequestTarget('GET', operation, this.getSampleParameters(operation));
+        const response = await this.httpClient.request('GET', url, null, { headers, security: operation.security });
+        const first = Array.isArray(response.data) ? response.data[0] : undefined;
+        id = first ? this.extractResourceId(first, null, endpoint.operations.GET) : null;
+      } catch {
+        // A failed listing leaves the foreign key unfilled; the check is skipped with the reason
+      }
+    }
+    run.referenceIds.set(endpointName, id);
+    return id;
   }
 
   /**
-   * Format metrics as summary
+   * Send one validation request and report whether the status met the
+   * expectation ('success', 'reject' or 'not-found') and the response matched
+   * its contract. Template helpers in the body, such as `{{randomEmail}}`, are
+   * rendered for each request. Returns the response (or HttpError), or null if none was received.
    */
-  formatMetricsSummary(metrics) {
-    return `📊 APIBridge MCP Server Metrics
+  async runValidationCheck(method, operation, params, data, results, run, { expect = 'success', description = '' } = {}) {
+    const label = `${method} ${operation.path}${description ? ` ${description}` : ''}`;
+    data = data ? this.templateEngine.render(data) : data;
 
-⏱️ Uptime: ${metrics.uptime}
-🔄 Requests: ${metrics.requests.total} total (${metrics.requests.successful} successful, ${metrics.requests.failed} failed)
-⚡ Avg Response Time: ${metrics.performance.averageResponseTime}ms
-❌ Errors: ${metrics.performance.errors}
+    let target;
+    try {
+      target = this.buildRequestTarget(method, operation, { ...this.getSampleParameters(operation), ...params });
+    } catch (error) {
+      run.summary.skipped++;
+      results.push(`  ⏭️ ${label}: ${error.message}`);
+      this.reportGenerator.addCase(run.report, run.suite, { name: label, status: 'skipped', message: error.message });
+      return null;
+    }
 
-🔧 Configuration:
-- Endpoints: ${metrics.context.endpoints}
-- Workflows: ${metrics.context.workflows}
-- Active Context Items: ${metrics.context.activeItems}`;
+    const request = { method, url: target.url, body: data ?? undefined };
+    const startTime = Date.now();
+    let response;
+    try {
+      response = await this.httpClient.request(method, target.url, data, {
+        headers: target.headers,
+        // Negative cases are expected to fail, so they are never retried
+        retry: expect === 'success' ? undefined : { attempts: 0 },
+        security: operation.security
+      });
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        run.summary.failed++;
+        results.push(`  ❌ ${label}: ${error.message}`);
+        this.reportGenerator.addCase(run.report, run.suite, {
+          name: label, status: 'failed', duration: Date.now() - startTime, request, failures: [error.message]
+        });
+        return null;
+      }
+      response = error;
+    }
+
+    const { status } = response;
+    const expectation = {
+      success: { met: status >= 200 && status < 300, text: 'a 2xx status' },
+      reject: { met: status >= 400 && status < 500, text: 'a 4xx rejection' },
+      'not-found': { met: status === 404, text: '404' }
+    }[expect];
+    const validation = this.validateResponse(operation, response, run.metrics);
+    const violations = validation.violations.length > 0
+      ? `\n${this.responseValidator.formatViolations(validation.violations, '      ')}`
+      : '';
+
+    const violationMessages = validation.violations.map(violation => `${violation.path}: ${violation.message}`);
+    const testCase = {
+      name: label,
+      duration: response.duration ?? Date.now() - startTime,
+      request,
+      response: { status, duration: response.duration, body: response.data }
+    };
+
+    if (!expectation.met) {
+      run.summary.failed++;
+      results.push(`  ❌ ${label}: got ${status}, expected ${expectation.text}${violations}`);
+      Object.assign(testCase, { status: 'failed', failures: [`Got ${status}, expected ${expectation.text}`, ...violationMessages] });
+    } else if (violations) {
+      run.summary[run.strict ? 'failed' : 'violations']++;
+      results.push(`  ${run.strict ? '❌' : '⚠️'} ${label}: ${status} - ${validation.violations.length} contract violation(s)${violations}`);
+      Object.assign(testCase, run.strict
+        ? { status: 'failed', failures: violationMessages }
+        : { status: 'warning', warnings: violationMessages });
+    } else {
+      run.summary.passed++;
+      results.push(`  ✅ ${label}: ${status}${validation.schemaChecked ? ' (matches schema)' : ''}`);
+    }
+
+    this.reportGenerator.addCase(run.report, run.suite, testCase);
+    return response;
   }
 
   /**
-   * Format metrics as table
+   * Report a validation check that could not run
+   */
+  skipValidationCheck(method, operation, reason, results, run) {
+    run.summary.skipped++;
+    results.push(`  ⏭️ ${method} ${operation.path}: skipped, ${reason}`);
+    this.reportGenerator.addCase(run.report, run.suite, { name: `${method} ${operation.path}`, status: 'skipped', message: reason });
+  }
+
+  /**
+   * Delete the resources created during validation, children first. Deleting a
+   * resource created by a happy path doubles as the check of its DELETE operation.
+   */
+  async cleanupValidationResources(results, run) {
+    if (run.created.length === 0) {
+      return;
+    }
+
+    results.push('🧹 Cleaning up created resources');
+    for (const resource of [...run.created].reverse()) {
+      if (!resource.operation) {
+        results.push(`  ⚠️ ${resource.endpointName} ${resource.id}: left in place, no DELETE operation`);
+        continue;
+      }
+
+      if (resource.isHappyPath) {
+        run.suite = resource.endpointName;
+        await this.runValidationCheck('DELETE', resource.operation, { ...resource.pathParams, id: resource.id }, null, results, run);
+        continue;
+      }
+
+      try {
+        const { url, headers } = this.buildRequestTarget('DELETE', resource.operation, { ...resource.pathParams, id: resource.id });
+        await this.httpClient.request('DELETE', url, null, { headers, security: resource.operation.security });
+        results.push(`  🗑️ Deleted ${resource.endpointName} ${resource.id}`);
+      } catch (error) {
+        results.push(`  ⚠️ Could not delete ${resource.endpointName} ${resource.id}: ${error.message}`);
+      }
+    }
+    results.push('');
+  }
+
+  /**
+   * Get the id of a resource from its body, or from the Location header of a create response
+   */
+  extractResourceId(data, headers, itemOperation) {
+    const itemParam = itemOperation ? this.getItemPathParam(itemOperation) : null;
+    if (data && typeof data === 'object') {
+      const id = data.id ?? (itemParam ? data[itemParam] : undefined) ?? data._id;
+      if (id !== undefined && id !== null) {
+        return id;
+      }
+    }
+
+    const location = headers?.location || headers?.Location;
+    if (location) {
+      return decodeURIComponent(location.split('?')[0].replace(/\/$/, '').split('/').pop());
+    }
+    return null;
+  }
+
+  /**
+   * Sample values for the required query, header and cookie parameters of an operation
+   */
+  getSampleParameters(operation) {
+    const values = {};
+    for (const param of this.getOperationParameters(operation)) {
+      if (param.in === 'path' || !param.required) continue;
+      const schema = param.schema || {};
+      const fallback = { integer: 1, number: 1, boolean: true, array: [] }[schema.type] ?? 'test';
+      values[param.name] = param.example ?? schema.example ?? schema.default ?? schema.enum?.[0] ?? fallback;
+    }
+    return values;
+  }
+
+  /**
+   * Handle run workflow tool
+   */
+  async handleRunWorkflow(args, testContext, metrics, session) {
+    const workflow = this.config.workflows[args.workflow];
+    if (!workflow) {
+      throw new Error(`Unknown workflow: ${args.workflow}`);
+    }
+
+    const report = this.reportGenerator.createReport('workflow', workflow.name);
+    const { passed, results, duration } = args.dataset
+      ? await this.runWorkflowDataset(args, testContext, metrics, report, session)
+      : await this.executeWorkflow(args.workflow, {
+        args: args.args,
+        context: testContext,
+        metrics,
+        session,
+        stopOnError: args.stopOnError,
+        cleanup: args.cleanup,
+        report
+      });
+
+    if (args.saveResults) {
+      report.duration = duration;
+      results.push(await this.saveReport(report));
+    }
+
+    return this.workflowResult(results, passed);
+  }
+
+  /**
+   * Wrap the output of a workflow run in a tool result. Whether the run
+   * passed is not enumerable, so it stays out of the MCP response.
+   */
+  workflowResult(results, passed) {
+    const result = this.textResult(results.join('\n'));
+    Object.defineProperty(result, 'passed', { value: passed });
+    return result;
+  }
+
+  /**
+   * Run a workflow once per row of a dataset file. Each row runs with its own
+   * copy of the test context and is a suite of its own in the report. The
+   * result is a matrix of the rows and the outcome of each top-level step,
+   * followed by the output of the rows that failed.
+   */
+  async runWorkflowDataset(args, testContext, metrics, report, session) {
+    const workflow = this.config.workflows[args.workflow];
+    const rows = await loadDataset(args.dataset);
+    if (rows.length === 0) {
+      throw new Error(`Dataset ${args.dataset} has no rows`);
+    }
+
+    const startTime = Date.now();
+    const outcomes = [];
+    for (const [index, row] of rows.entries()) {
+      outcomes.push(await this.executeWorkflow(args.workflow, {
+        args: args.args,
+        row,
+        label: `row ${index + 1}`,
+        context: new Map(testContext),
+        metrics,
+        session,
+        stopOnError: args.stopOnError,
+        cleanup: args.cleanup,
+        report
+      }));
+    }
+    const duration = Date.now() - startTime;
+
+    const results = [`🚀 Running workflow ${workflow.name} for ${rows.length} row(s) of ${args.dataset}\n`];
+    results.push(this.formatDatasetMatrix(workflow, rows, outcomes));
+    outcomes.forEach((outcome, index) => {
+      if (!outcome.passed) {
+        results.push('', `❌ Row ${index + 1}:`, this.indentResults(outcome.results, '  '));
+      }
+    });
+
+    const passedCount = outcomes.filter(outcome => outcome.passed).length;
+    results.push(`\n📋 Summary: ${passedCount} of ${rows.length} rows passed in ${duration}ms`);
+    return { passed: passedCount === rows.length, results, duration };
+  }
+
+  /**
+   * Format the outcomes of a dataset run as a Markdown table with a line per
+   * row: its values, the status of each top-level and teardown step, and the result
+   */
+  formatDatasetMatrix(workflow, rows, outcomes) {
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const steps = [
+      ...(workflow.steps || []).map((step, index) => `Step ${index + 1}`),
+      ...(workflow.finally || []).map((step, index) => `Teardown ${index + 1}`)
+    ];
+    const icons = { passed: '✅', failed: '❌', skipped: '⏭️' };
+    const cell = value => {
+      const text = value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return (text.length > 30 ? `${text.slice(0, 27)}...` : text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    };
+
+    const header = ['#', ...columns, ...steps, 'Result', 'Duration'];
+    const lines = [
+      `| ${header.join(' | ')} |`,
+      `|${header.map(() => '---').join('|')}|`
+    ];
+    outcomes.forEach((outcome, index) => {
+      lines.push(`| ${[
+        index + 1,
+        ...columns.map(column => cell(rows[index][column])),
+        ...steps.map((step, stepIndex) => icons[outcome.records[stepIndex]?.status] || ''),
+        outcome.passed ? '✅ passed' : '❌ failed',
+        `${outcome.duration}ms`
+      ].join(' | ')} |`);
+    });
+    return lines.join('\n');
+  }
+
+  /**
+   * Handle run all workflows tool. Each workflow runs with its own copy of the
+   * test context; their writes are merged back once all have finished.
+   */
+  async handleRunAllWorkflows(args, testContext, metrics, session) {
+    const names = args.workflows || Object.keys(this.config.workflows || {}).filter(name => name.endsWith('_crud_workflow'));
+    const unknown = names.find(name => !this.config.workflows[name]);
+    if (unknown) {
+      throw new Error(`Unknown workflow: ${unknown}`);
+    }
+    if (names.length === 0) {
+      throw new Error('No workflows to run');
+    }
+
+    const limit = args.concurrency || this.config.workflowConcurrency || 4;
+    const report = this.reportGenerator.createReport('workflows', 'All workflows');
+    const startTime = Date.now();
+    const outcomes = await mapWithConcurrency(names, limit, async name => {
+      const context = new Map(testContext);
+      const outcome = await this.executeWorkflow(name, { context, metrics, session, stopOnError: args.stopOnError, cleanup: args.cleanup, report });
+      return { name, context, ...outcome };
+    });
+    const conflicts = this.mergeContextWrites(testContext, outcomes.map(outcome => outcome.context));
+    const duration = Date.now() - startTime;
+
+    const results = [`🚀 Running ${names.length} workflows, up to ${limit} at a time\n`];
+    outcomes.forEach(outcome => results.push(`${outcome.passed ? '✅' : '❌'} ${outcome.name} (${outcome.duration}ms)`));
+    for (const outcome of outcomes.filter(candidate => !candidate.passed)) {
+      results.push('', `❌ ${outcome.name}:`, this.indentResults(outcome.results, '  '));
+    }
+    results.push(...conflicts.map(conflict => `⚠️ Context key '${conflict.key}' was written by workflows ${conflict.writers.map(index => names[index]).join(', ')}; keeping the last value`));
+
+    const passedCount = outcomes.filter(outcome => outcome.passed).length;
+    results.push(`\n📋 Summary: ${passedCount} of ${names.length} workflows passed in ${duration}ms`);
+
+    if (args.saveResults) {
+      report.duration = duration;
+      results.push(await this.saveReport(report));
+    }
+
+    return this.workflowResult(results, passedCount === names.length);
+  }
+
+  /**
+   * Run a workflow and add its steps to a report, as a suite named after the workflow
+   * (and `label`, if given). Resources created by its steps and not deleted by them
+   * are deleted afterwards, unless `cleanup` (default `workflowCleanup`) is false.
+   * @param {string} workflowName - The key of the workflow in the configuration.
+   * @param {object} options - `{ args, row, label, context, metrics, session, stopOnError, cleanup, report }`;
+   *   `row` is the dataset row the steps read as `{{row.column}}`, and `session` the MCP
+   *   session whose tools the steps call.
+   * @returns {Promise<{passed: boolean, results: Array<string>, records: Array<object>, duration: number}>}
+   */
+  async executeWorkflow(workflowName, { args = {}, row, label, context, metrics, session = null, stopOnError, cleanup, report }) {
+    const workflow = this.config.workflows[workflowName];
+    const results = [];
+    const startTime = Date.now();
+    // `created` tracks the resources POSTed by the run's steps, oldest first
+    const run = { name: label ? `${workflow.name} [${label}]` : workflow.name, metrics, session, stopOnError, report, created: [] };
+    const records = [];
+    
+    results.push(`🚀 Starting workflow: ${run.name}`);
+    results.push(workflow.description ? `📋 ${workflow.description}\n` : '');
+
+    const passed = await this.runWorkflowBody(workflow, {
+      run,
+      context,
+      results,
+      // Outcomes of the executed steps, readable from templates as `steps[n]`
+      records,
+      vars: row ? { args, row } : { args },
+      path: '',
+      stack: [workflowName]
+    });
+
+    if (cleanup ?? workflow.cleanup ?? this.config.workflowCleanup ?? true) {
+      await this.cleanupWorkflowResources(run, results);
+    }
+
+    const duration = Date.now() - startTime;
+    results.push(`\n🎉 Workflow finished in ${duration}ms.`);
+    return { passed, results, records, duration };
+  }
+
+  /**
+   * Run the steps of a workflow, then its `finally` steps. Teardown steps run
+   * even when a step failed and do not stop at their own failures; a failed
+   * teardown step fails the workflow.
+   */
+  async runWorkflowBody(workflow, frame) {
+    let passed = await this.runWorkflowSteps(workflow.steps || [], frame);
+    if (workflow.finally?.length > 0) {
+      frame.results.push('🧹 Teardown');
+      const teardown = { ...frame, run: { ...frame.run, stopOnError: false }, path: `${frame.path}Teardown › ` };
+      passed = await this.runWorkflowSteps(workflow.finally, teardown) && passed;
+    }
+    return passed;
+  }
+
+  /**
+   * Delete the resources a workflow run created and did not delete, newest
+   * first. The sweep is best effort: failures are reported as warnings in a
+   * separate `<workflow> cleanup` suite and do not fail the workflow.
+   */
+  async cleanupWorkflowResources(run, results) {
+    if (run.created.length === 0) {
+      return;
+    }
+
+    results.push(`\n🧹 Cleanup: deleting ${run.created.length} resource(s) created during the run`);
+    const suite = `${run.name} cleanup`;
+    for (const resource of [...run.created].reverse()) {
+      const name = `DELETE ${resource.endpointName} ${resource.id}`;
+      const startTime = Date.now();
+      try {
+        const { url, headers } = this.buildRequestTarget('DELETE', resource.operation, { ...resource.pathParams, id: resource.id });
+        const response = await this.httpClient.request('DELETE', url, null, { headers, security: resource.operation.security });
+        results.push(`  🗑️ Deleted ${resource.endpointName} ${resource.id}`);
+        this.reportGenerator.addCase(run.report, suite, {
+          name,
+          status: 'passed',
+          duration: Date.now() - startTime,
+          request: { method: 'DELETE', url },
+          response: { status: response.status, duration: response.duration, headers: response.headers, body: response.data }
+        });
+      } catch (error) {
+        // Deleting a parent can take its children with it
+        const gone = error.status === 404;
+        results.push(gone
+          ? `  🗑️ ${resource.endpointName} ${resource.id} was already deleted`
+          : `  ⚠️ Could not delete ${resource.endpointName} ${resource.id}: ${error.message}`);
+        this.reportGenerator.addCase(run.report, suite, {
+          name,
+          status: gone ? 'passed' : 'warning',
+          duration: Date.now() - startTime,
+          warnings: gone ? [] : [error.message]
+        });
+      }
+    }
+    run.created = [];
+  }
+
+  /**
+   * Run a list of workflow steps in a frame: the test context, results, step
+   * records, template variables and report path of a workflow, loop
+   * iteration, step group or parallel branch. Returns whether every step passed.
+   */
+  async runWorkflowSteps(steps, frame) {
+    let passed = true;
+    for (const [index, step] of steps.entries()) {
+      const title = `Step ${index + 1}: ${this.describeStep(step)}`;
+
+      // Steps that are not run after a failure are reported as skipped
+      if (!passed && frame.run.stopOnError) {
+        frame.records.push({ action: step.action, status: 'skipped' });
+        this.reportGenerator.addCase(frame.run.report, frame.run.name, {
+          name: `${frame.path}${title}`,
+          status: 'skipped',
+          message: 'Not run because an earlier step failed'
+        });
+        continue;
+      }
+
+      frame.results.push(`📍 ${title}`);
+      passed = await this.runWorkflowStep(step, `${frame.path}${title}`, frame) && passed;
+      frame.results.push('');
+    }
+    return passed;
+  }
+
+  /**
+   * Run one workflow step: check its `if` condition, then run it as a loop,
+   * a sub-workflow, a step group or a tool call. Returns whether it passed.
+   */
+  async runWorkflowStep(step, caseName, frame) {
+    const record = { action: step.action, status: 'passed' };
+    frame.records.push(record);
+
+    if (step.if !== undefined) {
+      let met;
+      try {
+        met = this.evaluateCondition(step.if, this.getTemplateScope(frame));
+      } catch (error) {
+        return this.failWorkflowStep(error, caseName, frame, record);
+      }
+      if (!met) {
+        record.status = 'skipped';
+        frame.results.push('⏭️ Skipped: condition not met');
+        this.reportGenerator.addCase(frame.run.report, frame.run.name, { name: caseName, status: 'skipped', message: 'Condition not met' });
+        return true;
+      }
+    }
+
+    if (step.forEach !== undefined) {
+      return this.runForEachStep(step, caseName, frame, record);
+    }
+    if (step.parallel) {
+      return this.runParallelStep(step, caseName, frame, record);
+    }
+    if (step.workflow) {
+      return this.runSubWorkflowStep(step, caseName, frame, record);
+    }
+    if (step.steps) {
+      const child = this.createChildFrame(frame, `${caseName} › `, frame.vars);
+      const passed = await this.runWorkflowSteps(step.steps, child);
+      return this.finishNestedStep(passed, child, frame, record, `${child.records.filter(stepRecord => stepRecord.status === 'failed').length} nested step(s) failed`);
+    }
+    return this.runActionStep(step, caseName, frame, record);
+  }
+
+  /**
+   * Run a step that calls a tool, optionally polling it with `repeat`, then
+   * check its `expect` block and save its `extract` values
+   */
+  async runActionStep(step, caseName, frame, record) {
+    const { results, run } = frame;
+    const stepStart = Date.now();
+    let exchange = null;
+
+    try {
+      if (!step.action) {
+        throw new Error('A step needs an action, a workflow, forEach, parallel or steps');
+      }
+      const scope = this.getTemplateScope(frame);
+      const stepArgs = this.templateEngine.render(step.args || {}, scope);
+      const expect = step.expect ? this.templateEngine.render(step.expect, scope) : undefined;
+      record.args = stepArgs;
+
+      // An error response can be what the step expects, e.g. `expect: { status: 404 }`
+      const call = step.repeat
+        ? await this.pollWorkflowStep(step, stepArgs, this.templateEngine.render(step.repeat, scope), frame)
+        : await this.callWorkflowAction(step.action, stepArgs, expect?.status !== undefined, frame);
+
+      if (call.output) {
+        results.push(call.output.split('\n').map(line => `  | ${line}`).join('\n'));
+      }
+
+      exchange = call.exchange;
+      Object.assign(record, { request: exchange?.request, response: exchange?.response });
+      if (expect) {
+        this.checkStepExpectations({ ...step, expect }, exchange, results);
+      }
+
+      if (step.extract) {
+        if (!exchange?.response) {
+          throw new Error(`Cannot extract values: '${step.action}' does not return an HTTP response`);
+        }
+        const saved = this.applyExtract(step.extract, exchange.response, frame.context);
+        results.push(`  📥 Saved to context: ${saved.join(', ')}`);
+      }
+      
+      results.push(`✅ Completed`);
+      const warnings = this.getViolationMessages(exchange?.validation);
+      this.reportGenerator.addCase(run.report, run.name, {
+        name: caseName,
+        status: warnings.length > 0 ? 'warning' : 'passed',
+        duration: Date.now() - stepStart,
+        request: exchange?.request,
+        response: exchange?.response,
+        warnings
+      });
+      return true;
+    } catch (error) {
+      return this.failWorkflowStep(error, caseName, frame, record, exchange, stepStart);
+    }
+  }
+
+  /**
+   * Call the tool of a step. With `acceptErrorResponse`, a failed call that
+   * returned an HTTP response is returned like a successful one.
+   */
+  async callWorkflowAction(action, args, acceptErrorResponse, frame) {
+    try {
+      const result = await this.handleToolCall(action, args, frame.context, frame.run.metrics, frame.run.session);
+      this.trackCreatedResources(frame.run, result.exchange);
+      return { output: result.content?.[0]?.text, exchange: result.exchange };
+    } catch (error) {
+      this.trackCreatedResources(frame.run, error.exchange);
+      if (!acceptErrorResponse || !error.exchange?.response) {
+        throw error;
+      }
+      return { output: `${error.message}${this.formatErrorDetails(error)}`, exchange: error.exchange };
+    }
+  }
+
+  /**
+   * Track the resource a call created, or stop tracking the one it deleted
+   */
+  trackCreatedResources(run, exchange) {
+    if (exchange?.created) {
+      run.created.push(exchange.created);
+    }
+    if (exchange?.deleted) {
+      // In place: teardown steps run with a copy of the run that shares the list
+      const { endpointName, id } = exchange.deleted;
+      const index = run.created.findIndex(resource => resource.endpointName === endpointName && String(resource.id) === String(id));
+      if (index !== -1) {
+        run.created.splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Call a step's tool until its response meets `repeat.until`, waiting
+   * `repeat.interval` ms between attempts, for at most `repeat.timeout` ms
+   * or `repeat.maxAttempts` attempts
+   */
+  async pollWorkflowStep(step, args, repeat, frame) {
+    const { until, interval = 1000, timeout = 30000, maxAttempts } = repeat;
+    if (!until) {
+      throw new Error('repeat needs an until condition, e.g. { until: { body: { "$.status": "shipped" } } }');
+    }
+
+    const startTime = Date.now();
+    for (let attempt = 1; ; attempt++) {
+      const call = await this.callWorkflowAction(step.action, args, true, frame);
+      const response = call.exchange?.response;
+      const checks = response
+        ? this.assertionEvaluator.evaluate(until, response)
+        : [{ passed: false, description: 'step returns an HTTP response', actual: `no response from '${step.action}'` }];
+      const failed = checks.filter(check => !check.passed);
+      frame.results.push(`  🔁 Attempt ${attempt}: ${response ? `status ${response.status}, ` : ''}${failed.length === 0
+        ? 'condition met'
+        : failed.map(check => `${check.description} (got ${check.actual})`).join(', ')}`);
+      if (failed.length === 0) {
+        return call;
+      }
+
+      const elapsed = Date.now() - startTime;
+      if ((maxAttempts && attempt >= maxAttempts) || elapsed + interval > timeout) {
+        const error = new Error(`Condition not met after ${attempt} attempt(s) in ${elapsed}ms`);
+        error.assertions = failed;
+        error.exchange = call.exchange;
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+  }
+
+  /**
+   * Run the steps of a `forEach` step once per item of its list, with the item
+   * available to templates under `as` (default `item`) and its position as `index`
+   */
+  async runForEachStep(step, caseName, frame, record) {
+    const { results, run } = frame;
+    const name = step.as || 'item';
+    let items;
+    try {
+      if (RESERVED_ITEM_NAMES.includes(name)) {
+        throw new Error(`forEach cannot use '${name}' as the item name`);
+      }
+      items = this.templateEngine.render(step.forEach, this.getTemplateScope(frame));
+      if (!Array.isArray(items)) {
+        throw new Error(`forEach must resolve to a list, got ${items === null ? 'null' : typeof items}`);
+      }
+    } catch (error) {
+      return this.failWorkflowStep(error, caseName, frame, record);
+    }
+
+    // Without nested steps, the step itself is run for each item
+    const { forEach: _forEach, as: _as, if: _if, name: _name, description: _description, ...body } = step;
+    const steps = step.steps || [body];
+
+    results.push(`  🔁 ${items.length} iteration(s)`);
+    record.iterations = [];
+    let passed = true;
+    for (const [index, item] of items.entries()) {
+      if (!passed && run.stopOnError) {
+        this.reportGenerator.addCase(run.report, run.name, {
+          name: `${caseName} › Iteration ${index + 1}`,
+          status: 'skipped',
+          message: 'Not run because an earlier iteration failed'
+        });
+        continue;
+      }
+
+      const child = this.createChildFrame(frame, `${caseName} › Iteration ${index + 1} › `, { ...frame.vars, [name]: item, index });
+      const iterationPassed = await this.runWorkflowSteps(steps, child);
+      results.push(`  ${iterationPassed ? '✅' : '❌'} Iteration ${index + 1}/${items.length}`);
+      results.push(this.indentResults(child.results, '    '));
+      record.iterations.push({ [name]: item, status: iterationPassed ? 'passed' : 'failed', steps: child.records });
+      passed = iterationPassed && passed;
+    }
+
+    const failedCount = record.iterations.filter(iteration => iteration.status === 'failed').length;
+    record.status = passed ? 'passed' : 'failed';
+    results.push(passed ? `✅ Completed ${items.length} iteration(s)` : `❌ Failed: ${failedCount} of ${items.length} iteration(s) failed`);
+    return passed;
+  }
+
+  /**
+   * Run the branches of a `parallel` step concurrently, at most `concurrency`
+   * at a time. Each branch works on a copy of the test context; the writes of
+   * all branches are merged back in branch order once they have finished.
+   */
+  async runParallelStep(step, caseName, frame, record) {
+    const { results } = frame;
+    const branches = step.parallel;
+    const limit = step.concurrency || this.config.workflowConcurrency || 4;
+    results.push(`  🔀 ${branches.length} branch(es), up to ${limit} at a time`);
+
+    const outcomes = await mapWithConcurrency(branches, limit, async (branch, index) => {
+      const child = this.createChildFrame(frame, `${caseName} › Branch ${index + 1} › `, frame.vars);
+      child.context = new Map(frame.context);
+      return { passed: await this.runWorkflowSteps([branch], child), child };
+    });
+    const conflicts = this.mergeContextWrites(frame.context, outcomes.map(outcome => outcome.child.context));
+
+    outcomes.forEach(({ passed, child }, index) => {
+      results.push(`  ${passed ? '✅' : '❌'} Branch ${index + 1}/${branches.length}`);
+      results.push(this.indentResults(child.results, '    '));
+    });
+    for (const conflict of conflicts) {
+      results.push(`  ⚠️ Context key '${conflict.key}' was written by branches ${conflict.writers.map(index => index + 1).join(', ')}; keeping the value of branch ${conflict.writers[conflict.writers.length - 1] + 1}`);
+    }
+
+    record.branches = outcomes.map(({ passed, child }) => ({ status: passed ? 'passed' : 'failed', steps: child.records }));
+    const failedCount = outcomes.filter(outcome => !outcome.passed).length;
+    record.status = failedCount === 0 ? 'passed' : 'failed';
+    results.push(failedCount === 0 ? `✅ Completed ${branches.length} branch(es)` : `❌ Failed: ${failedCount} of ${branches.length} branch(es) failed`);
+    return failedCount === 0;
+  }
+
+  /**
+   * Apply the writes made to copies of a context back to it, in order. Returns
+   * the keys written by more than one copy, with the indexes of the writers.
+   */
+  mergeContextWrites(context, copies) {
+    const original = new Map(context);
+    const writers = new Map();
+    const write = (key, index) => writers.set(key, [...(writers.get(key) || []), index]);
+
+    copies.forEach((copy, index) => {
+      for (const [key, value] of copy) {
+        if (!original.has(key) || original.get(key) !== value) {
+          context.set(key, value);
+          write(key, index);
+        }
+      }
+      for (const key of original.keys()) {
+        if (!copy.has(key)) {
+          context.delete(key);
+          write(key, index);
+        }
+      }
+    });
+
+    return [...writers].filter(([, indexes]) => indexes.length > 1).map(([key, indexes]) => ({ key, writers: indexes }));
+  }
+
+  /**
+   * Run another workflow as a step. Its templates read the step's rendered
+   * `args` as `{{args.name}}`; the test context is shared.
+   */
+  async runSubWorkflowStep(step, caseName, frame, record) {
+    let workflow;
+    let args;
+    try {
+      workflow = this.config.workflows[step.workflow];
+      if (!workflow) {
+        throw new Error(`Unknown workflow: ${step.workflow}`);
+      }
+      if (frame.stack.includes(step.workflow)) {
+        throw new Error(`Workflow '${step.workflow}' calls itself: ${[...frame.stack, step.workflow].join(' → ')}`);
+      }
+      args = this.templateEngine.render(step.args || {}, this.getTemplateScope(frame));
+    } catch (error) {
+      return this.failWorkflowStep(error, caseName, frame, record);
+    }
+
+    record.args = args;
+    frame.results.push(`  ↪️ Running workflow: ${workflow.name}`);
+    const child = this.createChildFrame(frame, `${caseName} › `, { args });
+    child.stack = [...frame.stack, step.workflow];
+    const passed = await this.runWorkflowBody(workflow, child);
+    return this.finishNestedStep(passed, child, frame, record, `workflow '${step.workflow}' failed`);
+  }
+
+  /**
+   * Append the output of a step group or sub-workflow and record its outcome
+   */
+  finishNestedStep(passed, child, frame, record, failureMessage) {
+    frame.results.push(this.indentResults(child.results, '  '));
+    record.steps = child.records;
+    record.status = passed ? 'passed' : 'failed';
+    frame.results.push(passed ? '✅ Completed' : `❌ Failed: ${failureMessage}`);
+    return passed;
+  }
+
+  /**
+   * Record a failed step in the results, the report and its step record
+   */
+  failWorkflowStep(error, caseName, frame, record, exchange = null, stepStart = Date.now()) {
+    const { results, run } = frame;
+    exchange = exchange || error.exchange;
+    Object.assign(record, { status: 'failed', error: error.message, request: exchange?.request, response: exchange?.response });
+    results.push(`❌ Failed: ${error.message}`);
+    const details = this.formatErrorDetails(error);
+    if (details) {
+      results.push(details.trim().split('\n').map(line => `  | ${line}`).join('\n'));
+    }
+    this.reportGenerator.addCase(run.report, run.name, {
+      name: caseName,
+      status: 'failed',
+      duration: Date.now() - stepStart,
+      request: exchange?.request,
+      response: exchange?.response,
+      failures: [
+        error.message,
+        ...(error.assertions || []).map(result => `${result.description} (got ${result.actual})`),
+        ...this.getViolationMessages(error.validation)
+      ]
+    });
+    return false;
+  }
+
+  /**
+   * Create the frame of a loop iteration, step group or sub-workflow
+   */
+  createChildFrame(frame, path, vars) {
+    return { run: frame.run, context: frame.context, results: [], records: [], vars, path, stack: frame.stack };
+  }
+
+  /**
+   * The values a step's templates can read. `shared` holds the shared
+   * context keys without their `shared:` prefix.
+   */
+  getTemplateScope(frame) {
+    const shared = [...frame.context]
+      .filter(([key]) => key.startsWith(SHARED_CONTEXT_PREFIX))
+      .map(([key, value]) => [key.slice(SHARED_CONTEXT_PREFIX.length), value]);
+    return { ...frame.vars, ctx: Object.fromEntries(frame.context), shared: Object.fromEntries(shared), env: process.env, steps: frame.records };
+  }
+
+  /**
+   * Evaluate an `if` condition. A string is rendered and checked for
+   * truthiness; an object (or list of objects) holds a `path` into the
+   * template scope, e.g. `ctx.order.status`, and body matchers such as
+   * `equals` or `exists`, all of which must pass.
+   */
+  evaluateCondition(condition, scope) {
+    if (typeof condition === 'boolean') {
+      return condition;
+    }
+    if (typeof condition === 'string') {
+      const value = this.templateEngine.render(condition, scope);
+      return Boolean(value) && value !== 'false' && value !== '0';
+    }
+
+    const checks = (Array.isArray(condition) ? condition : [condition]).map(check => {
+      if (typeof check?.path !== 'string') {
+        throw new Error('An if condition needs a path, e.g. { path: "ctx.order.status", equals: "shipped" }');
+      }
+      const path = /^[$/]/.test(check.path) ? check.path : `$.${check.path}`;
+      return this.templateEngine.render({ ...check, path }, scope);
+    });
+    return checks.every(check => this.assertionEvaluator.checkBody(check, scope).every(result => result.passed));
+  }
+
+  /**
+   * Describe a step for its title
+   */
+  describeStep(step) {
+    if (step.name || step.description) return step.name || step.description;
+    if (step.workflow) return `workflow ${step.workflow}`;
+    if (step.forEach !== undefined) return `forEach ${step.action || 'steps'}`;
+    if (step.parallel) return 'parallel';
+    return step.action || 'steps';
+  }
+
+  /**
+   * Indent the output of nested steps
+   */
+  indentResults(lines, indent) {
+    return lines.join('\n').trimEnd().split('\n').map(line => line ? `${indent}${line}` : line).join('\n');
+  }
+
+  /**
+   * Evaluate a step's `expect` block against its response and list the results;
+   * throws when any assertion fails
+   */
+  checkStepExpectations(step, exchange, results) {
+    const response = exchange?.response;
+    const assertions = response
+      ? this.assertionEvaluator.evaluate(step.expect, response)
+      : [{ passed: false, description: 'step returns an HTTP response', actual: `no response from '${step.action}'` }];
+
+    results.push('  🔎 Assertions:');
+    results.push(this.assertionEvaluator.formatResults(assertions, '  '));
+
+    const failed = assertions.filter(assertion => !assertion.passed);
+    if (failed.length > 0) {
+      const error = new Error(`${failed.length} of ${assertions.length} assertion(s) failed`);
+      error.assertions = failed;
+      error.exchange = exchange;
+      throw error;
+    }
+  }
+
+  /**
+   * Write a report to the configured reports directory and describe the files written
+   */
+  async saveReport(report) {
+    const files = await this.reportGenerator.save(report, {
+      directory: this.config.reportsDir || './reports',
+      formats: this.config.reportFormats
+    });
+    return `📄 Reports saved:\n${files.map(file => `  - ${file.format}: ${file.path}`).join('\n')}`;
+  }
+
+  /**
+   * Flatten contract violations into report messages
+   */
+  getViolationMessages(validation) {
+    return (validation?.violations || []).map(violation => `${violation.path}: ${violation.message}`);
+  }
+
+  /**
+   * Handle list context tool
+   */
+  async handleListContext(args, testContext) {
+    const keys = [...testContext.keys()].filter(key => !args.prefix || key.startsWith(args.prefix)).sort();
+    if (keys.length === 0) {
+      return this.textResult(testContext.size === 0 ? '📦 The test context is empty' : `📦 No context keys start with '${args.prefix}'`);
+    }
+
+    const lines = [`📦 Test context: ${keys.length} key(s)`];
+    for (const key of keys) {
+      const value = testContext.get(key);
+      lines.push(`-   ${key}: ${this.describeContextValue(value)} ${this.assertionEvaluator.show(value)}`);
+    }
+    return this.textResult(lines.join('\n'));
+  }
+
+  /**
+   * Handle get context tool
+   */
+  async handleGetContext(args, testContext) {
+    const value = this.getContextValue(args.key, testContext);
+    if (args.path) {
+      const { found, value: selected } = evaluatePath(value, args.path);
+      if (!found) {
+        throw new Error(`Path ${args.path} not found in context key '${args.key}'`);
+      }
+      return this.textResult(`📦 ${args.key} ${args.path}: ${this.describeContextValue(selected)}\n\n${JSON.stringify(selected, null, 2)}`);
+    }
+
+    const id = this.resolveContextReferences({ fromContext: args.key }, testContext).id;
+    const idNote = id !== undefined
+      ? `🆔 fromContext: '${args.key}' resolves the id ${JSON.stringify(id)}`
+      : `⚠️ fromContext: '${args.key}' does not resolve an id. It needs an object with an 'id' property, or a string or number`;
+    return this.textResult(`📦 ${args.key}: ${this.describeContextValue(value)}\n${idNote}\n\n${JSON.stringify(value, null, 2)}`);
+  }
+
+  /**
+   * Handle set context tool
+   */
+  async handleSetContext(args, testContext) {
+    if (!args.key) {
+      throw new Error('set_context needs a key');
+    }
+    if (args.value === undefined) {
+      throw new Error(`set_context needs a value for '${args.key}'`);
+    }
+    const replaced = testContext.has(args.key) ? ` (replaced a ${this.describeContextValue(testContext.get(args.key))})` : '';
+    testContext.set(args.key, args.value);
+    return this.textResult(`✅ Saved ${args.key}: ${this.describeContextValue(args.value)}${replaced}`);
+  }
+
+  /**
+   * Handle delete context tool
+   */
+  async handleDeleteContext(args, testContext) {
+    const keys = args.keys || [];
+    const deleted = keys.filter(key => testContext.delete(key));
+    const missing = keys.filter(key => !deleted.includes(key));
+    const lines = [deleted.length > 0 ? `🗑️ Deleted ${deleted.length} key(s): ${deleted.join(', ')}` : '🗑️ Nothing deleted'];
+    if (missing.length > 0) {
+      lines.push(`⚠️ Not set: ${missing.join(', ')}`);
+    }
+    return this.textResult(lines.join('\n'));
+  }
+
+  /**
+   * Handle clear context tool. Shared keys are only deleted by name.
+   */
+  async handleClearContext(args, testContext) {
+    const before = testContext.size;
+    testContext.clear();
+    const kept = testContext.size > 0 ? `; kept ${testContext.size} shared key(s), delete them with delete_context` : '';
+    return this.textResult(`🧹 Cleared ${before - testContext.size} context key(s)${kept}`);
+  }
+
+  /**
+   * Handle get history tool
+   */
+  async handleGetHistory(args, testContext, metrics, session) {
+    const store = session?.store;
+    if (!store) {
+      throw new Error('The run history is only kept with persistence. Enable it with "persistence": { "enabled": true } in apibridge.config.json or --session <name>');
+    }
+
+    const calls = store.getHistory({ limit: args.limit, tool: args.tool });
+    if (calls.length === 0) {
+      return this.textResult(`📜 No calls recorded in session '${store.session}'${args.tool ? ` for ${args.tool}` : ''}`);
+    }
+
+    const lines = [`📜 Session '${store.session}': ${calls.length} call(s)`];
+    for (const call of calls) {
+      const workflow = call.args?.workflow ? ` ${call.args.workflow}` : '';
+      lines.push(`${call.status === 'passed' ? '✅' : '❌'} ${call.at} ${call.tool}${workflow} (${call.duration}ms): ${call.summary}`);
+    }
+    return this.textResult(lines.join('\n'));
+  }
+
+  /**
+   * Get a context value, listing the available keys when it is not set
+   */
+  getContextValue(key, testContext) {
+    if (!testContext.has(key)) {
+      const available = [...testContext.keys()].sort();
+      throw new Error(`Context key '${key}' is not set. ${available.length > 0 ? `Available keys: ${available.join(', ')}` : 'The test context is empty'}`);
+    }
+    return testContext.get(key);
+  }
+
+  /**
+   * Describe the type and size of a context value, e.g. `array (3 items, 120 bytes)`
+   */
+  describeContextValue(value) {
+    const type = this.assertionEvaluator.typeOf(value);
+    const bytes = Buffer.byteLength(JSON.stringify(value) ?? '');
+    if (type === 'array') return `array (${value.length} items, ${bytes} bytes)`;
+    if (type === 'object') return `object (${Object.keys(value).length} keys, ${bytes} bytes)`;
+    if (type === 'string') return `string (${value.length} chars)`;
+    return type;
+  }
+
+  /**
+   * Wrap text in a tool result
+   */
+  textResult(text) {
+    return {
+      content: [{
+        type: 'text',
+        text
+      }]
+    };
+  }
+
+  /**
+   * Handle get metrics tool
+   */
+  async handleGetMetrics(args, testContext, metrics) {
+    const uptime = Date.now() - this.startTime;
+    const metricsData = {
+      uptime: `${Math.floor(uptime / 1000)}s`,
+      requests: {
+        total: metrics.get('requests_total') || 0,
+        successful: metrics.get('requests_successful') || 0,
+        failed: metrics.get('requests_failed') || 0
+      },
+      performance: {
+        averageResponseTime: this.calculateAverageResponseTime(metrics),
+        errors: (metrics.get('errors') || 0) + (metrics.get('critical_errors') || 0),
+        retries: metrics.get('retries_total') || 0,
+        retriedRequests: metrics.get('requests_retried') || 0,
+        contractViolations: metrics.get('responses_invalid') || 0
+      },
+      context: {
+        activeItems: testContext.size,
+        endpoints: Object.keys(this.config.endpoints || {}).length,
+        workflows: Object.keys(this.config.workflows || {}).length
+      }
+    };
+
+    let text;
+    switch (args.format) {
+      case 'json':
+        text = JSON.stringify(metricsData, null, 2);
+        break;
+      case 'table':
+        text = this.formatMetricsTable(metricsData);
+        break;
+      default:
+        text = this.formatMetricsSummary(metricsData);
+    }
+
+    return {
+      content: [{
+        type: 'text',
+        text
+      }]
+    };
+  }
+
+  /**
+   * Calculate average response time
+   */
+  calculateAverageResponseTime(metrics) {
+    const times = metrics.get('response_times') || [];
+    return times.length > 0 
+      ? Math.round(times.reduce((a, b) => a + b, 0) / times.length) 
+      : 0;
+  }
+
+  /**
+   * Format metrics as summary
+   */
+  formatMetricsSummary(metrics) {
+    return `📊 APIBridge MCP Server Metrics
+
+⏱️ Uptime: ${metrics.uptime}
+🔄 Requests: ${metrics.requests.total} total (${metrics.requests.successful} successful, ${metrics.requests.failed} failed)
+⚡ Avg Response Time: ${metrics.performance.averageResponseTime}ms
+❌ Errors: ${metrics.performance.errors}
+🔁 Retries: ${metrics.performance.retries} (${metrics.performance.retriedRequests} requests retried)
+📐 Contract Violations: ${metrics.performance.contractViolations} responses
+
+🔧 Configuration:
+- Endpoints: ${metrics.context.endpoints}
+- Workflows: ${metrics.context.workflows}
+- Active Context Items: ${metrics.context.activeItems}`;
+  }
+
+  /**
+   * Format metrics as table
    */
   formatMetricsTable(metrics) {
     const pad = (str, len) => String(str).padEnd(len);
@@ -487,6 +1986,8 @@ export class ToolManager {
 │ Failed Requests     │ ${pad(metrics.requests.failed, 11)} │
 │ Avg Response (ms)   │ ${pad(metrics.performance.averageResponseTime, 11)} │
 │ Errors              │ ${pad(metrics.performance.errors, 11)} │
+│ Retries             │ ${pad(metrics.performance.retries, 11)} │
+│ Contract Violations │ ${pad(metrics.performance.contractViolations, 11)} │
 ├─────────────────────┼─────────────┤
 │ Endpoints           │ ${pad(metrics.context.endpoints, 11)} │
 │ Workflows           │ ${pad(metrics.context.workflows, 11)} │
@@ -497,7 +1998,7 @@ export class ToolManager {
   /**
    * Handle endpoint-specific tool calls
    */
-  async handleEndpointTool(toolName, args, testContext) {
+  async handleEndpointTool(toolName, args, testContext, metrics) {
     const tool = this.endpointTools.get(toolName);
     const endpoint = this.config.endpoints[tool.endpoint];
     
@@ -508,27 +2009,10 @@ export class ToolManager {
     // Resolve context references
     const resolvedArgs = this.resolveContextReferences(args, testContext);
 
-    // Use the operation-specific path directly from the tool's operation
+    // Build the URL and parameter headers from the operation-specific path
     const operation = tool.operation;
-    const pathToUse = operation.path;
-
-    // Build URL - use the operation-specific path
-    let url = `${this.config.apiBaseUrl}${pathToUse}`;
-    
-    // For operations that require an ID (parameterized paths)
-    if (pathToUse.includes('{')) {
-      if (!resolvedArgs.id) {
-        throw new Error(`ID parameter is required for ${tool.method} operation on ${pathToUse}`);
-      }
-      // Replace path parameters with actual ID
-      url = url.replace(/\{[^}]+\}/g, resolvedArgs.id);
-    }
-
-    // Add query parameters
-    if (resolvedArgs.queryParams) {
-      const params = new URLSearchParams(resolvedArgs.queryParams);
-      url += `?${params.toString()}`;
-    }
+    const { url, headers } = this.buildRequestTarget(tool.method, operation, resolvedArgs);
+    const parameterNames = this.getOperationParameters(operation).map(param => param.name);
 
     // Prepare request data
     let data = null;
@@ -544,7 +2028,7 @@ export class ToolManager {
       
       // Then overlay any individual field parameters (these take precedence)
       for (const [key, value] of Object.entries(resolvedArgs)) {
-        if (!['id', 'queryParams', 'saveToContext', 'fromContext', 'data'].includes(key) && value !== undefined) {
+        if (!['id', 'queryParams', 'saveToContext', 'fromContext', 'extract', 'data', ...parameterNames].includes(key) && value !== undefined) {
           data[key] = value;
         }
       }
@@ -555,22 +2039,278 @@ export class ToolManager {
       }
     }
 
+    let response;
     try {
-      // Map the tool method to HTTP method
-      const httpMethod = tool.method === 'GET_COLLECTION' ? 'GET' : tool.method;
-      const response = await this.httpClient.request(httpMethod, url, data);
+      response = await this.httpClient.request(httpMethod, url, data, {
+        headers,
+        retry: this.getRetryOverride(tool.endpoint, httpMethod),
+        security: operation.security
+      });
+    } catch (error) {
+      this.recordRetries(metrics, error.retries);
+      error.exchange = { request: { method: httpMethod, url, body: data ?? undefined } };
+      if (error instanceof HttpError) {
+        error.validation = this.validateResponse(operation, error, metrics);
+        error.exchange.response = { status: error.status, duration: error.duration, headers: error.headers, body: error.data };
+        error.exchange.validation = error.validation;
+        if (httpMethod === 'DELETE' && error.status === 404) {
+          error.exchange.deleted = this.describeDeletedResource(tool, resolvedArgs);
+        }
+      }
+      const retryNote = error.retries ? ` (after ${error.retries} retries)` : '';
+      // Keep the original error so the response status, headers and body reach the caller
+      error.message = `${tool.method} ${url} failed${retryNote}: ${error.message}`;
+      throw error;
+    }
+    this.recordRetries(metrics, response.retries);
+
+    const validation = this.validateResponse(operation, response, metrics);
+    // Request and response excerpts for reports
+    const exchange = {
+      request: { method: httpMethod, url, body: data ?? undefined },
+      response: { status: response.status, duration: response.duration, headers: response.headers, body: response.data },
+      validation
+    };
+    // Resources created and deleted by workflow steps are tracked for the cleanup sweep
+    if (httpMethod === 'POST' && response.status < 300 && endpoint.operations?.DELETE) {
+      const id = this.extractResourceId(response.data, response.headers, endpoint.operations.GET);
+      if (id !== null) {
+        const pathParams = Object.fromEntries(this.getOperationParameters(operation)
+          .filter(param => param.in === 'path' && resolvedArgs[param.name] !== undefined)
+          .map(param => [param.name, resolvedArgs[param.name]]));
+        exchange.created = { endpointName: tool.endpoint, operation: endpoint.operations.DELETE, pathParams, id };
+      }
+    }
+    if (httpMethod === 'DELETE') {
+      exchange.deleted = this.describeDeletedResource(tool, resolvedArgs);
+    }
+    if (validation.violations.length > 0 && this.getResponseValidationOptions().strict) {
+      const error = new Error(`${tool.method} ${url} returned ${response.status} but the response violates the OpenAPI contract (${validation.violations.length} violation(s))`);
+      error.validation = validation;
+      error.exchange = exchange;
+      throw error;
+    }
       
-      // Save to context if requested
-      if (args.saveToContext && response.data) {
-        testContext.set(args.saveToContext, response.data);
+    // Save to context if requested
+    if (args.saveToContext && response.data) {
+      testContext.set(args.saveToContext, response.data);
+    }
+
+    let extracted = [];
+    if (args.extract) {
+      try {
+        extracted = this.applyExtract(args.extract, exchange.response, testContext);
+      } catch (error) {
+        error.message = `${tool.method} ${url} returned ${response.status} but ${error.message}`;
+        error.exchange = exchange;
+        throw error;
       }
+    }
 
-      return this.formatResponse(httpMethod, tool.endpoint, response);
-    } catch (error) {
-      throw new Error(`${tool.method} ${url} failed: ${error.message}`);
+    const result = this.formatResponse(httpMethod, tool.endpoint, response, validation, extracted);
+    // Not enumerable, so it stays out of the MCP response
+    Object.defineProperty(result, 'exchange', { value: exchange });
+    return result;
+  }
+
+  /**
+   * Identify the resource a DELETE call removed, so it is no longer tracked for cleanup
+   */
+  describeDeletedResource(tool, args) {
+    const itemParam = this.getItemPathParam(tool.operation);
+    return { endpointName: tool.endpoint, id: (itemParam ? args[itemParam] : undefined) ?? args.id };
+  }
+
+  /**
+   * Save values from a response into the test context. Each entry maps a context
+   * key to a JSONPath or JSON Pointer into the body (`$.data.token`, `data.items[0].id`,
+   * `/id`), to `header:<name>` or to `status`; the object form `{ path | header, regex }`
+   * keeps the first capture group of `regex`. Returns the keys saved.
+   */
+  applyExtract(extract, response, testContext) {
+    const saved = [];
+    for (const [key, spec] of Object.entries(extract || {})) {
+      const source = typeof spec === 'string' ? this.parseExtractSource(spec) : spec || {};
+      const { found, value } = this.extractValue(source, response || {});
+      if (!found) {
+        const from = source.header ? `header ${source.header}` : source.path ?? 'the body';
+        throw new Error(`could not extract '${key}': ${from}${source.regex ? ` matching /${source.regex}/` : ''} not found in the response`);
+      }
+      testContext.set(key, value);
+      saved.push(key);
+    }
+    return saved;
+  }
+
+  /**
+   * Parse the string form of an extract source
+   */
+  parseExtractSource(expression) {
+    if (expression === 'status') {
+      return { status: true };
+    }
+    if (/^header:/i.test(expression)) {
+      return { header: expression.slice('header:'.length).trim() };
+    }
+    return { path: expression };
+  }
+
+  /**
+   * Read one extract source from a response
+   */
+  extractValue(source, response) {
+    let result;
+    if (source.header) {
+      const headers = response.headers || {};
+      const name = Object.keys(headers).find(header => header.toLowerCase() === source.header.toLowerCase());
+      result = name === undefined ? { found: false } : { found: true, value: headers[name] };
+    } else if (source.status) {
+      result = { found: response.status !== undefined, value: response.status };
+    } else {
+      // Bare paths such as `data.items[0].id` are relative to the body root
+      const path = source.path ?? '$';
+      result = evaluatePath(response.body, /^[$/]/.test(path) || path === '' ? path : `$.${path}`);
+    }
+
+    if (result.found && source.regex) {
+      const match = String(result.value).match(new RegExp(source.regex));
+      result = match ? { found: true, value: match[1] ?? match[0] } : { found: false };
+    }
+    return result;
+  }
+
+  /**
+   * Get the response validation settings; validation is on and non-strict by default
+   */
+  getResponseValidationOptions() {
+    return { enabled: true, strict: false, ...this.config?.responseValidation };
+  }
+
+  /**
+   * Validate a response (or HttpError) against the operation's declared responses
+   */
+  validateResponse(operation, response, metrics) {
+    if (!this.getResponseValidationOptions().enabled) {
+      return { checked: false, statusDeclared: false, schemaChecked: false, violations: [] };
+    }
+
+    const validation = this.responseValidator.validate(operation, response);
+    if (validation.violations.length > 0 && metrics) {
+      metrics.set('responses_invalid', (metrics.get('responses_invalid') || 0) + 1);
+    }
+    return validation;
+  }
+
+  /**
+   * Build the request URL and headers from the operation's parameters. Each path
+   * parameter is substituted by name; `id` fills the item path parameter.
+   */
+  buildRequestTarget(method, operation, args) {
+    const itemParam = this.getItemPathParam(operation);
+    const query = new URLSearchParams();
+    const headers = {};
+    const cookies = [];
+    const missing = [];
+    let path = operation.path;
+
+    for (const param of this.getOperationParameters(operation)) {
+      let value = args[param.name];
+      if ((value === undefined || value === null) && param.in === 'path' && param.name === itemParam) {
+        value = args.id;
+      }
+      if (value === undefined || value === null) {
+        if (param.required) {
+          missing.push(`${param.in} parameter '${param.name}'`);
+        }
+        continue;
+      }
+
+      switch (param.in) {
+        case 'path':
+          path = path.replace(`{${param.name}}`, encodeURIComponent(Array.isArray(value) ? value.join(',') : value));
+          break;
+        case 'query':
+          this.appendQueryParam(query, param, value);
+          break;
+        case 'header':
+          headers[param.name] = Array.isArray(value) ? value.join(',') : String(value);
+          break;
+        case 'cookie':
+          cookies.push(`${param.name}=${encodeURIComponent(value)}`);
+          break;
+      }
+    }
+
+    if (missing.length > 0) {
+      throw new Error(`Missing required ${missing.join(', ')} for ${method} ${operation.path}`);
+    }
+
+    // Undeclared query parameters
+    for (const [name, value] of Object.entries(args.queryParams || {})) {
+      if (value !== undefined && value !== null) {
+        this.appendQueryParam(query, { name }, value);
+      }
+    }
+
+    if (cookies.length > 0) {
+      headers.Cookie = cookies.join('; ');
+    }
+
+    const queryString = query.toString();
+    return {
+      url: `${this.config.apiBaseUrl}${path}${queryString ? `?${queryString}` : ''}`,
+      headers
+    };
+  }
+
+  /**
+   * Serialize a query parameter following its OpenAPI style/explode settings,
+   * or the Swagger 2.0 tab-separated format kept in `x-collectionFormat`
+   */
+  appendQueryParam(query, param, value) {
+    const explode = param.explode ?? (!param.style || param.style === 'form');
+
+    if (Array.isArray(value)) {
+      if (explode) {
+        value.forEach(item => query.append(param.name, item));
+      } else {
+        const separator = param['x-collectionFormat'] === 'tsv' ? '\t' : { spaceDelimited: ' ', pipeDelimited: '|' }[param.style] || ',';
+        query.append(param.name, value.join(separator));
+      }
+    } else if (value && typeof value === 'object') {
+      if (param.style === 'deepObject') {
+        Object.entries(value).forEach(([key, item]) => query.append(`${param.name}[${key}]`, item));
+      } else if (explode) {
+        Object.entries(value).forEach(([key, item]) => query.append(key, item));
+      } else {
+        query.append(param.name, Object.entries(value).flat().join(','));
+      }
+    } else {
+      query.append(param.name, value);
     }
   }
 
+  /**
+   * Resolve per-endpoint retry overrides from `retry.endpoints` in the config.
+   * Keys are either an endpoint name ("users") or method-qualified ("POST users").
+   */
+  getRetryOverride(endpointName, httpMethod) {
+    const overrides = this.config.retry?.endpoints || {};
+    return {
+      ...(overrides[endpointName] || {}),
+      ...(overrides[`${httpMethod} ${endpointName}`] || {})
+    };
+  }
+
+  /**
+   * Add the retries spent on a request to the metrics
+   */
+  recordRetries(metrics, retries) {
+    if (!metrics || !retries) return;
+    metrics.set('retries_total', (metrics.get('retries_total') || 0) + retries);
+    metrics.set('requests_retried', (metrics.get('requests_retried') || 0) + 1);
+  }
+
   /**
    * Resolve context references in arguments
    */
@@ -592,20 +2332,27 @@ export class ToolManager {
       if (contextData && typeof contextData === 'object' && contextData.id && !args.id) {
         resolved.id = contextData.id;
       }
+
+      // A single extracted value (e.g. `extract: { userId: '$.id' }`) is used as the id
+      if (['string', 'number'].includes(typeof contextData) && !args.id) {
+        resolved.id = contextData;
+      }
     }
 
     // Handle dynamic foreign key resolution generically
     if (args._dynamicForeignKeys && Array.isArray(args._dynamicForeignKeys)) {
       for (const fkDep of args._dynamicForeignKeys) {
-        const contextKey = `existing_${fkDep.targetEndpoint}`;
+        // Parent resources name their own context key; foreign keys use the listed records
+        const contextKey = fkDep.contextKey || `existing_${fkDep.targetEndpoint}`;
         
         if (testContext.has(contextKey)) {
           const targetData = testContext.get(contextKey);
+          // Use the first listed item's ID, the ID of a single saved record, or an extracted value
+          const foreignKeyValue = Array.isArray(targetData)
+            ? targetData[0]?.id
+            : targetData && typeof targetData === 'object' ? targetData.id : targetData;
           
-          if (Array.isArray(targetData) && targetData.length > 0) {
-            // Use the first item's ID as the foreign key value
-            const foreignKeyValue = targetData[0].id;
-            
+          if (foreignKeyValue !== undefined) {
             // Replace the dynamic marker in all data fields
             const replaceDynamicMarker = (obj, marker, value) => {
               if (typeof obj === 'string') {
@@ -677,12 +2424,19 @@ export class ToolManager {
   /**
    * Format HTTP response for display
    */
-  formatResponse(method, endpointName, response) {
+  formatResponse(method, endpointName, response, validation = null, extracted = []) {
     const icon = this.getMethodIcon(method);
     const status = response.status;
     const data = response.data;
     
-    let text = `${icon} ${method} ${endpointName} | Status: ${status}\n\n`;
+    let text = `${icon} ${method} ${endpointName} | Status: ${status}`;
+    if (response.retries) {
+      text += ` | Retries: ${response.retries}`;
+    }
+    if (extracted.length > 0) {
+      text += ` | 📥 Saved: ${extracted.join(', ')}`;
+    }
+    text += '\n\n';
     
     if (typeof data === 'string') {
       text += data;
@@ -690,6 +2444,10 @@ export class ToolManager {
       text += JSON.stringify(data, null, 2);
     }
 
+    if (validation?.violations.length > 0) {
+      text += `\n\n⚠️ Contract violations (${validation.violations.length}):\n${this.responseValidator.formatViolations(validation.violations)}`;
+    }
+
     return {
       content: [{
         type: 'text',
@@ -698,6 +2456,40 @@ export class ToolManager {
     };
   }
 
+  /**
+   * Format a failed tool call for display, including the API's error response
+   * so the caller can see which field was rejected
+   */
+  formatErrorResponse(error) {
+    return {
+      content: [{
+        type: 'text',
+        text: `❌ Error: ${error.message}${this.formatErrorDetails(error)}`
+      }],
+      isError: true
+    };
+  }
+
+  /**
+   * Format the status, timing and body of an HttpError and any contract
+   * violations; empty for other errors
+   */
+  formatErrorDetails(error) {
+    let text = '';
+    if (error instanceof HttpError) {
+      text += `\n📊 Status: ${error.status} | ⏱️ ${error.duration}ms`;
+      if (error.data !== null && error.data !== undefined && error.data !== '') {
+        const body = typeof error.data === 'string' ? error.data : JSON.stringify(error.data, null, 2);
+        text += `\n\n📋 Response body:\n${body}`;
+      }
+    }
+
+    if (error.validation?.violations.length > 0) {
+      text += `\n\n⚠️ Contract violations (${error.validation.violations.length}):\n${this.responseValidator.formatViolations(error.validation.violations)}`;
+    }
+    return text;
+  }
+
   /**
    * Get emoji icon for HTTP method
    */
@@ -6,9 +6,13 @@ export function parseArguments() {
   const args = process.argv.slice(2);
   const config = {
     openApiFile: null,
+    workflowsDir: null,
+    session: null,
     configFile: './apibridge.config.json',
     verbose: false,
+    transport: null,
     port: null,
+    host: null,
     baseUrl: process.env.API_BASE_URL || 'http://localhost:3000/api',
     apiKey: process.env.API_KEY || ''
   };
@@ -25,6 +29,25 @@ export function parseArguments() {
       case '-c':
         config.configFile = args[++i];
         break;
+      case '--workflows':
+      case '-w':
+        config.workflowsDir = args[++i];
+        break;
+      case '--session':
+      case '-s':
+        config.session = args[++i];
+        break;
+      case '--transport':
+      case '-t':
+        config.transport = args[++i];
+        break;
+      case '--port':
+      case '-p':
+        config.port = Number(args[++i]);
+        break;
+      case '--host':
+        config.host = args[++i];
+        break;
       case '--base-url':
       case '-b':
         config.baseUrl = args[++i];
@@ -68,6 +91,11 @@ Usage: node index.js [options] [openapi-file]
 Options:
   -o, --openapi <file>     OpenAPI specification file (YAML or JSON)
   -c, --config <file>      Configuration file (default: apibridge.config.json)
+  -w, --workflows <dir>    Directory of YAML workflow files (default: ./workflows)
+  -s, --session <name>     Persist the test context and run history in this session
+  -t, --transport <type>   stdio (default) or http
+  -p, --port <port>        Serve MCP over HTTP on this port (default: 8765)
+      --host <address>     Address to bind in HTTP mode (default: 127.0.0.1)
   -b, --base-url <url>     Base URL for the API
   -k, --api-key <key>      API key for authentication
   -v, --verbose            Enable verbose logging
@@ -79,6 +107,9 @@ Examples:
   node index.js --openapi api.yml         # Same as above
   node index.js --config custom.json     # Use custom config
   node index.js api.yml --verbose        # Enable verbose output
+  node index.js api.yml -w ./scenarios   # Load workflow files from ./scenarios
+  node index.js api.yml -s checkout      # Keep context and history in session 'checkout'
+  node index.js api.yml -p 8765          # Serve remote MCP clients on http://127.0.0.1:8765/mcp
 
 Configuration File:
   You can specify the OpenAPI file path in your config file:
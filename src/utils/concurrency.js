@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Runs asynchronous work over a list with a cap on how many
+ * items are in flight at once.
+ */
+
+/**
+ * Map the items of a list through an async worker, running at most `limit`
+ * workers at a time. Results keep the order of the items.
+ * @param {Array<any>} items - The items to process.
+ * @param {number} limit - The maximum number of concurrent workers.
+ * @param {function(any, number): Promise<any>} worker - Called with each item and its index.
+ * @returns {Promise<Array<any>>} The results, in item order.
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(Math.floor(limit) || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return results;
+}
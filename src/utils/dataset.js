@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Loads the rows of data-driven workflow runs from CSV or JSON
+ * files. CSV files have a header row; JSON files hold an array of objects.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Load the rows of a dataset file.
+ * @param {string} filePath - A `.csv` or `.json` file, relative to the working directory.
+ * @returns {Promise<Array<object>>} One object per row, keyed by column name.
+ * @throws {Error} When the file cannot be read or is not a valid dataset.
+ */
+export async function loadDataset(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (!['.csv', '.json'].includes(extension)) {
+    throw new Error(`Unsupported dataset format '${extension || filePath}'. Use a .csv or .json file`);
+  }
+
+  let content;
+  try {
+    content = await fs.readFile(path.resolve(filePath), 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read dataset ${filePath}: ${error.message}`);
+  }
+
+  if (extension === '.csv') {
+    return parseCsv(content, filePath);
+  }
+
+  let rows;
+  try {
+    rows = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON in dataset ${filePath}: ${error.message}`);
+  }
+  if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+    throw new Error(`Dataset ${filePath} must be a JSON array of objects`);
+  }
+  return rows;
+}
+
+/**
+ * Parse CSV content with a header row. Quoted fields may contain commas,
+ * line breaks and doubled quotes. Values that read back as the same number
+ * or boolean are converted (`42`, `true`, but not `007`); the rest stay strings.
+ * @param {string} content - The CSV text.
+ * @param {string} [source] - The file name, for error messages.
+ * @returns {Array<object>} One object per data row.
+ */
+export function parseCsv(content, source = 'CSV') {
+  const records = splitCsvRecords(content.replace(/^\uFEFF/, ''), source)
+    .filter(record => record.fields.length > 1 || record.fields[0] !== '');
+  if (records.length === 0) {
+    return [];
+  }
+
+  const [header, ...rows] = records;
+  const columns = header.fields.map(column => column.trim());
+  return rows.map(({ fields, line }) => {
+    if (fields.length !== columns.length) {
+      throw new Error(`${source}:${line}: expected ${columns.length} values, got ${fields.length}`);
+    }
+    return Object.fromEntries(columns.map((column, index) => [column, convertCsvValue(fields[index])]));
+  });
+}
+
+/**
+ * Split CSV text into records of fields, with the line each record starts on
+ */
+function splitCsvRecords(text, source) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      records.push({ fields: [...fields, field], line: startLine });
+      fields = [];
+      field = '';
+      startLine = ++line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`${source}:${startLine}: unclosed quote`);
+  }
+  if (field !== '' || fields.length > 0) {
+    records.push({ fields: [...fields, field], line: startLine });
+  }
+  return records;
+}
+
+/**
+ * Convert a CSV value to a number or boolean when it round-trips unchanged
+ */
+function convertCsvValue(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value.trim() !== '' && String(Number(value)) === value) return Number(value);
+  return value;
+}
@@ -1,14 +1,35 @@
 /**
  * @fileoverview A wrapper around Axios to handle HTTP requests to the target API.
- * Includes support for authentication, logging, and error handling.
+ * Includes support for authentication, logging, retries, and error handling.
  */
 
 import axios from 'axios';
+import { HttpError } from './http-error.js';
+import { createAuthStrategy, createSchemeStrategy } from '../auth/auth-strategies.js';
+
+// Methods that are safe to repeat without changing server state twice
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Network-level error codes that are worth retrying
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+export const DEFAULT_RETRY_POLICY = {
+  attempts: 3,
+  baseDelay: 200,
+  maxDelay: 5000,
+  jitter: true,
+  retryOnStatus: [408, 429, 500, 502, 503, 504],
+  retryOnNetworkError: true,
+  retryNonIdempotent: false,
+  maxRetryAfter: 60000
+};
 
 export class HttpClient {
   constructor() {
     this.client = null;
     this.config = {};
+    this.auth = null;
+    this.schemeStrategies = new Map();
   }
 
   /**
@@ -25,10 +46,9 @@ export class HttpClient {
       }
     });
 
-    // Add API key if provided
-    if (config.apiKey) {
-      this.client.defaults.headers.common['Authorization'] = `Bearer ${config.apiKey}`;
-    }
+    // Select the default authentication strategy from the auth config block
+    this.auth = createAuthStrategy(config.auth, config.apiKey);
+    this.schemeStrategies.clear();
 
     // Add request interceptor for logging
     this.client.interceptors.request.use(
@@ -64,44 +84,255 @@ export class HttpClient {
   }
 
   /**
-   * Make an HTTP request
+   * Make an HTTP request, retrying transient failures according to the retry policy.
+   * Pass `options.retry` to override the configured policy for this call, and
+   * `options.security` (an OpenAPI security requirement list) to authenticate the
+   * call with the matching scheme credentials instead of the default strategy.
    */
   async request(method, url, data = null, options = {}) {
     if (!this.client) {
       throw new Error('HTTP client not initialized');
     }
 
+    const { retry: retryOverride, security, ...axiosOptions } = options;
+    const authStrategies = this.resolveAuthStrategies(security);
     const config = {
       method: method.toLowerCase(),
       url,
-      ...options
+      ...axiosOptions
     };
 
     if (data && ['post', 'put', 'patch'].includes(config.method)) {
       config.data = data;
     }
 
+    const policy = this.getRetryPolicy(retryOverride);
+    const canRetry = policy.retryNonIdempotent || IDEMPOTENT_METHODS.includes(method.toUpperCase());
+    const startTime = Date.now();
+    let retries = 0;
+    let reauthenticated = false;
+
+    while (true) {
+      try {
+        const response = await this.client.request(await this.applyAuth(config, authStrategies));
+        return {
+          status: response.status,
+          statusText: response.statusText,
+          headers: response.headers,
+          data: response.data,
+          duration: Date.now() - startTime,
+          retries
+        };
+      } catch (error) {
+        // Expired or revoked credentials: let the strategies refresh them once
+        const refreshable = authStrategies.filter(strategy => strategy.refresh);
+        if (error.response?.status === 401 && !reauthenticated && refreshable.length > 0) {
+          reauthenticated = true;
+          const refreshed = await Promise.all(refreshable.map(strategy => strategy.refresh()));
+          if (refreshed.some(Boolean)) {
+            continue;
+          }
+        }
+
+        if (canRetry && retries < policy.attempts && this.isRetryable(error, policy)) {
+          const delay = this.getRetryDelay(error, retries, policy);
+          if (delay !== null) {
+            retries++;
+            if (this.config.enableLogging) {
+              console.error(`[HTTP] Retry ${retries}/${policy.attempts} for ${method.toUpperCase()} ${url} in ${delay}ms`);
+            }
+            await this.sleep(delay);
+            continue;
+          }
+        }
+
+        throw this.toRequestError(error, { method, url, duration: Date.now() - startTime, retries });
+      }
+    }
+  }
+
+  /**
+   * Return a copy of the request config with the given auth strategies applied
+   */
+  async applyAuth(config, strategies) {
+    const request = { ...config, headers: { ...(config.headers || {}) } };
+    if (config.params) {
+      request.params = { ...config.params };
+    }
+    for (const strategy of strategies) {
+      await strategy.apply(request);
+    }
+    return request;
+  }
+
+  /**
+   * Pick the auth strategies for a call from its OpenAPI security requirements.
+   * Requirements are alternatives (OR); the schemes within one requirement are all
+   * applied (AND). Without requirements the default strategy is used, and an empty
+   * list marks a public operation.
+   */
+  resolveAuthStrategies(security) {
+    if (security === undefined || security === null) {
+      return this.auth ? [this.auth] : [];
+    }
+    if (security.length === 0) {
+      return [];
+    }
+
+    for (const requirement of security) {
+      const schemeNames = Object.keys(requirement || {});
+      // An empty requirement object makes authentication optional
+      if (schemeNames.length === 0) {
+        return [];
+      }
+      const strategies = schemeNames.map(name => this.getSchemeStrategy(name));
+      if (strategies.every(Boolean)) {
+        return strategies;
+      }
+    }
+
+    // An explicitly configured auth block is trusted to satisfy the operation;
+    // the Bearer default built from a bare apiKey is not
+    if (this.auth && this.config.auth) {
+      return [this.auth];
+    }
+
+    const options = security
+      .map(requirement => Object.keys(requirement).join(' + '))
+      .join(' or ');
+    throw new Error(`Missing credentials for security scheme ${options}. Configure them under "credentials" in apibridge.config.json`);
+  }
+
+  /**
+   * Get the cached strategy for a named security scheme, creating it on first use.
+   * The top-level apiKey only stands in for the scheme of a spec with a single
+   * scheme, or for schemes whose credential is `{ "useApiKey": true }`; sending
+   * one key under several schemes' names would hide missing credentials.
+   */
+  getSchemeStrategy(name) {
+    if (!this.schemeStrategies.has(name)) {
+      const scheme = this.config.securitySchemes?.[name];
+      const credential = this.config.credentials?.[name];
+      const usesApiKey = credential?.useApiKey || Object.keys(this.config.securitySchemes || {}).length === 1;
+      this.schemeStrategies.set(name, createSchemeStrategy(scheme, credential, usesApiKey ? this.config.apiKey : undefined));
+    }
+    return this.schemeStrategies.get(name);
+  }
+
+  /**
+   * Convert an Axios error into the error thrown to callers
+   */
+  toRequestError(error, { method, url, duration, retries }) {
+    if (error.response) {
+      // The request was made and the server responded with a status code
+      // that falls out of the range of 2xx
+      return new HttpError({
+        method: method.toUpperCase(),
+        url,
+        status: error.response.status,
+        statusText: error.response.statusText,
+        headers: { ...error.response.headers },
+        data: this.parseBody(error.response.data),
+        duration,
+        retries
+      });
+    }
+
+    let requestError;
+    if (error.request) {
+      // The request was made but no response was received
+      requestError = new Error('No response received from server');
+    } else {
+      // Something happened in setting up the request that triggered an Error
+      requestError = new Error(`Request failed: ${error.message}`);
+    }
+    requestError.retries = retries;
+    requestError.duration = duration;
+    return requestError;
+  }
+
+  /**
+   * Parse a response body that Axios left as a string (e.g. a JSON error with a
+   * text/plain content type); non-JSON bodies are returned unchanged
+   */
+  parseBody(data) {
+    if (typeof data !== 'string' || data.trim() === '') {
+      return data ?? null;
+    }
     try {
-      const response = await this.client.request(config);
-      return {
-        status: response.status,
-        statusText: response.statusText,
-        headers: response.headers,
-        data: response.data
-      };
-    } catch (error) {
-      if (error.response) {
-        // The request was made and the server responded with a status code
-        // that falls out of the range of 2xx
-        throw new Error(`HTTP ${error.response.status}: ${error.response.statusText}`);
-      } else if (error.request) {
-        // The request was made but no response was received
-        throw new Error('No response received from server');
-      } else {
-        // Something happened in setting up the request that triggered an Error
-        throw new Error(`Request failed: ${error.message}`);
+      return JSON.parse(data);
+    } catch {
+      return data;
+    }
+  }
+
+  /**
+   * Resolve the effective retry policy from defaults, config and a per-call override.
+   * `retry.attempts` takes precedence over the top-level `retryAttempts`.
+   */
+  getRetryPolicy(override = {}) {
+    const policy = { ...DEFAULT_RETRY_POLICY, ...(this.config.retry || {}) };
+    if (this.config.retry?.attempts === undefined && this.config.retryAttempts !== undefined) {
+      policy.attempts = this.config.retryAttempts;
+    }
+    delete policy.endpoints;
+    return { ...policy, ...(override || {}) };
+  }
+
+  /**
+   * Check whether a failed request should be retried
+   */
+  isRetryable(error, policy) {
+    if (error.response) {
+      return policy.retryOnStatus.includes(error.response.status);
+    }
+    if (error.request) {
+      return policy.retryOnNetworkError && (!error.code || RETRYABLE_ERROR_CODES.includes(error.code));
+    }
+    return false;
+  }
+
+  /**
+   * Compute the delay before the next attempt. Honors Retry-After on 429/503 and
+   * returns null when the server asks us to wait longer than maxRetryAfter.
+   */
+  getRetryDelay(error, retries, policy) {
+    const status = error.response?.status;
+    if (status === 429 || status === 503) {
+      const retryAfter = this.parseRetryAfter(error.response.headers?.['retry-after']);
+      if (retryAfter !== null) {
+        return retryAfter > policy.maxRetryAfter ? null : retryAfter;
       }
     }
+
+    const exponential = Math.min(policy.maxDelay, policy.baseDelay * 2 ** retries);
+    if (!policy.jitter) {
+      return exponential;
+    }
+    // Equal jitter: keep half the backoff, randomize the other half
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+  }
+
+  /**
+   * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Wait for the given number of milliseconds
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
   }
 
   /**
@@ -151,11 +382,10 @@ export class HttpClient {
         this.client.defaults.timeout = newConfig.timeout;
       }
 
-      // Update API key
-      if (newConfig.apiKey) {
-        this.client.defaults.headers.common['Authorization'] = `Bearer ${newConfig.apiKey}`;
-      } else if (newConfig.apiKey === '') {
-        delete this.client.defaults.headers.common['Authorization'];
+      // Rebuild the auth strategies when credentials change
+      if (['apiKey', 'auth', 'credentials', 'securitySchemes'].some(key => key in newConfig)) {
+        this.auth = createAuthStrategy(this.config.auth, this.config.apiKey);
+        this.schemeStrategies.clear();
       }
     }
   }
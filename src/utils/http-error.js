@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Error type thrown by the HttpClient when the target API answers
+ * with a non-2xx status. Keeps the response details so tools can show them.
+ */
+
+export class HttpError extends Error {
+  /**
+   * @param {object} details - Details of the failed request.
+   * @param {string} details.method - The HTTP method of the request.
+   * @param {string} details.url - The requested URL.
+   * @param {number} details.status - The response status code.
+   * @param {string} details.statusText - The response status text.
+   * @param {object} details.headers - The response headers.
+   * @param {*} details.data - The response body, parsed as JSON when possible.
+   * @param {number} details.duration - Total time spent on the request in milliseconds.
+   * @param {number} details.retries - Number of retries made before giving up.
+   */
+  constructor({ method, url, status, statusText, headers = {}, data = null, duration = 0, retries = 0 }) {
+    super(`HTTP ${status}: ${statusText}`);
+    this.name = 'HttpError';
+    this.method = method;
+    this.url = url;
+    this.status = status;
+    this.statusText = statusText;
+    this.headers = headers;
+    this.data = data;
+    this.duration = duration;
+    this.retries = retries;
+  }
+
+  /**
+   * Plain object representation, used when an error is saved or reported
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      method: this.method,
+      url: this.url,
+      status: this.status,
+      statusText: this.statusText,
+      headers: this.headers,
+      data: this.data,
+      duration: this.duration,
+      retries: this.retries
+    };
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Evaluates JSONPath expressions (`$.items[0].id`, `$..name`,
+ * `$.items[?(@.status == 'open')]`) and JSON Pointers (`/items/0/id`) against
+ * response bodies.
+ */
+
+/**
+ * Evaluate a JSONPath expression or JSON Pointer.
+ * @param {any} data - The document to query.
+ * @param {string} expression - A JSONPath starting with `$` or a JSON Pointer starting with `/` (or empty for the root).
+ * @returns {{found: boolean, value: any, values: Array<any>}} `value` is the single match for
+ *   definite paths, or the list of matches for paths with wildcards, filters or recursive descent.
+ */
+export function evaluatePath(data, expression) {
+  const path = String(expression ?? '').trim();
+
+  if (path === '' || path.startsWith('/')) {
+    const result = resolvePointer(data, path);
+    return { ...result, values: result.found ? [result.value] : [] };
+  }
+
+  if (!path.startsWith('$')) {
+    throw new Error(`Invalid path '${path}'. Use a JSONPath starting with '$' or a JSON Pointer starting with '/'`);
+  }
+
+  const segments = parseJsonPath(path);
+  let nodes = [data];
+  for (const segment of segments) {
+    nodes = nodes.flatMap(node => applySegment(node, segment));
+  }
+
+  const definite = segments.every(segment => segment.type === 'key' || segment.type === 'index');
+  return {
+    found: nodes.length > 0,
+    value: definite ? nodes[0] : nodes,
+    values: nodes
+  };
+}
+
+/**
+ * Resolve a JSON Pointer (RFC 6901).
+ * @param {any} data - The document.
+ * @param {string} pointer - The pointer, e.g. `/items/0/name`.
+ * @returns {{found: boolean, value: any}} The value, if the pointer resolves.
+ */
+export function resolvePointer(data, pointer) {
+  if (pointer === '') {
+    return { found: true, value: data };
+  }
+
+  let current = data;
+  for (const rawToken of pointer.slice(1).split('/')) {
+    const token = rawToken.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, token)) {
+      return { found: false, value: undefined };
+    }
+    current = current[token];
+  }
+  return { found: true, value: current };
+}
+
+/**
+ * Split a JSONPath expression into segments
+ */
+function parseJsonPath(path) {
+  const segments = [];
+  let i = 1;
+
+  while (i < path.length) {
+    const recursive = path.startsWith('..', i);
+    if (recursive) {
+      segments.push({ type: 'recursive' });
+      i += 2;
+    } else if (path[i] === '.') {
+      i += 1;
+    }
+
+    if (path[i] === '[') {
+      const end = findClosingBracket(path, i);
+      segments.push(parseBracket(path.slice(i + 1, end).trim(), path));
+      i = end + 1;
+    } else if (path[i] === '*') {
+      segments.push({ type: 'wildcard' });
+      i += 1;
+    } else {
+      const match = path.slice(i).match(/^[^.[\]]+/);
+      if (!match) {
+        if (recursive) continue;
+        throw new Error(`Invalid JSONPath '${path}' at position ${i}`);
+      }
+      segments.push({ type: 'key', key: match[0] });
+      i += match[0].length;
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Find the bracket closing the one at `start`, skipping quoted strings
+ */
+function findClosingBracket(path, start) {
+  let depth = 0;
+  let quote = null;
+  for (let i = start; i < path.length; i++) {
+    const char = path[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[') {
+      depth++;
+    } else if (char === ']' && --depth === 0) {
+      return i;
+    }
+  }
+  throw new Error(`Invalid JSONPath '${path}': unclosed '['`);
+}
+
+/**
+ * Parse the content of a `[...]` segment
+ */
+function parseBracket(content, path) {
+  if (content === '*') {
+    return { type: 'wildcard' };
+  }
+  if (content.startsWith('?')) {
+    return { type: 'filter', filter: parseFilter(content.slice(1).trim().replace(/^\((.*)\)$/s, '$1').trim(), path) };
+  }
+  if (/^-?\d+$/.test(content)) {
+    return { type: 'index', index: Number(content) };
+  }
+  if (/^(-?\d*):(-?\d*)$/.test(content)) {
+    const [start, end] = content.split(':');
+    return { type: 'slice', start: start === '' ? undefined : Number(start), end: end === '' ? undefined : Number(end) };
+  }
+  if (content.includes(',')) {
+    return { type: 'union', keys: content.split(',').map(part => parseLiteral(part.trim())) };
+  }
+  return { type: 'key', key: String(parseLiteral(content)) };
+}
+
+/**
+ * Parse a filter expression such as `@.price < 10` or `@.tags`
+ */
+function parseFilter(expression, path) {
+  const match = expression.match(/^@((?:\.[^\s=!<>]+|\[[^\]]+\])*)\s*(==|!=|<=|>=|<|>|=~)?\s*(.*)$/s);
+  if (!match) {
+    throw new Error(`Unsupported JSONPath filter '${expression}' in '${path}'`);
+  }
+  const [, subPath, operator, operand] = match;
+  return { subPath: `$${subPath}`, operator, operand: operator ? parseLiteral(operand.trim()) : undefined };
+}
+
+/**
+ * Parse a quoted string, number, boolean, null or /regex/ literal
+ */
+function parseLiteral(text) {
+  if (/^(['"]).*\1$/s.test(text)) return text.slice(1, -1);
+  if (/^\/.*\/[a-z]*$/s.test(text)) {
+    const lastSlash = text.lastIndexOf('/');
+    return new RegExp(text.slice(1, lastSlash), text.slice(lastSlash + 1));
+  }
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (text === 'null') return null;
+  if (text !== '' && !isNaN(Number(text))) return Number(text);
+  return text;
+}
+
+/**
+ * Apply one segment to a node, returning the matched children
+ */
+function applySegment(node, segment) {
+  switch (segment.type) {
+    case 'key':
+      return node !== null && typeof node === 'object' && Object.prototype.hasOwnProperty.call(node, segment.key) ? [node[segment.key]] : [];
+    case 'index': {
+      if (!Array.isArray(node)) return [];
+      const index = segment.index < 0 ? node.length + segment.index : segment.index;
+      return index >= 0 && index < node.length ? [node[index]] : [];
+    }
+    case 'slice':
+      return Array.isArray(node) ? node.slice(segment.start, segment.end) : [];
+    case 'union':
+      return segment.keys.flatMap(key => applySegment(node, typeof key === 'number' ? { type: 'index', index: key } : { type: 'key', key: String(key) }));
+    case 'wildcard':
+      return node !== null && typeof node === 'object' ? Object.values(node) : [];
+    case 'recursive':
+      return collectDescendants(node);
+    case 'filter': {
+      const children = Array.isArray(node) ? node : node !== null && typeof node === 'object' ? Object.values(node) : [];
+      return children.filter(child => matchesFilter(child, segment.filter));
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Collect a node and all of its descendants, for `..`
+ */
+function collectDescendants(node) {
+  const nodes = [node];
+  if (node !== null && typeof node === 'object') {
+    for (const child of Object.values(node)) {
+      nodes.push(...collectDescendants(child));
+    }
+  }
+  return nodes;
+}
+
+/**
+ * Check a filter against one candidate
+ */
+function matchesFilter(candidate, { subPath, operator, operand }) {
+  const { found, value } = evaluatePath(candidate, subPath);
+  if (!operator) {
+    return found && value !== null && value !== false;
+  }
+  if (!found) {
+    return operator === '!=';
+  }
+
+  switch (operator) {
+    case '==': return value === operand;
+    case '!=': return value !== operand;
+    case '<': return value < operand;
+    case '<=': return value <= operand;
+    case '>': return value > operand;
+    case '>=': return value >= operand;
+    case '=~': return operand instanceof RegExp && operand.test(String(value));
+    default: return false;
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Renders `{{ }}` templates in workflow step arguments. Templates
+ * read the test context (`{{ctx.user.id}}`), environment variables
+ * (`{{env.TENANT}}`) and earlier steps (`{{steps[0].response.body.token}}`), or
+ * call helpers that produce fresh values (`{{uuid}}`, `{{randomEmail}}`,
+ * `{{faker.name}}`). Other values of the scope, such as a loop's `{{item.id}}`,
+ * are read the same way. Expressions with any other root, such as the
+ * generated `{{DYNAMIC_USERS_ID}}` markers, are left untouched.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { evaluatePath } from './json-path.js';
+
+const TEMPLATE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const NAMESPACES = ['ctx', 'env', 'steps'];
+
+const FIRST_NAMES = ['Ada', 'Grace', 'Alan', 'Linus', 'Margaret', 'Dennis', 'Barbara', 'Ken', 'Radia', 'Tim'];
+const LAST_NAMES = ['Lovelace', 'Hopper', 'Turing', 'Torvalds', 'Hamilton', 'Ritchie', 'Liskov', 'Thompson', 'Perlman', 'Berners-Lee'];
+const COMPANIES = ['Acme Corp', 'Globex', 'Initech', 'Umbrella Labs', 'Stark Industries', 'Wayne Enterprises'];
+const CITIES = ['Springfield', 'Riverton', 'Lakewood', 'Fairview', 'Georgetown', 'Madison'];
+const STREETS = ['Main St', 'Oak Ave', 'Maple Dr', 'Cedar Ln', 'Elm St', 'Park Rd'];
+const WORDS = ['alpha', 'bravo', 'delta', 'echo', 'falcon', 'harbor', 'island', 'jasmine', 'kepler', 'lumen'];
+
+const pick = list => list[Math.floor(Math.random() * list.length)];
+const randomInt = (min = 0, max = 1000) => min + Math.floor(Math.random() * (max - min + 1));
+const randomString = (length = 8) => Array.from({ length }, () => 'abcdefghijklmnopqrstuvwxyz0123456789'[randomInt(0, 35)]).join('');
+
+/**
+ * Helpers available in templates. Helpers that take arguments are called as
+ * `{{randomInt(1, 10)}}`; without parentheses they use their defaults.
+ */
+export const TEMPLATE_HELPERS = {
+  uuid: () => uuidv4(),
+  now: () => new Date().toISOString(),
+  today: () => new Date().toISOString().slice(0, 10),
+  timestamp: () => Date.now(),
+  randomInt,
+  randomString,
+  randomEmail: () => `test.${randomString(10)}@example.com`,
+  'faker.firstName': () => pick(FIRST_NAMES),
+  'faker.lastName': () => pick(LAST_NAMES),
+  'faker.name': () => `${pick(FIRST_NAMES)} ${pick(LAST_NAMES)}`,
+  'faker.email': () => `${pick(FIRST_NAMES).toLowerCase()}.${randomString(6)}@example.com`,
+  'faker.username': () => `${pick(FIRST_NAMES).toLowerCase()}_${randomString(6)}`,
+  'faker.company': () => pick(COMPANIES),
+  'faker.phone': () => `555-${String(randomInt(0, 999)).padStart(3, '0')}-${String(randomInt(0, 9999)).padStart(4, '0')}`,
+  'faker.city': () => pick(CITIES),
+  'faker.street': () => `${randomInt(1, 9999)} ${pick(STREETS)}`,
+  'faker.word': () => pick(WORDS),
+  'faker.sku': () => `SKU-${randomString(8).toUpperCase()}`,
+};
+
+export class TemplateEngine {
+  /**
+   * @param {object} [helpers] - Extra helpers, merged over the built-in ones.
+   */
+  constructor(helpers = {}) {
+    this.helpers = { ...TEMPLATE_HELPERS, ...helpers };
+  }
+
+  /**
+   * Render every template in a value. A string that is a single template keeps
+   * the type of the value it resolves to; templates inside longer strings are
+   * interpolated as text.
+   * @param {any} value - A string, array or object containing templates.
+   * @param {{ctx?: object, env?: object, steps?: Array<object>}} scope - The values templates can read, by root name.
+   * @returns {any} The rendered value.
+   */
+  render(value, scope = {}) {
+    if (typeof value === 'string') {
+      return this.renderString(value, scope);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.render(item, scope));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.render(item, scope)]));
+    }
+    return value;
+  }
+
+  /**
+   * Render the templates in a string
+   */
+  renderString(text, scope) {
+    const single = text.match(/^\{\{\s*([^{}]+?)\s*\}\}$/);
+    if (single) {
+      const result = this.evaluate(single[1], scope);
+      return result.handled ? result.value : text;
+    }
+
+    return text.replace(TEMPLATE_PATTERN, (match, expression) => {
+      const result = this.evaluate(expression, scope);
+      if (!result.handled) return match;
+      if (result.value === null || result.value === undefined) return '';
+      return typeof result.value === 'object' ? JSON.stringify(result.value) : String(result.value);
+    });
+  }
+
+  /**
+   * Evaluate one expression. Returns `handled: false` for expressions this
+   * engine does not own, so they are left in place.
+   */
+  evaluate(expression, scope) {
+    const root = [...new Set([...NAMESPACES, ...Object.keys(scope)])]
+      .find(namespace => expression === namespace || expression.startsWith(`${namespace}.`) || expression.startsWith(`${namespace}[`));
+    if (root) {
+      const path = `$${expression.slice(root.length)}`;
+      const { found, value } = evaluatePath(root in scope ? scope[root] : {}, path);
+      if (!found || value === undefined) {
+        throw new Error(`Template {{${expression}}} could not be resolved: '${expression}' is not set`);
+      }
+      return { handled: true, value };
+    }
+
+    const call = expression.match(/^([A-Za-z_][\w.]*)\s*(?:\((.*)\))?$/s);
+    if (call && this.helpers[call[1]]) {
+      return { handled: true, value: this.helpers[call[1]](...this.parseArguments(call[2])) };
+    }
+
+    if (call && call[1].startsWith('faker.')) {
+      throw new Error(`Unknown template helper {{${expression}}}. Available: ${Object.keys(this.helpers).join(', ')}`);
+    }
+    return { handled: false };
+  }
+
+  /**
+   * Parse the comma-separated number and string literals of a helper call
+   */
+  parseArguments(argumentList) {
+    if (!argumentList || !argumentList.trim()) {
+      return [];
+    }
+    return argumentList.split(',').map(argument => {
+      const text = argument.trim();
+      if (/^(['"]).*\1$/.test(text)) return text.slice(1, -1);
+      if (!isNaN(Number(text))) return Number(text);
+      throw new Error(`Invalid template helper argument '${text}'. Use numbers or quoted strings`);
+    });
+  }
+}
@@ -7,8 +7,28 @@
  */
 
 import { OpenAPIParser } from '../src/services/openapi-parser.js';
+import { Swagger2Converter } from '../src/services/swagger2-converter.js';
+import { HttpClient } from '../src/utils/http-client.js';
+import { HttpError } from '../src/utils/http-error.js';
+import { ResponseValidator } from '../src/services/response-validator.js';
+import { EdgeCaseGenerator } from '../src/services/edge-case-generator.js';
+import { ReportGenerator } from '../src/services/report-generator.js';
+import { AssertionEvaluator } from '../src/services/assertion-evaluator.js';
+import { evaluatePath } from '../src/utils/json-path.js';
+import { WorkflowLoader } from '../src/services/workflow-loader.js';
+import { TemplateEngine } from '../src/utils/template-engine.js';
+import { mapWithConcurrency } from '../src/utils/concurrency.js';
+import { loadDataset, parseCsv } from '../src/utils/dataset.js';
+import { ToolManager } from '../src/tools/tool-manager.js';
+import { SessionStore, parseDuration } from '../src/services/session-store.js';
+import { ConfigManager } from '../src/config/config-manager.js';
+import { APIBridgeMCPServer } from '../src/api/server.js';
+import { HttpServer } from '../src/api/http-server.js';
+import { StreamableHTTPServerTransport } from '../src/api/streamable-http-transport.js';
 import assert from 'assert';
+import { randomUUID } from 'crypto';
 import fs from 'fs/promises';
+import http from 'http';
 import path from 'path';
 
 const testDir = path.resolve('./test');
@@ -46,6 +66,84 @@ async function checkThrows(asyncFn, expectedErrorMessage, description) {
     }
   }
 }
+
+/**
+ * Starts a throwaway HTTP server on a random local port.
+ * The handler receives (req, res, body) with the request body already read.
+ */
+async function startTestServer(handler) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => handler(req, res, body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  return {
+    url: `http://127.0.0.1:${port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Creates an initialized HttpClient that does not actually wait between retries.
+ */
+function createTestHttpClient(config = {}) {
+  const client = new HttpClient();
+  client.initialize({ enableLogging: false, ...config });
+  client.delays = [];
+  client.sleep = async (ms) => { client.delays.push(ms); };
+  return client;
+}
+
+/**
+ * Starts an in-memory REST server: POST to any collection path creates a record
+ * with a generated id, and GET/PUT/PATCH/DELETE on `<collection>/<id>` act on it.
+ * Every request is recorded in `requests` as "METHOD /path".
+ */
+async function startCrudServer() {
+  const collections = new Map();
+  const requests = [];
+  let nextId = 1;
+  const server = await startTestServer((req, res, body) => {
+    const urlPath = req.url.split('?')[0];
+    requests.push(`${req.method} ${urlPath}`);
+    const data = body ? JSON.parse(body) : {};
+
+    if (collections.has(urlPath) || req.method === 'POST' || req.method === 'GET') {
+      const records = collections.get(urlPath) || [];
+      if (req.method === 'POST') {
+        const record = { id: `id-${nextId++}`, ...data };
+        collections.set(urlPath, [...records, record]);
+        return sendJson(res, 201, record, { Location: `${urlPath}/${record.id}` });
+      }
+      if (req.method === 'GET' && !urlPath.match(/\/id-\d+$/)) {
+        return sendJson(res, 200, records);
+      }
+    }
+
+    const collectionPath = urlPath.replace(/\/[^/]+$/, '');
+    const id = urlPath.split('/').pop();
+    const records = collections.get(collectionPath) || [];
+    const record = records.find(r => r.id === id);
+    if (!record) return sendJson(res, 404, { error: `Not found: ${urlPath}` });
+    if (req.method === 'DELETE') {
+      collections.set(collectionPath, records.filter(r => r !== record));
+      return sendJson(res, 204);
+    }
+    if (req.method === 'PUT' || req.method === 'PATCH') Object.assign(record, data, { id });
+    sendJson(res, 200, record);
+  });
+  return { ...server, requests, collections };
+}
+
+/**
+ * Sends a JSON response from a test server handler.
+ */
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(data === undefined ? '' : JSON.stringify(data));
+}
 // #endregion
 
 // #region Test Suites
@@ -174,8 +272,6 @@ async function testToolSchemaGeneration() {
   console.log('\n🧪 Running Test Suite 4: Tool Schema Generation...');
   console.log('==================================================\n');
   
-  // Import ToolManager to test schema generation
-  const { ToolManager } = await import('../src/tools/tool-manager.js');
   const parser = new OpenAPIParser();
   
   // Parse a sample API to get endpoints
@@ -291,6 +387,2060 @@ function checkForSchemaIssues(toolName, schema) {
   console.log(`  ✅ Tool ${toolName} schema validation passed.`);
 }
 
+/**
+ * Test Suite 5: HTTP client retry policies.
+ */
+async function testHttpRetries() {
+  console.log('\n🧪 Running Test Suite 5: HTTP Retries...');
+  console.log('=========================================\n');
+
+  let calls = 0;
+  const server = await startTestServer((req, res) => {
+    calls++;
+    if (req.url === '/flaky' && calls < 3) return sendJson(res, 502, { error: 'bad gateway' });
+    if (req.url === '/throttled' && calls === 1) return sendJson(res, 429, { error: 'slow down' }, { 'Retry-After': '2' });
+    if (req.url === '/always-down') return sendJson(res, 503, { error: 'down' });
+    sendJson(res, 200, { ok: true });
+  });
+
+  try {
+    let client = createTestHttpClient({ retryAttempts: 3, retry: { jitter: false, baseDelay: 100 } });
+    const flaky = await client.request('GET', `${server.url}/flaky`);
+    check(flaky.status === 200 && flaky.retries === 2, 'GET should be retried on 502 until it succeeds.');
+    check(client.delays[0] === 100 && client.delays[1] === 200, 'Retry delays should back off exponentially.');
+
+    calls = 0;
+    client = createTestHttpClient({ retry: { jitter: false } });
+    const throttled = await client.request('GET', `${server.url}/throttled`);
+    check(throttled.retries === 1 && client.delays[0] === 2000, 'Retry-After on 429 should determine the retry delay.');
+
+    calls = 0;
+    client = createTestHttpClient({ retryAttempts: 3 });
+    await checkThrows(() => client.request('POST', `${server.url}/flaky`, { a: 1 }), 'HTTP 502', 'POST should not be retried by default.');
+    check(calls === 1, 'Non-idempotent request should hit the server exactly once.');
+
+    calls = 0;
+    const optedIn = await client.request('POST', `${server.url}/flaky`, { a: 1 }, { retry: { retryNonIdempotent: true } });
+    check(optedIn.retries === 2, 'POST should be retried when retryNonIdempotent is set for the call.');
+
+    client = createTestHttpClient({ retryAttempts: 2 });
+    try {
+      await client.request('GET', `${server.url}/always-down`);
+      throw new Error('Expected request to fail');
+    } catch (error) {
+      check(error.retries === 2, 'Errors should report how many retries were attempted.');
+    }
+
+    // ConfigManager always sets retryAttempts, so it must not override retry.attempts
+    check(createTestHttpClient({ retryAttempts: 3, retry: { attempts: 5 } }).getRetryPolicy().attempts === 5, 'retry.attempts should take precedence over retryAttempts.');
+    check(createTestHttpClient({ retryAttempts: 1 }).getRetryPolicy().attempts === 1, 'retryAttempts should apply when retry.attempts is not set.');
+
+    const jittered = createTestHttpClient({ retry: { baseDelay: 1000 } });
+    const delay = jittered.getRetryDelay({}, 0, jittered.getRetryPolicy());
+    check(delay >= 500 && delay <= 1000, 'Jittered delay should stay within half to full backoff.');
+  } finally {
+    await server.close();
+  }
+}
+
+/**
+ * Test Suite 6: HTTP error details are preserved through endpoint tools.
+ */
+async function testHttpErrorDetails() {
+  console.log('\n🧪 Running Test Suite 6: HTTP Error Details...');
+  console.log('===============================================\n');
+
+  const server = await startTestServer((req, res) => {
+    sendJson(res, 400, { error: 'Validation failed', details: [{ field: 'title', message: 'title is required' }] }, { 'X-Request-Id': 'req-42' });
+  });
+
+  try {
+    const parser = new OpenAPIParser();
+    const config = await parser.parseFromFile('./demo-api/sample-api.yml');
+    config.apiBaseUrl = `${server.url}/api`;
+    const toolManager = new ToolManager();
+    toolManager.initialize(config, createTestHttpClient(), null);
+    await toolManager.generateTools(config);
+
+    let thrown;
+    try {
+      await toolManager.handleToolCall('create_post', { content: 'No title' }, new Map(), new Map());
+    } catch (error) {
+      thrown = error;
+    }
+
+    check(thrown instanceof HttpError, 'Failed endpoint calls should throw an HttpError.');
+    check(thrown.status === 400 && thrown.headers['x-request-id'] === 'req-42', 'HttpError should carry the status and response headers.');
+    check(thrown.data.details[0].field === 'title', 'HttpError should carry the parsed response body.');
+    check(typeof thrown.duration === 'number', 'HttpError should carry the request duration.');
+    check(thrown.message.startsWith('POST ') && thrown.message.includes('HTTP 400'), 'HttpError message should name the failed request.');
+
+    const rendered = toolManager.formatErrorResponse(thrown);
+    check(rendered.isError === true, 'Formatted error response should be flagged as an error.');
+    check(rendered.content[0].text.includes('title is required'), 'Formatted error response should include the API error body.');
+  } finally {
+    await server.close();
+  }
+}
+
+/**
+ * Test Suite 7: Authentication strategies.
+ */
+async function testAuthStrategies() {
+  console.log('\n🧪 Running Test Suite 7: Authentication Strategies...');
+  console.log('======================================================\n');
+
+  let tokensIssued = 0;
+  let tokenLifetime = 3600;
+  let rejectToken = null;
+  const server = await startTestServer((req, res, body) => {
+    if (req.url === '/token') {
+      tokensIssued++;
+      const form = new URLSearchParams(body);
+      if (form.get('client_secret') !== 's3cret') return sendJson(res, 401, { error: 'invalid_client' });
+      return sendJson(res, 200, { access_token: `token-${tokensIssued}`, expires_in: tokenLifetime, token_type: 'Bearer' });
+    }
+    if (rejectToken && req.headers.authorization === `Bearer ${rejectToken}`) {
+      return sendJson(res, 401, { error: 'expired' });
+    }
+    sendJson(res, 200, { headers: req.headers, url: req.url });
+  });
+
+  try {
+    let client = createTestHttpClient({ apiKey: 'legacy-key' });
+    let response = await client.get(`${server.url}/echo`);
+    check(response.data.headers.authorization === 'Bearer legacy-key', 'apiKey without an auth block should still be sent as a bearer token.');
+
+    client = createTestHttpClient({ apiKey: 'k-123', auth: { type: 'apiKey', in: 'header', name: 'X-Custom-Key' } });
+    response = await client.get(`${server.url}/echo`);
+    check(response.data.headers['x-custom-key'] === 'k-123', 'apiKey auth should send the key in the configured header.');
+
+    client = createTestHttpClient({ auth: { type: 'apiKey', in: 'query', name: 'key', key: 'q-456' } });
+    response = await client.get(`${server.url}/echo?page=2`);
+    check(response.data.url === '/echo?page=2&key=q-456', 'apiKey auth should append the key to the query string.');
+
+    client = createTestHttpClient({ auth: { type: 'basic', username: 'alice', password: 'pw' } });
+    response = await client.get(`${server.url}/echo`);
+    check(response.data.headers.authorization === `Basic ${Buffer.from('alice:pw').toString('base64')}`, 'basic auth should send encoded credentials.');
+
+    client = createTestHttpClient({
+      auth: { type: 'oauth2', tokenUrl: `${server.url}/token`, clientId: 'app', clientSecret: 's3cret' }
+    });
+    response = await client.get(`${server.url}/echo`);
+    await client.get(`${server.url}/echo`);
+    check(response.data.headers.authorization === 'Bearer token-1', 'oauth2 auth should send the fetched access token.');
+    check(tokensIssued === 1, 'oauth2 auth should cache the access token between requests.');
+
+    rejectToken = 'token-1';
+    response = await client.get(`${server.url}/echo`);
+    check(response.data.headers.authorization === 'Bearer token-2', 'oauth2 auth should fetch a new token after a 401.');
+
+    client.auth.expiresAt = Date.now() - 1;
+    response = await client.get(`${server.url}/echo`);
+    check(response.data.headers.authorization === 'Bearer token-3', 'oauth2 auth should refresh an expired token.');
+
+    // A token shorter-lived than the 30s expiry skew is still cached
+    tokenLifetime = 30;
+    client.auth.expiresAt = Date.now() - 1;
+    await client.get(`${server.url}/echo`);
+    response = await client.get(`${server.url}/echo`);
+    check(response.data.headers.authorization === 'Bearer token-4' && tokensIssued === 4, 'oauth2 auth should cache tokens that expire within the expiry skew.');
+
+    client = createTestHttpClient({
+      auth: { type: 'oauth2', tokenUrl: `${server.url}/token`, clientId: 'app', clientSecret: 'wrong' }
+    });
+    await checkThrows(() => client.get(`${server.url}/echo`), 'Failed to obtain OAuth2 token', 'oauth2 auth should report token endpoint failures.');
+
+    await checkThrows(
+      async () => createTestHttpClient({ auth: { type: 'digest' } }),
+      'Unsupported auth type: digest',
+      'Unknown auth types should be rejected.'
+    );
+    await checkThrows(
+      async () => createTestHttpClient({ auth: { type: 'oauth2', tokenUrl: 'http://x/token' } }),
+      'requires clientId, clientSecret',
+      'oauth2 auth should list missing settings.'
+    );
+  } finally {
+    await server.close();
+  }
+}
+
+/**
+ * Test Suite 8: Per-operation security from OpenAPI securitySchemes.
+ */
+async function testOperationSecurity() {
+  console.log('\n🧪 Running Test Suite 8: Operation Security...');
+  console.log('===============================================\n');
+
+  const parser = new OpenAPIParser();
+  const spec = await parser.parseFromFile(path.join(testDir, 'sample-secured-api.yml'));
+  const notes = spec.endpoints.notes;
+
+  check(spec.securitySchemes.ApiKeyAuth?.in === 'header', 'Parser should expose the spec securitySchemes.');
+  check(Array.isArray(notes.operations.GET_COLLECTION.security) && notes.operations.GET_COLLECTION.security.length === 0, 'Operation-level empty security should mark the operation public.');
+  check(notes.operations.POST.security[0].ApiKeyAuth, 'Operations without security should inherit the global requirement.');
+  check(notes.operations.DELETE.security.length === 2, 'Operation-level security should override the global requirement.');
+
+  const server = await startTestServer((req, res) => sendJson(res, 200, { headers: req.headers }));
+  try {
+    const config = {
+      ...spec,
+      apiBaseUrl: `${server.url}/api`,
+      // The echo server does not return the declared note schemas
+      responseValidation: { enabled: false },
+      credentials: {
+        ApiKeyAuth: 'key-123',
+        AdminBasic: { username: 'admin', password: 'pw' },
+        SessionCookie: { value: 'sess-1' }
+      }
+    };
+    const toolManager = new ToolManager();
+    toolManager.initialize(config, createTestHttpClient(config), null);
+    await toolManager.generateTools(config);
+    const call = async (tool, args = {}) => {
+      const result = await toolManager.handleToolCall(tool, args, new Map(), new Map());
+      return JSON.parse(result.content[0].text.split('\n\n').slice(1).join('\n\n')).headers;
+    };
+
+    let headers = await call('list_notes');
+    check(!headers['x-api-key'] && !headers.authorization, 'Public operations should be sent without credentials.');
+
+    headers = await call('create_note', { title: 'Hello' });
+    check(headers['x-api-key'] === 'key-123', 'apiKey schemes should send the configured key in their header.');
+
+    headers = await call('delete_note', { id: 'n1' });
+    check(headers.authorization.startsWith('Basic '), 'The first satisfiable security alternative should be used.');
+
+    headers = await call('list_audit');
+    check(headers.cookie === 'session=sess-1' && headers['x-api-key'] === 'key-123', 'All schemes of a requirement should be applied together.');
+
+    delete config.credentials.AdminBasic;
+    toolManager.httpClient = createTestHttpClient(config);
+    await checkThrows(
+      () => toolManager.handleToolCall('delete_note', { id: 'n1' }, new Map(), new Map()),
+      'Missing credentials for security scheme BearerAuth or AdminBasic',
+      'Unsatisfied security requirements should produce a clear error.'
+    );
+
+    // A bare apiKey becomes the default Bearer strategy, which must not stand in for basic auth
+    const basicOnly = { ...config, apiKey: 'key-123', credentials: {} };
+    basicOnly.endpoints.notes.operations.DELETE.security = [{ AdminBasic: [] }];
+    toolManager.httpClient = createTestHttpClient(basicOnly);
+    await checkThrows(
+      () => toolManager.handleToolCall('delete_note', { id: 'n1' }, new Map(), new Map()),
+      'Missing credentials for security scheme AdminBasic',
+      'An apiKey alone should not satisfy a basic auth operation.'
+    );
+
+    toolManager.httpClient = createTestHttpClient({ ...basicOnly, auth: { type: 'bearer', token: 'tok-1' } });
+    headers = await call('delete_note', { id: 'n1' });
+    check(headers.authorization === 'Bearer tok-1', 'An explicit auth block should still satisfy operations without scheme credentials.');
+
+    // With several schemes, the apiKey is only used for the schemes mapped to it
+    toolManager.httpClient = createTestHttpClient(basicOnly);
+    await checkThrows(
+      () => toolManager.handleToolCall('create_note', { title: 'Hello' }, new Map(), new Map()),
+      'Missing credentials for security scheme ApiKeyAuth',
+      'An apiKey alone should not stand in for one of several schemes.'
+    );
+    toolManager.httpClient = createTestHttpClient({ ...basicOnly, credentials: { ApiKeyAuth: { useApiKey: true } } });
+    headers = await call('create_note', { title: 'Hello' });
+    check(headers['x-api-key'] === 'key-123', 'Schemes mapped to the apiKey should send it.');
+    toolManager.httpClient = createTestHttpClient({ ...basicOnly, securitySchemes: { ApiKeyAuth: spec.securitySchemes.ApiKeyAuth } });
+    headers = await call('create_note', { title: 'Hello' });
+    check(headers['x-api-key'] === 'key-123', 'The only scheme of a spec should fall back to the apiKey.');
+  } finally {
+    await server.close();
+  }
+}
+
+/**
+ * Test Suite 9: Path, query, header and cookie parameters.
+ */
+async function testOperationParameters() {
+  console.log('\n🧪 Running Test Suite 9: Operation Parameters...');
+  console.log('=================================================\n');
+
+  const specFile = path.join(testDir, 'parameters.yml');
+  await fs.writeFile(specFile, `
+openapi: 3.0.0
+info: { title: Params, version: 1.0.0 }
+paths:
+  /items:
+    get:
+      parameters:
+        - $ref: '#/components/parameters/Limit'
+        - name: status
+          in: query
+          schema: { type: array, items: { type: string, enum: [open, closed] } }
+        - name: X-Tenant-Id
+          in: header
+          required: true
+          schema: { type: string }
+      responses: { '200': { description: ok } }
+  /shelves/{shelfId}/items/{itemId}:
+    parameters:
+      - name: shelfId
+        in: path
+        required: true
+        schema: { type: string }
+    get:
+      parameters:
+        - name: itemId
+          in: path
+          required: true
+          schema: { type: string }
+        - name: session
+          in: cookie
+          schema: { type: string }
+      responses: { '200': { description: ok } }
+components:
+  parameters:
+    Limit:
+      name: limit
+      in: query
+      description: Page size
+      schema: { type: integer, minimum: 1, default: 20 }
+`);
+
+  const server = await startTestServer((req, res) => sendJson(res, 200, { url: req.url, headers: req.headers }));
+  try {
+    const parser = new OpenAPIParser();
+    const config = await parser.parseFromFile(specFile);
+    config.apiBaseUrl = `${server.url}/api`;
+    const toolManager = new ToolManager();
+    toolManager.initialize(config, createTestHttpClient(), null);
+    const tools = await toolManager.generateTools(config);
+
+    const listSchema = tools.find(t => t.name === 'list_items').inputSchema;
+    check(listSchema.properties.limit.type === 'integer' && listSchema.properties.limit.default === 20, 'Query parameters should keep their type and default.');
+    check(listSchema.properties.limit.description.startsWith('Page size'), 'Referenced parameters should be resolved.');
+    check(listSchema.properties.status.items.enum.includes('closed'), 'Query parameters should keep their enums.');
+    check(listSchema.required.includes('X-Tenant-Id'), 'Required header parameters should be listed as required.');
+
+    const getTool = tools.find(t => t.inputSchema.properties.itemId);
+    check(getTool.inputSchema.properties.shelfId, 'Path-level parameters should be merged into the operation.');
+
+    const call = async (tool, args) => {
+      const result = await toolManager.handleToolCall(tool, args, new Map(), new Map());
+      return JSON.parse(result.content[0].text.split('\n\n').slice(1).join('\n\n'));
+    };
+
+    let echo = await call('list_items', { limit: 5, status: ['open', 'closed'], 'X-Tenant-Id': 't-1', queryParams: { q: 'a b' } });
+    check(echo.url === '/api/items?limit=5&status=open&status=closed&q=a+b', 'Query parameters should be serialized with form explode.');
+    check(echo.headers['x-tenant-id'] === 't-1', 'Header parameters should be sent as request headers.');
+
+    echo = await call(getTool.name, { shelfId: 'a/b', id: 'item 1', session: 'xyz' });
+    check(echo.url === '/api/shelves/a%2Fb/items/item%201', 'Each path parameter should be substituted by name and encoded.');
+    check(echo.headers.cookie === 'session=xyz', 'Cookie parameters should be sent in the Cookie header.');
+
+    await checkThrows(
+      () => call(getTool.name, { itemId: 'i1' }),
+      "Missing required path parameter 'shelfId'",
+      'Missing path parameters should be reported by name.'
+    );
+  } finally {
+    await server.close();
+    await fs.unlink(specFile);
+  }
+}
+
+/**
+ * Test Suite 10: Nested sub-resource endpoints and workflows.
+ */
+async function testNestedResources() {
+  console.log('\n🧪 Running Test Suite 10: Nested Resources...');
+  console.log('==============================================\n');
+
+  const parser = new OpenAPIParser();
+  const config = await parser.parseFromFile(path.join(testDir, 'sample-nested-api.yml'));
+  const { orders, orders_items: items, orders_items_notes: notes } = config.endpoints;
+
+  check(orders && items && notes, 'Sub-resources should be modeled as distinct endpoints.');
+  check(orders.operations.GET_COLLECTION.path === '/orders', 'Sub-resources should not overwrite the parent operations.');
+  check(items.parent === 'orders' && items.parentParam === 'orderId', 'Sub-resources should link to their parent endpoint.');
+  check(notes.parent === 'orders_items' && notes.parentParam === 'itemId', 'Deeply nested sub-resources should link to their direct parent.');
+  check(items.operations.GET.toolName === 'get_order_item', 'Sub-resource tool names should include the singular parent.');
+  check(parser.extractEndpointName('/users/{userId}/posts/{postId}') === 'users_posts', 'extractEndpointName should keep parent segments.');
+
+  const toolManager = new ToolManager();
+  toolManager.initialize(config, null, null);
+  const tools = await toolManager.generateTools(config);
+  const names = tools.map(t => t.name);
+  check(new Set(names).size === names.length, 'Generated tool names should be unique.');
+
+  const server = await startCrudServer();
+  try {
+    config.apiBaseUrl = `${server.url}/api`;
+    toolManager.httpClient = createTestHttpClient();
+    const result = await toolManager.handleToolCall(
+      'run_workflow',
+      { workflow: 'orders_items_notes_crud_workflow', stopOnError: true },
+      new Map(),
+      new Map()
+    );
+    const text = result.content[0].text;
+    check(!text.includes('❌'), 'Nested CRUD workflow should complete without failures.');
+    check(server.requests[0] === 'POST /api/orders', 'Nested workflow should create the outermost parent first.');
+    check(server.requests.includes('POST /api/orders/id-1/items/id-2/notes'), 'Nested workflow should pass parent ids into the child path.');
+    check(server.requests.at(-1) === 'DELETE /api/orders/id-1', 'Nested workflow should delete the created parents last.');
+    check(text.includes('🧹 Teardown') && !text.includes('🧹 Cleanup'), 'Parents should be deleted by teardown steps, leaving nothing to sweep.');
+  } finally {
+    await server.close();
+  }
+}
+
+/**
+ * Test Suite 11: Swagger 2.0 specifications.
+ */
+async function testSwagger2Support() {
+  console.log('\n🧪 Running Test Suite 11: Swagger 2.0 Support...');
+  console.log('=================================================\n');
+
+  const parser = new OpenAPIParser();
+  const config = await parser.parseFromFile(path.join(testDir, 'sample-swagger2-api.yml'));
+  const warehouses = config.endpoints.warehouses;
+
+  check(config.servers[0].url === 'http://localhost:7000/api', 'host, basePath and schemes should become a server URL.');
+  check(config.securitySchemes.ApiKeyAuth.name === 'X-API-Key', 'securityDefinitions should become securitySchemes.');
+  check(warehouses.schema?.properties?.capacity?.minimum === 1, 'Body parameters should become request body schemas via definitions.');
+  check(warehouses.schema.properties.manager.properties.email.format === 'email', 'Nested definition references should be resolved.');
+  check(warehouses.operations.POST.security[0].ApiKeyAuth, 'Global security should apply to Swagger 2.0 operations.');
+
+  const listParams = warehouses.operations.GET_COLLECTION.parameters;
+  const region = listParams.find(p => p.name === 'region');
+  check(region.schema.type === 'array' && region.explode === false, 'collectionFormat should become style/explode.');
+  const tags = new Swagger2Converter().convertParameter({ name: 'tags', in: 'query', type: 'array', items: { type: 'string' }, collectionFormat: 'tsv' });
+  const tagsQuery = new URLSearchParams();
+  new ToolManager().appendQueryParam(tagsQuery, tags, ['red', 'blue']);
+  check(tags['x-collectionFormat'] === 'tsv' && tagsQuery.toString() === 'tags=red%09blue', 'tsv parameters should be sent tab-separated.');
+  check(listParams.find(p => p.name === 'limit').schema.default === 25, 'Parameter types and defaults should move into schema.');
+  check(warehouses.operations.GET.parameters[0].name === 'warehouseId', 'Referenced path parameters should be resolved.');
+
+  const photoBody = config.endpoints.warehouses_photos.operations.POST.requestBody;
+  check(photoBody.content['multipart/form-data'].schema.properties.photo.format === 'binary', 'formData parameters should become a form request body.');
+
+  check(config.workflows.warehouses_crud_workflow, 'CRUD workflows should be generated for Swagger 2.0 services.');
+  const createStep = config.workflows.warehouses_crud_workflow.steps.find(step => step.action === 'create_warehouse');
+  check(createStep.args.data.name && createStep.args.data.capacity === 1, 'Workflow sample data should follow the converted definitions.');
+
+  const badVersion = path.join(testDir, 'swagger-1.yml');
+  await fs.writeFile(badVersion, 'swagger: "1.2"\npaths: {}');
+  await checkThrows(() => new OpenAPIParser().parseFromFile(badVersion), 'Unsupported Swagger version: 1.2', 'Unsupported Swagger versions should be rejected.');
+  await fs.unlink(badVersion);
+}
+
+/**
+ * Test Suite 12: Multi-file specifications with external $refs.
+ */
+async function testExternalReferences() {
+  console.log('\n🧪 Running Test Suite 12: External References...');
+  console.log('=================================================\n');
+
+  const parser = new OpenAPIParser();
+  const config = await parser.parseFromFile(path.join(testDir, 'multi-file-api', 'openapi.yaml'));
+  const members = config.endpoints.members;
+
+  check(members?.operations.GET_COLLECTION && members.operations.GET, 'Path items should be loaded from referenced files using escaped pointers.');
+  check(members.operations.GET.parameters[0].name === 'memberId', 'Parameters should resolve from a referenced JSON file.');
+  check(members.schema?.properties?.contact?.properties?.email?.format === 'email', 'Local refs inside a referenced file should resolve against that file.');
+  check(members.schema.properties.legacyId.example === 'LEG-0001', 'JSON pointer ~0 escapes should be decoded.');
+  check(config.unresolvedRefs.length === 0, 'A valid multi-file spec should have no unresolved refs.');
+  check(parser.documents.size === 4, 'Each file, including the root spec referenced back from a path file, should be loaded once.');
+
+  const brokenDir = path.join(testDir, 'broken-refs');
+  await fs.mkdir(brokenDir, { recursive: true });
+  await fs.writeFile(path.join(brokenDir, 'schemas.yaml'), 'Thing:\n  type: object\n');
+  await fs.writeFile(path.join(brokenDir, 'openapi.yaml'), `
+openapi: 3.0.0
+info: { title: Broken, version: 1.0.0 }
+paths:
+  /things:
+    post:
+      requestBody:
+        content:
+          application/json:
+            schema: { $ref: './schemas.yaml#/Missing' }
+      responses: { '201': { description: ok } }
+    get:
+      responses:
+        '200':
+          description: ok
+          content:
+            application/json:
+              schema: { $ref: './nowhere.yaml#/Thing' }
+`);
+  try {
+    const brokenParser = new OpenAPIParser();
+    const broken = await brokenParser.parseFromFile(path.join(brokenDir, 'openapi.yaml'));
+    const missingPointer = broken.unresolvedRefs.find(entry => entry.pointer === '/Missing');
+    check(missingPointer && missingPointer.file.endsWith('schemas.yaml'), 'Unresolved refs should report the file and pointer that failed.');
+    check(broken.unresolvedRefs.some(entry => entry.file.endsWith('nowhere.yaml') && entry.reason.includes('could not load file')), 'Missing referenced files should be reported.');
+  } finally {
+    await fs.rm(brokenDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test Suite 13: Verifies allOf/oneOf composition, discriminators and circular refs.
+ */
+async function testSchemaComposition() {
+  console.log('\n🧪 Running Test Suite 13: Schema Composition...');
+  console.log('=================================================\n');
+
+  const parser = new OpenAPIParser();
+  const config = await parser.parseFromFile(path.join(testDir, 'sample-composition-api.yml'));
+  const employees = config.endpoints.employees;
+
+  check(employees.schema.type === 'object', 'allOf schemas should be merged into an object schema.');
+  check(employees.schema.properties.name && employees.schema.properties.department, 'allOf should combine properties from every member.');
+  check(employees.schema.required.includes('name') && employees.schema.required.includes('department'), 'allOf should combine required lists.');
+  check(employees.schema.properties.manager['x-circular-ref'] === '#/components/schemas/Employee', 'A self-referencing allOf should become a circular placeholder.');
+
+  const employeeSample = parser.generateSampleData(employees.schema, 'employees');
+  check(employeeSample.department === 'Engineering' && typeof employeeSample.name === 'string', 'Sample data should include inherited properties.');
+  check(employeeSample.manager === null, 'Nullable circular properties should be sampled as null.');
+
+  const petSample = parser.generateSampleData(config.endpoints.pets.schema, 'pets');
+  check(petSample.petType === 'dog' && petSample.barkVolume === 7, 'oneOf sample data should use the first discriminator mapping.');
+
+  const catVariant = parser.resolveSchemaReference({ $ref: '#/components/schemas/Pet' }).oneOf[1];
+  check(catVariant.properties.indoor.type === 'boolean', 'oneOf variants should be resolved.');
+
+  const category = config.endpoints.categories.schema;
+  check(category.properties.parent['x-circular-ref'], 'Direct self references should become circular placeholders.');
+  check(category.properties.children.items['x-circular-ref'], 'Recursive array items should become circular placeholders.');
+  check(category.properties.label.type === 'string' && category.properties.label.nullable === true, "type: [X, 'null'] should be normalized to a nullable type.");
+
+  const categorySample = parser.generateSampleData(category, 'categories');
+  check(Array.isArray(categorySample.children) && categorySample.children.length === 0, 'Arrays of a recursive type should be sampled as empty arrays.');
+
+  const toolManager = new ToolManager();
+  toolManager.initialize(config, null, null);
+  const toolSchema = toolManager.generateToolSchema('POST', config.endpoints.categories);
+  check(JSON.stringify(toolSchema).length < 5000, 'Tool input schemas for recursive types should stay finite.');
+  check(toolManager.generateToolSchema('POST', employees).properties.department, 'Tool input schemas should include allOf properties.');
+}
+
+/**
+ * Test Suite 14: Validates responses against the declared status codes and schemas.
+ */
+async function testResponseValidation() {
+  console.log('\n🧪 Running Test Suite 14: Response Validation...');
+  console.log('=================================================\n');
+
+  const specFile = path.join(testDir, 'responses.yml');
+  await fs.writeFile(specFile, `
+openapi: 3.0.0
+info: { title: Responses, version: 1.0.0 }
+paths:
+  /widgets:
+    get:
+      responses:
+        '200':
+          description: ok
+          content:
+            application/json:
+              schema: { type: array, items: { $ref: '#/components/schemas/Widget' } }
+  /widgets/{id}:
+    get:
+      parameters:
+        - { name: id, in: path, required: true, schema: { type: string } }
+      responses:
+        '200': { $ref: '#/components/responses/WidgetResponse' }
+        '404':
+          description: not found
+          content:
+            application/json:
+              schema:
+                type: object
+                required: [error]
+                properties: { error: { type: string } }
+components:
+  responses:
+    WidgetResponse:
+      description: ok
+      content:
+        application/json:
+          schema: { $ref: '#/components/schemas/Widget' }
+  schemas:
+    Widget:
+      type: object
+      required: [id, name, status]
+      properties:
+        id: { type: string, format: uuid }
+        name: { type: string, minLength: 1 }
+        status: { type: string, enum: [active, retired] }
+        price: { type: number, minimum: 0, nullable: true }
+`);
+
+  const validWidget = { id: '8d3f0a4e-1c2b-4d5e-9f60-7a8b9c0d1e2f', name: 'Gear', status: 'active', price: null };
+  const server = await startTestServer((req, res) => {
+    if (req.url.endsWith('/good')) return sendJson(res, 200, validWidget);
+    if (req.url.endsWith('/bad')) return sendJson(res, 200, { id: 'not-a-uuid', name: 42, status: 'lost', price: -1 });
+    if (req.url.endsWith('/teapot')) return sendJson(res, 418, { error: 'short and stout' });
+    if (req.url.endsWith('/missing')) return sendJson(res, 404, { message: 'gone' });
+    return sendJson(res, 200, [validWidget]);
+  });
+  try {
+    const parser = new OpenAPIParser();
+    const spec = await parser.parseFromFile(specFile);
+    const getOperation = spec.endpoints.widgets.operations.GET;
+    check(getOperation.responses['200'].content['application/json'].schema.properties.status.enum, 'Response $refs and schemas should be resolved by the parser.');
+
+    const validator = new ResponseValidator();
+    let validation = validator.validate(getOperation, { status: 200, headers: {}, data: { id: validWidget.id, name: '', status: 'active', extra: true } });
+    check(validation.violations.length === 1 && validation.violations[0].path === '$.name', 'minLength should be validated and unknown properties allowed.');
+    validation = validator.validate(getOperation, { status: 200, headers: {}, data: { id: validWidget.id, status: 'active' } });
+    check(validation.violations[0].message.includes("'name'"), 'Missing required properties should be reported.');
+    validation = validator.validate(getOperation, { status: 500, headers: {}, data: {} });
+    check(!validation.statusDeclared && validation.violations[0].path === 'status', 'Undeclared status codes should be reported.');
+    check(validator.validate({ responses: { '2XX': { description: 'ok' } } }, { status: 204 }).statusDeclared, 'Range status codes should match.');
+
+    const config = { ...spec, apiBaseUrl: `${server.url}/api` };
+    const toolManager = new ToolManager();
+    toolManager.initialize(config, createTestHttpClient(config), null);
+    await toolManager.generateTools(config);
+    const metrics = new Map();
+
+    let result = await toolManager.handleToolCall('get_widget', { id: 'good' }, new Map(), metrics);
+    check(!result.content[0].text.includes('Contract violations'), 'Valid responses should not report violations.');
+
+    result = await toolManager.handleToolCall('get_widget', { id: 'bad' }, new Map(), metrics);
+    const text = result.content[0].text;
+    check(text.includes('⚠️ Contract violations (4)'), 'Each violation should be reported in the tool result.');
+    check(text.includes('$.id: Value "not-a-uuid" is not a valid uuid'), 'Formats should be validated.');
+    check(text.includes('$.name: Expected string but got integer'), 'Types should be validated.');
+    check(text.includes('$.status: Value "lost" is not one of'), 'Enums should be validated.');
+    check(text.includes('$.price: Expected a value of at least 0'), 'Numeric bounds should be validated.');
+    check(metrics.get('responses_invalid') === 1, 'Invalid responses should be counted in the metrics.');
+
+    let error = null;
+    try {
+      await toolManager.handleToolCall('get_widget', { id: 'missing' }, new Map(), metrics);
+    } catch (e) {
+      error = e;
+    }
+    check(error?.validation?.violations[0].message.includes("'error'"), 'Error responses should be validated against their declared schema.');
+    check(toolManager.formatErrorResponse(error).content[0].text.includes('Contract violations'), 'Error results should include contract violations.');
+
+    config.responseValidation = { strict: true };
+    await checkThrows(
+      () => toolManager.handleToolCall('get_widget', { id: 'bad' }, new Map(), metrics),
+      'violates the OpenAPI contract (4 violation(s))',
+      'Strict mode should turn violations into failures.'
+    );
+
+    config.responseValidation = { enabled: false };
+    result = await toolManager.handleToolCall('get_widget', { id: 'bad' }, new Map(), metrics);
+    check(!result.content[0].text.includes('Contract violations'), 'Validation can be disabled.');
+
+    config.responseValidation = undefined;
+    result = await toolManager.handleToolCall('validate_api', { endpoints: ['widgets'] }, new Map(), metrics);
+    check(result.content[0].text.includes('✅ GET /widgets: 200 (matches schema)'), 'validate_api should report responses that match their schema.');
+    check(result.content[0].text.includes('⚠️ GET /widgets/{id}:'), 'validate_api should report contract violations.');
+    result = await toolManager.handleToolCall('validate_api', { endpoints: ['widgets'], strict: true, includeEdgeCases: false }, new Map(), metrics);
+    check(result.content[0].text.includes('1 passed, 0 with contract violations, 1 failed'), 'validate_api strict mode should count violations as failures.');
+  } finally {
+    await server.close();
+    await fs.unlink(specFile);
+  }
+}
+
+/**
+ * Test Suite 15: validate_api happy paths, negative cases and cleanup.
+ */
+async function testApiValidation() {
+  console.log('\n🧪 Running Test Suite 15: API Validation...');
+  console.log('============================================\n');
+
+  const specFile = path.join(testDir, 'validation.yml');
+  await fs.writeFile(specFile, `
+openapi: 3.0.0
+info: { title: Validation, version: 1.0.0 }
+paths:
+  /projects:
+    get:
+      responses: { '200': { description: ok } }
+    post:
+      requestBody:
+        content:
+          application/json:
+            schema: { $ref: '#/components/schemas/Project' }
+      responses: { '201': { description: created }, '400': { description: invalid } }
+  /projects/{projectId}:
+    parameters:
+      - { name: projectId, in: path, required: true, schema: { type: string } }
+    get:
+      responses: { '200': { description: ok }, '404': { description: not found } }
+    put:
+      requestBody:
+        content:
+          application/json:
+            schema: { $ref: '#/components/schemas/Project' }
+      responses: { '200': { description: ok }, '404': { description: not found } }
+    delete:
+      responses: { '204': { description: deleted }, '404': { description: not found } }
+  /projects/{projectId}/tasks:
+    parameters:
+      - { name: projectId, in: path, required: true, schema: { type: string } }
+    post:
+      requestBody:
+        content:
+          application/json:
+            schema:
+              type: object
+              required: [title]
+              properties:
+                title: { type: string }
+      responses: { '201': { description: created } }
+  /projects/{projectId}/tasks/{taskId}:
+    parameters:
+      - { name: projectId, in: path, required: true, schema: { type: string } }
+      - { name: taskId, in: path, required: true, schema: { type: string } }
+    delete:
+      responses: { '204': { description: deleted } }
+components:
+  schemas:
+    Project:
+      type: object
+      required: [name]
+      properties:
+        id: { type: string, readOnly: true }
+        name: { type: string, minLength: 1, example: Apollo }
+        priority: { type: integer, minimum: 1, maximum: 5, example: 3 }
+        status: { type: string, enum: [active, archived] }
+`);
+
+  const projects = new Map();
+  const tasks = new Map();
+  let nextId = 1;
+  const isValidProject = body => typeof body.name === 'string' && body.name.length > 0
+    && (body.priority === undefined || (Number.isInteger(body.priority) && body.priority >= 1 && body.priority <= 5))
+    && (body.status === undefined || ['active', 'archived'].includes(body.status));
+
+  const server = await startTestServer((req, res, body) => {
+    const data = body ? JSON.parse(body) : {};
+    const [, , , projectId, , taskId] = req.url.split('?')[0].split('/');
+    if (taskId) {
+      return tasks.delete(taskId) ? sendJson(res, 204) : sendJson(res, 404, { error: 'not found' });
+    }
+    if (req.url.endsWith('/tasks')) {
+      // Tasks accept anything, so their negative cases should be reported
+      const task = { id: `task-${nextId++}`, projectId, ...data };
+      tasks.set(task.id, task);
+      return sendJson(res, 201, task);
+    }
+    if (!projectId) {
+      if (req.method === 'GET') return sendJson(res, 200, [...projects.values()]);
+      if (!isValidProject(data)) return sendJson(res, 400, { error: 'invalid project' });
+      const project = { id: `project-${nextId++}`, ...data };
+      projects.set(project.id, project);
+      return sendJson(res, 201, project);
+    }
+    if (!projects.has(projectId)) return sendJson(res, 404, { error: 'not found' });
+    if (req.method === 'DELETE') {
+      projects.delete(projectId);
+      return sendJson(res, 204);
+    }
+    if (req.method === 'PUT') {
+      if (!isValidProject(data)) return sendJson(res, 400, { error: 'invalid project' });
+      projects.set(projectId, { ...data, id: projectId });
+    }
+    sendJson(res, 200, projects.get(projectId));
+  });
+
+  try {
+    const parser = new OpenAPIParser();
+    const config = await parser.parseFromFile(specFile);
+    config.apiBaseUrl = `${server.url}/api`;
+    check(config.endpoints.projects.operations.POST.sampleData.name === 'Apollo', 'Operations should carry sample request data.');
+
+    const cases = new EdgeCaseGenerator().generate(config.endpoints.projects.operations.POST.requestSchema, { name: 'Apollo', priority: 3 });
+    check(cases.some(c => c.kind === 'missing-required' && c.field === 'name' && !('name' in c.data)), 'Missing required fields should be derived.');
+    check(cases.some(c => c.kind === 'wrong-type' && c.field === 'priority' && c.data.priority === 'not-a-number'), 'Wrong types should be derived.');
+    check(cases.some(c => c.kind === 'out-of-range' && c.data.priority === 6) && cases.some(c => c.kind === 'out-of-range' && c.data.name === ''), 'Out-of-range values should be derived.');
+    check(cases.some(c => c.kind === 'invalid-enum' && c.field === 'status'), 'Unknown enum values should be derived.');
+    check(!cases.some(c => c.field === 'id'), 'Read-only fields should not get negative cases.');
+
+    const toolManager = new ToolManager();
+    toolManager.initialize(config, createTestHttpClient(config), null);
+    await toolManager.generateTools(config);
+    const result = await toolManager.handleToolCall('validate_api', { endpoints: ['projects_tasks', 'projects'] }, new Map(), new Map());
+    const text = result.content[0].text;
+
+    check(text.indexOf('Testing endpoint: projects\n') < text.indexOf('Testing endpoint: projects_tasks'), 'Parents should be validated before their sub-resources.');
+    check(text.includes('✅ POST /projects: 201'), 'Happy paths should create resources with the sample data.');
+    check(text.includes('✅ GET /projects/{projectId}: 200') && text.includes('✅ PUT /projects/{projectId}: 200'), 'Happy paths should read and update the created resource.');
+    check(text.includes("✅ POST /projects without required 'name': 400"), 'Missing required fields should be rejected.');
+    check(text.includes("✅ POST /projects with wrong type for 'priority': 400"), 'Wrong types should be rejected.');
+    check(text.includes("✅ POST /projects with 'priority' above the maximum 5: 400"), 'Out-of-range values should be rejected.');
+    check(text.includes("✅ POST /projects with unknown enum value for 'status': 400"), 'Unknown enum values should be rejected.');
+    check(text.includes('✅ GET /projects/{projectId} with non-existent id: 404'), 'Non-existent ids should return 404.');
+    check(text.includes('✅ POST /projects/{projectId}/tasks: 201'), 'Sub-resources should be created under a parent created by the run.');
+    check(text.includes("❌ POST /projects/{projectId}/tasks with wrong type for 'title': got 201, expected a 4xx rejection"), 'Accepted invalid input should be reported as a failure.');
+    check(text.includes('🧹 Cleaning up created resources') && text.includes('✅ DELETE /projects/{projectId}: 204'), 'Created resources should be deleted, checking the DELETE operation.');
+    check(projects.size === 0 && tasks.size === 0, 'validate_api should leave no resources behind.');
+    check(text.includes('2 failed'), 'The summary should count the failed checks.');
+
+    const skipped = await toolManager.handleToolCall('validate_api', { endpoints: ['projects_tasks'] }, new Map(), new Map());
+    check(skipped.content[0].text.includes('⏭️ Skipped: no projects id available'), 'Sub-resources without a parent id should be skipped.');
+  } finally {
+    await server.close();
+    await fs.unlink(specFile);
+  }
+}
+
+/**
+ * Test Suite 16: JUnit XML, JSON and Markdown reports.
+ */
+async function testReports() {
+  console.log('\n🧪 Running Test Suite 16: Reports...');
+  console.log('=====================================\n');
+
+  const generator = new ReportGenerator();
+  const report = generator.createReport('workflow', 'Orders & <Items>');
+  generator.addCase(report, 'orders', { name: 'create "order"', duration: 12, request: { method: 'POST', url: '/orders', body: { note: 'x'.repeat(3000) } }, response: { status: 201, body: { id: 1 } } });
+  generator.addCase(report, 'orders', { name: 'get order', status: 'failed', duration: 5, failures: ['Got 500, expected a 2xx status'] });
+  generator.addCase(report, 'orders', { name: 'delete order', status: 'skipped', message: 'Not run because an earlier step failed' });
+
+  const xml = generator.toJUnit(report);
+  check(xml.includes('<testsuites name="Orders &amp; &lt;Items&gt;" tests="3" failures="1" skipped="1" time="0.017">'), 'JUnit XML should summarize the run and escape names.');
+  check(xml.includes('<testcase name="create &quot;order&quot;" classname="workflow.orders" time="0.012">'), 'JUnit test cases should carry name, classname and time.');
+  check(xml.includes('<failure message="Got 500, expected a 2xx status">'), 'Failed cases should have a failure element.');
+  check(xml.includes('<skipped message="Not run because an earlier step failed"/>'), 'Skipped cases should have a skipped element.');
+  check(xml.includes('more characters)'), 'Request and response bodies should be truncated to excerpts.');
+
+  const json = JSON.parse(generator.toJSON(report));
+  check(json.summary.tests === 3 && json.summary.failed === 1 && json.suites[0].cases[0].response.status === 201, 'The JSON report should include the summary and each case.');
+  const markdown = generator.toMarkdown(report);
+  check(markdown.includes('| ❌ failed | get order | 5ms |') && markdown.includes('### ❌ get order'), 'The Markdown report should list every case and detail the failures.');
+
+  const reportsDir = path.join(testDir, 'reports-tmp');
+  const parser = new OpenAPIParser();
+  const config = await parser.parseFromFile('./demo-api/sample-api.yml');
+  const server = await startCrudServer();
+  try {
+    Object.assign(config, { apiBaseUrl: `${server.url}/api`, reportsDir });
+    config.workflows.broken_workflow = {
+      name: 'Broken Workflow',
+      description: 'Fails on its second step',
+      steps: [
+        { action: 'create_user', args: { data: { name: 'Ada' } } },
+        { action: 'delete_user', args: { id: 'missing' } },
+        { action: 'list_users' }
+      ]
+    };
+    const toolManager = new ToolManager();
+    toolManager.initialize(config, createTestHttpClient(config), null);
+    await toolManager.generateTools(config);
+
+    let result = await toolManager.handleToolCall('run_workflow', { workflow: 'broken_workflow', stopOnError: true, saveResults: true }, new Map(), new Map());
+    check(result.content[0].text.includes('📄 Reports saved:'), 'run_workflow should link the saved reports.');
+    const files = await fs.readdir(reportsDir);
+    check(files.length === 3 && ['.xml', '.json', '.md'].every(ext => files.some(file => file.endsWith(ext))), 'saveResults should write JUnit XML, JSON and Markdown reports.');
+
+    const saved = JSON.parse(await fs.readFile(path.join(reportsDir, files.find(file => file.endsWith('.json'))), 'utf8'));
+    const [created, failed, skipped] = saved.suites[0].cases;
+    check(created.request.method === 'POST' && created.response.status === 201 && created.response.body.includes('id-1'), 'Steps should record request and response excerpts.');
+    check(created.status === 'warning' && created.warnings[0].includes('uuid'), 'Contract violations should be reported as warnings.');
+    check(failed.status === 'failed' && failed.response.status === 404 && failed.failures[0].includes('HTTP 404'), 'Failed steps should record the failure and the error response.');
+    check(skipped.status === 'skipped', 'Steps after a failure should be reported as skipped.');
+
+    config.reportFormats = ['junit'];
+    result = await toolManager.handleToolCall('validate_api', { endpoints: ['users'], includeEdgeCases: false, generateReport: true }, new Map(), new Map());
+    check(/junit: .*validation-.*\.xml/.test(result.content[0].text), 'validate_api should write the configured report formats.');
+    const validationXml = await fs.readFile(result.content[0].text.match(/junit: (.*\.xml)/)[1], 'utf8');
+    check(validationXml.includes('<testsuite name="users"') && validationXml.includes('POST /users'), 'Validation reports should have a suite per endpoint.');
+  } finally {
+    await server.close();
+    await fs.rm(reportsDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test Suite 17: `expect` assertions on workflow steps.
+ */
+async function testStepAssertions() {
+  console.log('\n🧪 Running Test Suite 17: Step Assertions...');
+  console.log('=============================================\n');
+
+  const doc = { items: [{ id: 1, status: 'open' }, { id: 2, status: 'closed' }], 'a/b': { '~c': 3 } };
+  check(evaluatePath(doc, '$.items[1].status').value === 'closed', 'JSONPath should resolve definite paths.');
+  check(JSON.stringify(evaluatePath(doc, '$.items[*].id').value) === '[1,2]', 'JSONPath wildcards should return every match.');
+  check(JSON.stringify(evaluatePath(doc, "$.items[?(@.status == 'open')].id").value) === '[1]', 'JSONPath filters should select matching items.');
+  check(JSON.stringify(evaluatePath(doc, '$..status').value) === '["open","closed"]', 'JSONPath recursive descent should find nested keys.');
+  check(evaluatePath(doc, '/a~1b/~0c').value === 3, 'JSON Pointers should resolve with ~0 and ~1 escapes.');
+  check(!evaluatePath(doc, '$.items[5]').found, 'Missing paths should not be found.');
+
+  const evaluator = new AssertionEvaluator();
+  const results = evaluator.evaluate({
+    status: '2xx',
+    responseTime: { lt: 100 },
+    headers: { 'content-type': { contains: 'json' }, 'X-Missing': false },
+    body: [
+      { path: '$.items', type: 'array', length: { gte: 2 } },
+      { path: '$.items[0].status', matches: '^op' },
+      { path: '$.items[0].id', gt: 0, lte: 1 },
+      { path: '$.items[*].status', contains: 'closed' },
+      { path: '$.deleted', exists: false }
+    ]
+  }, { status: 204, duration: 20, headers: { 'Content-Type': 'application/json' }, body: doc });
+  check(results.length === 11 && results.every(result => result.passed), 'Status ranges, timing, headers and body matchers should pass.');
+  const [failed] = evaluator.evaluate({ body: { '$.items[0].status': 'closed' } }, { status: 200, body: doc });
+  check(!failed.passed && failed.actual === '"open"', 'Failed assertions should report the actual value.');
+  await checkThrows(() => evaluator.evaluate({ body: [{ path: '$', between: 1 }] }, { status: 200, body: doc }), "Unknown body matcher 'between'", 'Unknown matchers should be rejected.');
+
+  const parser = new OpenAPIParser();
+  const config = await parser.parseFromFile('./demo-api/sample-api.yml');
+  const server = await startCrudServer();
+  try {
+    config.apiBaseUrl = `${server.url}/api`;
+    config.responseValidation = { enabled: false };
+    config.workflows.asserted_workflow = {
+      name: 'Asserted Workflow',
+      description: 'Checks responses with expect blocks',
+      steps: [
+        {
+          action: 'create_user',
+          args: { data: { name: 'Ada' } },
+          expect: { status: 201, responseTime: 5000, headers: { Location: true }, body: [{ path: '$.name', equals: 'Ada' }, { path: '/id', matches: '^id-' }] }
+        },
+        { action: 'list_users', expect: { body: [{ path: '$', type: 'array', length: { gt: 0 } }, { path: "$[?(@.name == 'Ada')].id", length: 1 }] } },
+        { action: 'delete_user', args: { id: 'missing' }, expect: { status: 404 } },
+        { action: 'get_user', args: { id: 'id-1' }, expect: { status: 200, body: { '/name': 'Grace' } } },
+        { action: 'list_users' }
+      ]
+    };
+    const toolManager = new ToolManager();
+    toolManager.initialize(config, createTestHttpClient(config), null);
+    await toolManager.generateTools(config);
+
+    const result = await toolManager.handleToolCall('run_workflow', { workflow: 'asserted_workflow', stopOnError: true }, new Map(), new Map());
+    const text = result.content[0].text;
+    check(text.includes('✅ status is 201') && text.includes('✅ header Location is present') && text.includes('✅ /id matches /^id-/'), 'Passing assertions should be listed per step.');
+    check(text.includes('✅ $ length > 0'), 'Array length assertions should be evaluated.');
+    check(text.includes('✅ status is 404') && !text.includes('❌ Failed: DELETE'), 'An expected error status should pass the step.');
+    check(text.includes('❌ /name equals "Grace" (got "Ada")') && text.includes('❌ Failed: 1 of 2 assertion(s) failed'), 'Failed assertions should be reported individually and fail the step.');
+    check(server.requests.filter(request => request === 'GET /api/users').length === 1, 'A failed assertion should stop the workflow when stopOnError is set.');
+
+    const continued = await toolManager.handleToolCall('run_workflow', { workflow: 'asserted_workflow', stopOnError: false }, new Map(), new Map());
+    check(continued.content[0].text.includes('Step 5: list_users'), 'Without stopOnError the workflow should continue after a failed assertion.');
+  } finally {
+    await server.close();
+  }
+}
+
+/**
+ * Test Suite 18: Extracting response values into the context.
+ */
+async function testExtract() {
+  console.log('\n🧪 Running Test Suite 18: Extract...');
+  console.log('=====================================\n');
+
+  const parser = new OpenAPIParser();
+  const config = await parser.parseFromFile('./demo-api/sample-api.yml');
+  const server = await startCrudServer();
+  try {
+    config.apiBaseUrl = `${server.url}/api`;
+    config.responseValidation = { enabled: false };
+    const toolManager = new ToolManager();
+    toolManager.initialize(config, createTestHttpClient(config), null);
+    const tools = await toolManager.generateTools(config);
+    check(tools.find(tool => tool.name === 'create_user').inputSchema.properties.extract, 'Endpoint tools should accept an extract mapping.');
+
+    const context = new Map();
+    const result = await toolManager.handleToolCall('create_user', {
+      data: { name: 'Ada', profile: { tokens: ['t-1'] } },
+      extract: {
+        userId: '$.id',
+        firstToken: 'profile.tokens[0]',
+        name: '/name',
+        location: 'header:Location',
+        locationId: { header: 'location', regex: '/([^/]+)$' },
+        createdStatus: 'status'
+      }
+    }, context, new Map());
+    check(result.content[0].text.includes('📥 Saved: userId, firstToken'), 'The tool result should list the saved keys.');
+    check(context.get('userId') === 'id-1' && context.get('firstToken') === 't-1' && context.get('name') === 'Ada', 'Body values should be saved by JSONPath, bare path and JSON Pointer.');
+    check(context.get('location') === '/api/users/id-1' && context.get('locationId') === 'id-1', 'Header values should be saved, optionally through a regex capture.');
+    check(context.get('createdStatus') === 201, 'The status code should be extractable.');
+    check(!('extract' in server.collections.get('/api/users')[0]), 'extract should not be sent in the request body.');
+
+    const fetched = await toolManager.handleToolCall('get_user', { fromContext: 'userId' }, context, new Map());
+    check(fetched.content[0].text.includes('"name": "Ada"'), 'A saved scalar should be usable as the id through fromContext.');
+
+    await checkThrows(
+      () => toolManager.handleToolCall('get_user', { id: 'id-1', extract: { token: '$.data.token' } }, context, new Map()),
+      "returned 200 but could not extract 'token': $.data.token not found",
+      'Missing extract paths should fail the call.'
+    );
+
+    config.workflows.extract_workflow = {
+      name: 'Extract Workflow',
+      description: 'Passes extracted values between steps',
+      steps: [
+        { action: 'create_user', args: { data: { name: 'Grace' } }, extract: { graceId: '$.id' } },
+        { action: 'get_user', args: { fromContext: 'graceId' }, expect: { body: { '$.name': 'Grace' } } },
+        { action: 'delete_user', args: { id: 'missing' }, expect: { status: 404 }, extract: { notFound: '$.error' } }
+      ]
+    };
+    const workflowContext = new Map();
+    const run = await toolManager.handleToolCall('run_workflow', { workflow: 'extract_workflow', stopOnError: true }, workflowContext, new Map());
+    check(!run.content[0].text.includes('❌ Failed') && run.content[0].text.includes('📥 Saved to context: graceId'), 'Workflow steps should save extracted values for later steps.');
+    check(workflowContext.get('notFound').startsWith('Not found'), 'Values should be extractable from expected error responses.');
+  } finally {
+    await server.close();
+  }
+}
+
+/**
+ * Test Suite 19: Template interpolation in workflow step arguments.
+ */
+async function testTemplates() {
+  console.log('\n🧪 Running Test Suite 19: Templates...');
+  console.log('=====================================\n');
+
+  const engine = new TemplateEngine();
+  const scope = { ctx: { user: { id: 'id-7', tags: ['a'] } }, env: { TENANT: 'acme' }, steps: [{ response: { body: { token: 't-1' } } }] };
+  check(engine.render('{{ctx.user.id}}', scope) === 'id-7', 'ctx templates should read the test context.');
+  assert.deepStrictEqual(engine.render({ tags: '{{ ctx.user.tags }}' }, scope), { tags: ['a'] }, 'A whole-string template should keep the type of its value.');
+  check(engine.render('/tenants/{{env.TENANT}}/users/{{ctx.user.id}}', scope) === '/tenants/acme/users/id-7', 'Templates inside strings should be interpolated.');
+  check(engine.render('Bearer {{steps[0].response.body.token}}', scope) === 'Bearer t-1', 'steps templates should read earlier step responses.');
+  check(typeof engine.render('{{timestamp}}', scope) === 'number', 'Helpers should keep their value type.');
+  check(/^test\.[a-z0-9]{10}@example\.com$/.test(engine.render('{{randomEmail}}', scope)), 'randomEmail should generate an email address.');
+  check(engine.render('{{randomEmail}}') !== engine.render('{{randomEmail}}'), 'randomEmail should generate a new value each time.');
+  const number = engine.render('{{randomInt(5, 6)}}', scope);
+  check(number === 5 || number === 6, 'Helpers should accept arguments.');
+  check(engine.render('{{faker.name}}', scope).includes(' '), 'faker helpers should generate values.');
+  check(engine.render('{{DYNAMIC_USERS_ID}}', scope) === '{{DYNAMIC_USERS_ID}}', 'Templates the engine does not own should be left untouched.');
+  assert.throws(() => engine.render('{{ctx.missing}}', scope), /Template \{\{ctx\.missing\}\} could not be resolved/, 'Unresolved context values should throw.');
+  assert.throws(() => engine.render('{{faker.unknown}}', scope), /Unknown template helper/, 'Unknown faker helpers should throw.');
+
+  const parser = new OpenAPIParser();
+  const config = await parser.parseFromFile('./demo-api/sample-api.yml');
+  const createStep = Object.values(config.workflows).flatMap(workflow => workflow.steps).find(step => step.action === 'create_user');
+  check(createStep.args.email === '{{randomEmail}}' && createStep.args.username.includes('{{randomString(6)}}'), 'Generated workflows should template unique fields.');
+
+  const server = await startCrudServer();
+  try {
+    config.apiBaseUrl = `${server.url}/api`;
+    config.responseValidation = { enabled: false };
+    const toolManager = new ToolManager();
+    toolManager.initialize(config, createTestHttpClient(config), null);
+    await toolManager.generateTools(config);
+
+    config.workflows.templated_workflow = {
+      name: 'Templated Workflow',
+      description: 'Builds step arguments from templates',
+      steps: [
+        { action: 'create_user', args: { data: { name: '{{faker.name}}', email: '{{randomEmail}}', tenant: '{{env.APIBRIDGE_TEST_TENANT}}' } } },
+        { action: 'get_user', args: { id: '{{steps[0].response.body.id}}' }, expect: { body: { '$.email': '{{steps[0].request.body.email}}' } } },
+        { action: 'create_user', args: { data: { name: 'Copy of {{ctx.owner.name}}', ownerId: '{{ctx.owner.id}}' } } },
+        { action: 'get_user', args: { id: '{{ctx.unknown}}' } }
+      ]
+    };
+    process.env.APIBRIDGE_TEST_TENANT = 'acme';
+    const context = new Map([['owner', { id: 'id-9', name: 'Ada' }]]);
+    const run = await toolManager.handleToolCall('run_workflow', { workflow: 'templated_workflow', stopOnError: false, cleanup: false }, context, new Map());
+    const text = run.content[0].text;
+    const [first, second] = server.collections.get('/api/users');
+    check(first.tenant === 'acme' && /@example\.com$/.test(first.email) && first.name.includes(' '), 'Step arguments should be rendered before the call.');
+    check(text.includes('Step 2: get_user\n') && !text.split('Step 3')[0].includes('❌ Failed'), 'steps templates should resolve earlier requests and responses.');
+    check(second.name === 'Copy of Ada' && second.ownerId === 'id-9', 'Workflow steps should interpolate context values.');
+    check(text.includes("❌ Failed: Template {{ctx.unknown}} could not be resolved"), 'Unresolved templates should fail the step.');
+    check(server.requests.filter(request => request.startsWith('GET /api/users/')).length === 1, 'A step with an unresolved template should not be sent.');
+  } finally {
+    delete process.env.APIBRIDGE_TEST_TENANT;
+    await server.close();
+  }
+}
+
+/**
+ * Test Suite 20: Loading custom workflows from YAML files.
+ */
+async function testWorkflowFiles() {
+  console.log('\n🧪 Running Test Suite 20: Workflow Files...');
+  console.log('=====================================\n');
+
+  const loader = new WorkflowLoader();
+  const parser = new OpenAPIParser();
+  const config = await parser.parseFromFile('./demo-api/sample-api.yml');
+  const toolManager = new ToolManager();
+  toolManager.initialize(config, createTestHttpClient(config), null);
+  const actions = (await toolManager.generateTools(config)).map(tool => tool.name);
+
+  const demoWorkflows = await loader.loadFromDirectory('./demo-api/workflows', { actions });
+  check(demoWorkflows['user-onboarding']?.steps.length === 4, 'The demo workflow files should load and pass validation.');
+  assert.deepStrictEqual(await loader.loadFromDirectory(path.join(testDir, 'no-such-dir')), {}, 'A missing workflows directory should load no workflows.');
+
+  const directory = path.join(testDir, 'workflows-tmp');
+  await fs.mkdir(directory, { recursive: true });
+  try {
+    await fs.writeFile(path.join(directory, 'checkout.yaml'), [
+      'description: Create and fetch a user',
+      'steps:',
+      '  - name: Create',
+      '    action: create_user',
+      '    args:',
+      '      data: { name: "{{faker.name}}" }',
+      '    extract:',
+      '      userId: $.id',
+      '  - name: Fetch',
+      '    action: get_user',
+      '    args: { id: "{{ctx.userId}}" }',
+      '    expect:',
+      '      status: 200',
+      ''
+    ].join('\n'));
+    await fs.writeFile(path.join(directory, 'notes.txt'), 'not a workflow');
+
+    const workflows = await loader.loadFromDirectory(directory, { actions });
+    check(Object.keys(workflows).join() === 'checkout', 'Only YAML files should be loaded, keyed by file name.');
+    check(workflows.checkout.name === 'checkout' && workflows.checkout.steps[1].name === 'Fetch', 'Workflows should default their name to the file name.');
+
+    await fs.writeFile(path.join(directory, 'broken.yml'), [
+      'name: Broken',
+      'steps:',
+      '  - action: create_user',
+      '    expect:',
+      '      stauts: 201',
+      '  - args: {}',
+      '  - action: launch_rockets',
+      '    extract:',
+      '      id: 42',
+      ''
+    ].join('\n'));
+    await fs.writeFile(path.join(directory, 'syntax.yaml'), 'steps:\n  - action: [create_user\n');
+
+    let loadError = null;
+    try {
+      await loader.loadFromDirectory(directory, { actions });
+    } catch (error) {
+      loadError = error;
+    }
+    check(loadError?.message.startsWith('Invalid workflow files:'), 'Invalid workflow files should fail loading.');
+    const brokenErrors = loadError.errors.filter(error => error.file.endsWith('broken.yml'));
+    const messageAt = line => brokenErrors.filter(error => error.line === line).map(error => error.message).join(' | ');
+    check(messageAt(5) === "Unexpected property 'stauts'", 'Unknown keys should be reported at their line.');
+    check(messageAt(6) === 'A step needs an action, a workflow, steps or parallel', 'Steps without an action should be reported at the step line.');
+    check(messageAt(9).includes('anyOf'), 'Invalid extract sources should be reported at their line.');
+    check(loadError.message.includes(`${path.join(directory, 'broken.yml')}:5:7 $.steps[0].expect: Unexpected property 'stauts'`), 'Errors should be formatted as file:line:column.');
+    check(loadError.errors.some(error => error.file.endsWith('syntax.yaml') && error.line > 1), 'YAML syntax errors should carry their line.');
+
+    await fs.writeFile(path.join(directory, 'broken.yml'), 'steps:\n  - action: create_user\n  - action: launch_rockets\n');
+    await fs.rm(path.join(directory, 'syntax.yaml'));
+    await checkThrows(
+      () => loader.loadFromDirectory(directory, { actions }),
+      "broken.yml:3:13 $.steps[1].action: Unknown action 'launch_rockets'",
+      'Steps should be checked against the available tools.'
+    );
+    await fs.rm(path.join(directory, 'broken.yml'));
+
+    const server = await startCrudServer();
+    try {
+      config.apiBaseUrl = `${server.url}/api`;
+      config.responseValidation = { enabled: false };
+      config.workflows = { ...config.workflows, ...workflows };
+      const runner = new ToolManager();
+      runner.initialize(config, createTestHttpClient(config), null);
+      const tools = await runner.generateTools(config);
+      check(tools.find(tool => tool.name === 'run_workflow').inputSchema.properties.workflow.enum.includes('checkout'), 'Loaded workflows should be listed in the run_workflow enum.');
+
+      const run = await runner.handleToolCall('run_workflow', { workflow: 'checkout' }, new Map(), new Map());
+      const text = run.content[0].text;
+      check(text.includes('📍 Step 2: Fetch') && !text.includes('❌ Failed'), 'Loaded workflows should run with their named steps.');
+    } finally {
+      await server.close();
+    }
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test Suite 21: Conditions, loops, polling and sub-workflows in workflows.
+ */
+async function testWorkflowControlFlow() {
+  console.log('\n🧪 Running Test Suite 21: Workflow Control Flow...');
+  console.log('=====================================\n');
+
+  const parser = new OpenAPIParser();
+  const config = await parser.parseFromFile('./demo-api/sample-api.yml');
+  const server = await startCrudServer();
+  try {
+    config.apiBaseUrl = `${server.url}/api`;
+    config.responseValidation = { enabled: false };
+    const toolManager = new ToolManager();
+    // The checks below inspect what the steps created
+    config.workflowCleanup = false;
+    toolManager.initialize(config, createTestHttpClient(config), null);
+    await toolManager.generateTools(config);
+    const runWorkflow = async (steps, options = {}, context = new Map()) => {
+      config.workflows.control_flow = { name: 'Control Flow', description: 'Control flow test', steps };
+      const result = await toolManager.handleToolCall('run_workflow', { workflow: 'control_flow', ...options }, context, new Map());
+      return result.content[0].text;
+    };
+
+    // Conditions
+    const conditional = await runWorkflow([
+      { name: 'Admins only', if: '{{ctx.isAdmin}}', action: 'create_user', args: { data: { name: 'Admin' } } },
+      { name: 'Guests only', if: { path: 'ctx.role', equals: 'guest' }, action: 'create_user', args: { data: { name: 'Guest' } } },
+      { name: 'Anyone', if: [{ path: 'ctx.role', exists: true }, { path: 'ctx.isAdmin', equals: false }], action: 'create_user', args: { data: { name: 'Anyone' } } }
+    ], { saveResults: false }, new Map([['isAdmin', false], ['role', 'guest']]));
+    check(conditional.includes('📍 Step 1: Admins only\n⏭️ Skipped: condition not met'), 'Steps whose condition is false should be skipped.');
+    assert.deepStrictEqual(server.collections.get('/api/users').map(user => user.name), ['Guest', 'Anyone'], 'Steps whose conditions hold should run.');
+
+    // forEach over a list response, with a single action and with nested steps
+    const looped = await runWorkflow([
+      { action: 'list_users' },
+      { name: 'Fetch each user', forEach: '{{steps[0].response.body}}', action: 'get_user', args: { id: '{{item.id}}' } },
+      {
+        name: 'Rename each user',
+        forEach: '{{steps[0].response.body}}',
+        as: 'user',
+        steps: [
+          { action: 'update_user', args: { id: '{{user.id}}', data: { name: 'User {{index}}' } } },
+          { action: 'get_user', args: { id: '{{user.id}}' }, expect: { body: { '$.name': 'User {{index}}' } } }
+        ]
+      }
+    ]);
+    check(server.requests.filter(request => /^GET \/api\/users\/id-\d+$/.test(request)).length === 4, 'forEach should run its steps once per item.');
+    check(looped.includes('🔁 2 iteration(s)') && looped.includes('✅ Iteration 2/2') && looped.includes('✅ Completed 2 iteration(s)'), 'forEach should report each iteration.');
+    assert.deepStrictEqual(server.collections.get('/api/users').map(user => user.name), ['User 0', 'User 1'], 'Loop variables should be available to nested steps.');
+
+    const failingLoop = await runWorkflow([
+      { name: 'Fetch', forEach: ['id-1', 'id-99', 'id-2'], as: 'userId', action: 'get_user', args: { id: '{{userId}}' }, expect: { status: 200 } }
+    ], { stopOnError: true });
+    check(failingLoop.includes('❌ Iteration 2/3') && failingLoop.includes('❌ Failed: 1 of 3 iteration(s) failed'), 'Failed iterations should be reported.');
+    check(!failingLoop.includes('Iteration 3/3'), 'Remaining iterations should not run after a failure with stopOnError.');
+    const notAList = await runWorkflow([{ forEach: '{{ctx.role}}', action: 'get_user', args: { id: '{{item}}' } }], {}, new Map([['role', 'guest']]));
+    check(notAList.includes('❌ Failed: forEach must resolve to a list, got string'), 'forEach should require a list.');
+    const shadowing = await runWorkflow([{ forEach: ['id-1'], as: 'shared', action: 'get_user', args: { id: '{{shared}}' } }]);
+    check(shadowing.includes("❌ Failed: forEach cannot use 'shared' as the item name"), 'forEach items should not hide the shared context.');
+
+    // Polling with repeat until
+    const record = server.collections.get('/api/users')[0];
+    record.status = 'pending';
+    const shipTimer = setTimeout(() => { record.status = 'shipped'; }, 60);
+    const polled = await runWorkflow([
+      { action: 'get_user', args: { id: record.id }, repeat: { until: { body: { '$.status': 'shipped' } }, interval: 20, timeout: 2000 } }
+    ]);
+    clearTimeout(shipTimer);
+    check(polled.includes('🔁 Attempt 1: status 200, $.status equals "shipped" (got "pending")'), 'Each polling attempt should be reported.');
+    check(/🔁 Attempt \d+: status 200, condition met/.test(polled) && polled.includes('✅ Completed'), 'Polling should stop once the condition is met.');
+
+    const timedOut = await runWorkflow([
+      { action: 'get_user', args: { id: 'id-99' }, repeat: { until: { status: 200 }, interval: 0, maxAttempts: 3 } }
+    ]);
+    check(timedOut.includes('🔁 Attempt 3: status 404') && /❌ Failed: Condition not met after 3 attempt\(s\)/.test(timedOut), 'Polling should fail when the attempts run out.');
+
+    // Sub-workflows
+    config.workflows.create_named_user = {
+      name: 'Create Named User',
+      description: 'Creates a user with the given name',
+      steps: [{ action: 'create_user', args: { data: { name: '{{args.name}}' } }, extract: { namedUserId: '$.id' } }]
+    };
+    const nested = await runWorkflow([
+      { workflow: 'create_named_user', args: { name: 'Sub {{ctx.suffix}}' } },
+      { action: 'get_user', args: { id: '{{ctx.namedUserId}}' }, expect: { body: { '$.name': 'Sub 1' } } }
+    ], {}, new Map([['suffix', 1]]));
+    check(nested.includes('↪️ Running workflow: Create Named User') && !nested.includes('❌ Failed'), 'Sub-workflows should run with their own args and share the context.');
+
+    config.workflows.recursive = { name: 'Recursive', description: 'Calls itself', steps: [{ workflow: 'control_flow' }] };
+    const recursive = await runWorkflow([{ workflow: 'recursive' }]);
+    check(recursive.includes("calls itself: control_flow → recursive → control_flow"), 'Recursive workflow calls should fail.');
+  } finally {
+    await server.close();
+  }
+
+  // Loader checks for the new step kinds
+  const loader = new WorkflowLoader();
+  const parsed = loader.parseWorkflow([
+    'steps:',
+    '  - action: list_users',
+    '    workflow: other',
+    '  - workflow: unknown_flow',
+    '  - forEach: "{{ctx.ids}}"',
+    '    as: 1item',
+    '    steps:',
+    '      - action: get_user',
+    '        repeat: { until: { status: 200 }, interval: 10 }',
+    '  - forEach: [1, 2]',
+    '    as: shared',
+    '    action: get_user',
+    '  - steps:',
+    '      - workflow: other',
+    '        repeat: { until: { status: 200 } }',
+    ''
+  ].join('\n'), { actions: ['list_users', 'get_user'], workflows: ['other'] });
+  const messages = parsed.errors.map(error => `${error.line}: ${error.message}`);
+  check(messages.includes('2: A step can have only one of action, workflow'), 'Steps should have exactly one kind.');
+  check(messages.includes("4: Unknown workflow 'unknown_flow'"), 'Sub-workflow references should be checked.');
+  check(messages.some(message => message.startsWith('6: ') && message.includes('does not match pattern')), 'Loop variable names should be checked.');
+  check(messages.some(message => message.startsWith('11: ') && message.includes('Value "shared" cannot be one of')), 'Loop variables should not take reserved names.');
+  check(messages.includes('15: repeat can only be used with an action'), 'Nested steps should be checked.');
+}
+
+/**
+ * Test Suite 22: Parallel steps and concurrent workflows.
+ */
+async function testParallelWorkflows() {
+  console.log('\n🧪 Running Test Suite 22: Parallel Workflows...');
+  console.log('=====================================\n');
+
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const doubled = await mapWithConcurrency([1, 2, 3, 4, 5], 2, async value => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, 10 - value));
+    inFlight--;
+    return value * 2;
+  });
+  assert.deepStrictEqual(doubled, [2, 4, 6, 8, 10], 'mapWithConcurrency should keep the order of the items.');
+  check(maxInFlight === 2, 'mapWithConcurrency should respect the concurrency limit.');
+
+  const parser = new OpenAPIParser();
+  const config = await parser.parseFromFile('./demo-api/sample-api.yml');
+  const server = await startCrudServer();
+  const reportsDir = path.join(testDir, 'parallel-reports-tmp');
+  try {
+    config.apiBaseUrl = `${server.url}/api`;
+    config.responseValidation = { enabled: false };
+    config.reportsDir = reportsDir;
+    config.reportFormats = ['json'];
+    const toolManager = new ToolManager();
+    toolManager.initialize(config, createTestHttpClient(config), null);
+    const tools = await toolManager.generateTools(config);
+    check(tools.some(tool => tool.name === 'run_all_workflows'), 'run_all_workflows should be a core tool.');
+
+    config.workflows.parallel_flow = {
+      name: 'Parallel Flow',
+      description: 'Creates users in parallel',
+      steps: [
+        {
+          name: 'Create users',
+          concurrency: 2,
+          parallel: [
+            { action: 'create_user', args: { data: { name: 'Ada' } }, extract: { adaId: '$.id', lastCreated: '$.name' } },
+            { action: 'create_user', args: { data: { name: 'Grace' } }, extract: { graceId: '$.id', lastCreated: '$.name' } },
+            { steps: [{ action: 'get_user', args: { id: 'id-99' }, expect: { status: 200 } }] }
+          ]
+        },
+        { action: 'get_user', args: { id: '{{ctx.graceId}}' }, expect: { body: { '$.name': 'Grace' } } }
+      ]
+    };
+    const context = new Map([['existing', 'kept']]);
+    const result = await toolManager.handleToolCall('run_workflow', { workflow: 'parallel_flow' }, context, new Map());
+    const text = result.content[0].text;
+    check(text.includes('🔀 3 branch(es), up to 2 at a time') && text.includes('✅ Branch 2/3') && text.includes('❌ Branch 3/3'), 'Each branch should be reported.');
+    check(text.includes('❌ Failed: 1 of 3 branch(es) failed'), 'A failed branch should fail the parallel step.');
+    check(context.get('adaId') && context.get('graceId') && context.get('existing') === 'kept', 'Branch context writes should be merged afterwards.');
+    check(context.get('lastCreated') === 'Grace' && text.includes("⚠️ Context key 'lastCreated' was written by branches 1, 2; keeping the value of branch 2"), 'Conflicting writes should keep the last branch and warn.');
+    check(text.split('📍 Step 2')[1].includes('✅ Completed'), 'Later steps should see the merged context.');
+
+    const all = await toolManager.handleToolCall('run_all_workflows', { concurrency: 3, saveResults: true }, new Map(), new Map());
+    const allText = all.content[0].text;
+    check(['users_crud_workflow', 'posts_crud_workflow', 'products_crud_workflow'].every(name => allText.includes(`✅ ${name} (`)), 'run_all_workflows should run every generated CRUD workflow.');
+    check(allText.includes('📋 Summary: 3 of 3 workflows passed') && !allText.includes('parallel_flow'), 'run_all_workflows should default to the CRUD workflows.');
+    const reportFile = allText.match(/json: (.+\.json)/)[1];
+    const report = JSON.parse(await fs.readFile(reportFile, 'utf8'));
+    check(report.type === 'workflows' && report.suites.length === 3, 'run_all_workflows should write one combined report with a suite per workflow.');
+
+    const selected = await toolManager.handleToolCall('run_all_workflows', { workflows: ['parallel_flow'] }, new Map(), new Map());
+    check(selected.content[0].text.includes('❌ parallel_flow') && selected.content[0].text.includes('📋 Summary: 0 of 1 workflows passed'), 'Failed workflows should be listed with their output.');
+    await checkThrows(() => toolManager.handleToolCall('run_all_workflows', { workflows: ['nope'] }, new Map(), new Map()), 'Unknown workflow: nope', 'Unknown workflows should be rejected.');
+  } finally {
+    await server.close();
+    await fs.rm(reportsDir, { recursive: true, force: true });
+  }
+
+  const parsed = new WorkflowLoader().parseWorkflow(
+    'steps:\n  - concurrency: 2\n    parallel:\n      - action: launch_rockets\n  - action: list_users\n    concurrency: 2\n',
+    { actions: ['list_users'] }
+  );
+  const messages = parsed.errors.map(error => `${error.line}: ${error.message}`);
+  check(messages.includes("4: Unknown action 'launch_rockets'"), 'Parallel branches should be checked when loading workflow files.');
+  check(messages.includes('6: concurrency can only be used with parallel'), 'concurrency should only be allowed on parallel steps.');
+}
+
+/**
+ * Test Suite 23: Teardown steps and cleanup of created resources.
+ */
+async function testWorkflowCleanup() {
+  console.log('\n🧪 Running Test Suite 23: Workflow Cleanup...');
+  console.log('=====================================\n');
+
+  const parser = new OpenAPIParser();
+  const config = await parser.parseFromFile('./demo-api/sample-api.yml');
+  const server = await startCrudServer();
+  const reportsDir = path.join(testDir, 'cleanup-reports-tmp');
+  try {
+    config.apiBaseUrl = `${server.url}/api`;
+    config.responseValidation = { enabled: false };
+    config.reportsDir = reportsDir;
+    config.reportFormats = ['json'];
+    const toolManager = new ToolManager();
+    toolManager.initialize(config, createTestHttpClient(config), null);
+    await toolManager.generateTools(config);
+
+    config.workflows.teardown_flow = {
+      name: 'Teardown Flow',
+      description: 'Fails halfway and leaves resources behind',
+      steps: [
+        { action: 'create_user', args: { data: { name: 'Ada' } } },
+        { action: 'create_user', args: { data: { name: 'Grace' } } },
+        { action: 'create_user', args: { data: { name: 'Linus' } } },
+        { action: 'delete_user', args: { id: '{{steps[2].response.body.id}}' } },
+        { action: 'get_user', args: { id: 'id-99' } },
+        { action: 'list_users' }
+      ],
+      finally: [{ name: 'List what is left', action: 'list_users', expect: { body: [{ path: '$', length: 2 }] } }]
+    };
+    const result = await toolManager.handleToolCall('run_workflow', { workflow: 'teardown_flow', stopOnError: true, saveResults: true }, new Map(), new Map());
+    const text = result.content[0].text;
+    check(text.includes('🧹 Teardown\n📍 Step 1: List what is left') && text.split('🧹 Teardown')[1].includes('✅ Completed'), 'Teardown steps should run after a failed step.');
+    check(!text.split('🧹 Teardown')[0].includes('📍 Step 6'), 'Steps after the failure should still be skipped.');
+    check(text.includes('🧹 Cleanup: deleting 2 resource(s)') && text.includes('🗑️ Deleted users id-2'), 'Resources left behind should be swept.');
+    assert.deepStrictEqual(
+      server.requests.filter(request => request.startsWith('DELETE')),
+      ['DELETE /api/users/id-3', 'DELETE /api/users/id-2', 'DELETE /api/users/id-1'],
+      'The sweep should delete newest first and skip resources the steps deleted.'
+    );
+    check(server.collections.get('/api/users').length === 0, 'The sweep should leave no resources behind.');
+
+    const report = JSON.parse(await fs.readFile(text.match(/json: (.+\.json)/)[1], 'utf8'));
+    const cleanupSuite = report.suites.find(suite => suite.name === 'Teardown Flow cleanup');
+    check(cleanupSuite?.cases.length === 2 && cleanupSuite.cases.every(testCase => testCase.status === 'passed'), 'The sweep should be reported as its own suite.');
+    check(report.suites.find(suite => suite.name === 'Teardown Flow').cases.some(testCase => testCase.name === 'Teardown › Step 1: List what is left'), 'Teardown steps should be reported with the workflow.');
+
+    config.workflows.kept_flow = { name: 'Kept Flow', steps: [{ action: 'create_user', args: { data: { name: 'Kept' } } }] };
+    const kept = await toolManager.handleToolCall('run_workflow', { workflow: 'kept_flow', cleanup: false }, new Map(), new Map());
+    check(!kept.content[0].text.includes('🧹 Cleanup') && server.collections.get('/api/users').length === 1, 'cleanup: false should leave created resources in place.');
+
+    const gone = [];
+    await toolManager.cleanupWorkflowResources({
+      name: 'Gone',
+      report: toolManager.reportGenerator.createReport('workflow', 'Gone'),
+      created: [{ endpointName: 'users', operation: config.endpoints.users.operations.DELETE, pathParams: {}, id: 'id-99' }]
+    }, gone);
+    check(gone.join('\n').includes('🗑️ users id-99 was already deleted'), 'Resources that are already gone should not be reported as failures.');
+
+    config.workflows.failing_teardown = {
+      name: 'Failing Teardown',
+      steps: [{ action: 'list_users' }],
+      finally: [{ action: 'get_user', args: { id: 'id-99' } }, { action: 'list_users' }]
+    };
+    const failing = await toolManager.handleToolCall('run_all_workflows', { workflows: ['failing_teardown'] }, new Map(), new Map());
+    const failingText = failing.content[0].text;
+    check(failingText.includes('📋 Summary: 0 of 1 workflows passed'), 'A failed teardown step should fail the workflow.');
+    check(failingText.includes('Teardown') && (failingText.match(/✅ Completed/g) || []).length === 2, 'Teardown should continue after a failed teardown step.');
+  } finally {
+    await server.close();
+    await fs.rm(reportsDir, { recursive: true, force: true });
+  }
+
+  const parsed = new WorkflowLoader().parseWorkflow(
+    'cleanup: false\nsteps:\n  - action: list_users\nfinally:\n  - action: launch_rockets\n',
+    { actions: ['list_users'] }
+  );
+  check(parsed.errors.length === 1 && parsed.errors[0].line === 5 && parsed.errors[0].message === "Unknown action 'launch_rockets'", 'Teardown steps should be checked when loading workflow files.');
+  const loaded = new WorkflowLoader().parseWorkflow('cleanup: false\nsteps:\n  - action: list_users\nfinally:\n  - action: list_users\n');
+  check(loaded.workflow.cleanup === false && loaded.workflow.finally.length === 1, 'Workflow files should accept finally and cleanup.');
+}
+
+/**
+ * Test Suite 24: Data-driven workflow runs.
+ */
+async function testDatasetRuns() {
+  console.log('\n🧪 Running Test Suite 24: Dataset Runs...');
+  console.log('=====================================\n');
+
+  assert.deepStrictEqual(
+    parseCsv('\uFEFFname,role,age,zip,active\r\n"Lovelace, Ada",admin,36,007,true\n\n"Say ""hi""\nthere",guest,,02134,false\n'),
+    [
+      { name: 'Lovelace, Ada', role: 'admin', age: 36, zip: '007', active: true },
+      { name: 'Say "hi"\nthere', role: 'guest', age: '', zip: '02134', active: false }
+    ],
+    'parseCsv should handle quotes, line breaks, blank lines and value types.'
+  );
+  check(parseCsv('name,role\n').length === 0, 'A CSV file with only a header should have no rows.');
+  await checkThrows(async () => parseCsv('a,b\n1,2\n3\n', 'roles.csv'), 'roles.csv:3: expected 2 values, got 1', 'Rows with the wrong number of values should be rejected.');
+  await checkThrows(async () => parseCsv('a,b\n"1,2\n', 'roles.csv'), 'roles.csv:2: unclosed quote', 'Unclosed quotes should be rejected.');
+
+  const datasetDir = path.join(testDir, 'datasets-tmp');
+  const parser = new OpenAPIParser();
+  const config = await parser.parseFromFile('./demo-api/sample-api.yml');
+  const server = await startCrudServer();
+  try {
+    await fs.mkdir(datasetDir, { recursive: true });
+    const csvFile = path.join(datasetDir, 'roles.csv');
+    const jsonFile = path.join(datasetDir, 'roles.json');
+    await fs.writeFile(csvFile, 'name,role,expectedStatus\nAda,admin,200\nGrace,guest,200\nLinus,guest,403\n');
+    await fs.writeFile(jsonFile, JSON.stringify([{ name: 'Ada', tags: ['a'] }]));
+    await fs.writeFile(path.join(datasetDir, 'bad.json'), '{"name": "Ada"}');
+    check((await loadDataset(jsonFile))[0].tags[0] === 'a', 'JSON datasets should load as they are.');
+    await checkThrows(() => loadDataset(path.join(datasetDir, 'bad.json')), 'must be a JSON array of objects', 'JSON datasets should be arrays of objects.');
+    await checkThrows(() => loadDataset(path.join(datasetDir, 'roles.txt')), "Unsupported dataset format '.txt'", 'Other file types should be rejected.');
+
+    config.apiBaseUrl = `${server.url}/api`;
+    config.responseValidation = { enabled: false };
+    const toolManager = new ToolManager();
+    toolManager.initialize(config, createTestHttpClient(config), null);
+    await toolManager.generateTools(config);
+
+    config.workflows.dataset_flow = {
+      name: 'Dataset Flow',
+      steps: [
+        { action: 'create_user', args: { data: { name: '{{row.name}}', role: '{{row.role}}' } }, extract: { userId: '$.id' } },
+        { action: 'get_user', args: { id: '{{ctx.userId}}' }, expect: { status: '{{row.expectedStatus}}', body: { '$.role': '{{row.role}}' } } },
+        { action: 'list_users' }
+      ]
+    };
+    const context = new Map([['existing', 'kept']]);
+    const result = await toolManager.handleToolCall('run_workflow', { workflow: 'dataset_flow', dataset: csvFile, stopOnError: true, cleanup: false }, context, new Map());
+    const text = result.content[0].text;
+    check(text.includes(`Running workflow Dataset Flow for 3 row(s) of ${csvFile}`), 'Dataset runs should name the dataset.');
+    check(text.includes('| # | name | role | expectedStatus | Step 1 | Step 2 | Step 3 | Result | Duration |'), 'The matrix should have a column per dataset column and step.');
+    check(/\| 1 \| Ada \| admin \| 200 \| ✅ \| ✅ \| ✅ \| ✅ passed \| \d+ms \|/.test(text), 'Passing rows should be marked in the matrix.');
+    check(/\| 3 \| Linus \| guest \| 403 \| ✅ \| ❌ \| ⏭️ \| ❌ failed \|/.test(text), 'Failing rows should show which step failed.');
+    check(text.includes('❌ Row 3:') && !text.includes('❌ Row 1:') && text.includes('📋 Summary: 2 of 3 rows passed'), 'The output of failed rows should follow the matrix.');
+    assert.deepStrictEqual(server.collections.get('/api/users').map(user => user.name), ['Ada', 'Grace', 'Linus'], 'The workflow should run once per row, with the row in the template scope.');
+    check(!context.has('userId') && context.get('existing') === 'kept', 'Each row should run with its own copy of the context.');
+
+    const report = toolManager.reportGenerator.createReport('workflow', 'Dataset Flow');
+    await toolManager.runWorkflowDataset({ workflow: 'dataset_flow', dataset: jsonFile, cleanup: false }, new Map(), new Map(), report);
+    check(report.suites.map(suite => suite.name).join() === 'Dataset Flow [row 1]', 'Each row should be a suite of its own in the report.');
+
+    await fs.writeFile(path.join(datasetDir, 'empty.csv'), 'name\n');
+    await checkThrows(() => toolManager.handleToolCall('run_workflow', { workflow: 'dataset_flow', dataset: path.join(datasetDir, 'empty.csv') }, new Map(), new Map()), 'has no rows', 'Empty datasets should be rejected.');
+  } finally {
+    await server.close();
+    await fs.rm(datasetDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test Suite 25: The generic http_request tool.
+ */
+async function testHttpRequestTool() {
+  console.log('\n🧪 Running Test Suite 25: http_request Tool...');
+  console.log('=====================================\n');
+
+  const received = [];
+  const handler = (req, res, body) => {
+    received.push({ method: req.method, url: req.url, headers: req.headers, body });
+    if (req.url.startsWith('/api/admin/stats')) return sendJson(res, 200, { users: 3, build: 'b-42' }, { 'X-Build': 'b-42' });
+    if (req.url === '/api/echo') return sendJson(res, 201, { echoed: body, type: req.headers['content-type'] });
+    if (req.url === '/api/moved') return sendJson(res, 302, {}, { Location: 'http://example.invalid/elsewhere' });
+    sendJson(res, 404, { error: 'Not found' });
+  };
+  const server = await startTestServer(handler);
+  const other = await startTestServer(handler);
+  try {
+    const config = { apiBaseUrl: `${server.url}/api`, apiKey: 'secret-token', endpoints: {}, workflows: {} };
+    const toolManager = new ToolManager();
+    toolManager.initialize(config, createTestHttpClient(config), null);
+    const tools = await toolManager.generateTools(config);
+    check(tools.some(tool => tool.name === 'http_request'), 'http_request should be a core tool.');
+
+    const context = new Map();
+    const stats = await toolManager.handleToolCall('http_request', {
+      url: '/admin/stats',
+      query: { tag: ['a', 'b'], limit: 5 },
+      headers: { 'X-Trace': 't-1' },
+      saveToContext: 'stats',
+      extract: { build: 'header:X-Build', userCount: '$.users' }
+    }, context, new Map());
+    check(received[0].url === '/api/admin/stats?tag=a&tag=b&limit=5' && received[0].headers['x-trace'] === 't-1', 'Paths should be resolved against apiBaseUrl, with query and headers.');
+    check(received[0].headers.authorization === 'Bearer secret-token', 'Calls to the API host should be authenticated.');
+    check(stats.content[0].text.startsWith(`🔍 GET ${server.url}/api/admin/stats?tag=a&tag=b&limit=5 | Status: 200 | 📥 Saved: build, userCount`), 'The result should show the request and the saved keys.');
+    check(context.get('stats').users === 3 && context.get('build') === 'b-42' && context.get('userCount') === 3, 'saveToContext and extract should save to the context.');
+
+    await toolManager.handleToolCall('http_request', { method: 'POST', url: '/echo', body: 'plain words' }, context, new Map());
+    check(received[1].body === 'plain words' && received[1].headers['content-type'] === 'text/plain', 'String bodies should be sent as text.');
+    await toolManager.handleToolCall('http_request', { method: 'post', url: `${server.url}/api/echo`, body: { name: 'Ada' } }, context, new Map());
+    check(received[2].body === '{"name":"Ada"}' && received[2].headers['content-type'].startsWith('application/json'), 'Object bodies should be sent as JSON to absolute URLs on the API host.');
+
+    const otherUrl = `${other.url}/api/admin/stats`;
+    await checkThrows(() => toolManager.handleToolCall('http_request', { url: otherUrl }, context, new Map()), `Host '${new URL(other.url).host}' is not allowed`, 'Hosts outside the allowlist should be rejected.');
+    check(received.length === 3, 'Rejected calls should not be sent.');
+    config.allowedHosts = [new URL(other.url).host];
+    await toolManager.handleToolCall('http_request', { url: otherUrl }, context, new Map());
+    check(received[3].url === '/api/admin/stats' && received[3].headers.authorization === undefined, 'Allowed hosts should be callable, without the API credentials by default.');
+    await checkThrows(() => toolManager.handleToolCall('http_request', { url: 'file:///etc/passwd' }, context, new Map()), "Unsupported protocol 'file:'", 'Only http and https should be allowed.');
+
+    try {
+      await toolManager.handleToolCall('http_request', { method: 'DELETE', url: '/missing' }, context, new Map());
+      check(false, 'Error responses should be thrown.');
+    } catch (error) {
+      check(error instanceof HttpError && error.message.startsWith(`DELETE ${server.url}/api/missing failed`) && error.exchange.response.status === 404, 'Error responses should keep their status and body.');
+    }
+    await checkThrows(() => toolManager.handleToolCall('http_request', { url: '/moved' }, context, new Map()), 'HTTP 302', 'Redirects should not be followed.');
+
+    config.workflows.adhoc_flow = {
+      name: 'Ad-hoc Flow',
+      steps: [
+        { action: 'http_request', args: { url: '/admin/stats' }, expect: { status: 200, body: { '$.users': 3 } }, extract: { fromStep: '$.build' } },
+        { action: 'http_request', args: { url: '/missing' }, expect: { status: 404 } }
+      ]
+    };
+    const flow = await toolManager.handleToolCall('run_workflow', { workflow: 'adhoc_flow' }, context, new Map());
+    check(!flow.content[0].text.includes('❌') && context.get('fromStep') === 'b-42', 'Workflow steps should be able to use http_request with expect and extract.');
+  } finally {
+    await server.close();
+    await other.close();
+  }
+}
+
+/**
+ * Test Suite 26: Context inspection and management tools.
+ */
+async function testContextTools() {
+  console.log('\n🧪 Running Test Suite 26: Context Tools...');
+  console.log('=====================================\n');
+
+  const config = { apiBaseUrl: 'http://127.0.0.1:9/api', endpoints: {}, workflows: {} };
+  const toolManager = new ToolManager();
+  toolManager.initialize(config, createTestHttpClient(config), null);
+  const tools = await toolManager.generateTools(config);
+  check(['list_context', 'get_context', 'set_context', 'delete_context', 'clear_context'].every(name => tools.some(tool => tool.name === name)), 'The context tools should be core tools.');
+
+  const context = new Map();
+  const call = async (name, args = {}) => (await toolManager.handleToolCall(name, args, context, new Map())).content[0].text;
+  check(await call('list_context') === '📦 The test context is empty', 'An empty context should be reported.');
+
+  check(await call('set_context', { key: 'created_user', value: { id: 'id-7', name: 'Ada' } }) === '✅ Saved created_user: object (2 keys, 26 bytes)', 'set_context should save a value.');
+  await call('set_context', { key: 'existing_users', value: [{ id: 'id-1' }, { id: 'id-2' }] });
+  await call('set_context', { key: 'token', value: 'abc' });
+  check((await call('set_context', { key: 'token', value: 42 })).endsWith('(replaced a string (3 chars))'), 'set_context should say what it replaced.');
+  await call('set_context', { key: 'profile', value: { name: 'No id' } });
+
+  const listed = await call('list_context');
+  check(listed.startsWith('📦 Test context: 4 key(s)') && listed.includes('-   existing_users: array (2 items, 29 bytes) [{"id":"id-1"},{"id":"id-2"}]') && listed.includes('-   token: integer 42'), 'list_context should show the type, size and a preview of each value.');
+  check((await call('list_context', { prefix: 'created_' })).includes('1 key(s)'), 'list_context should filter by prefix.');
+
+  const created = await call('get_context', { key: 'created_user' });
+  check(created.includes(`🆔 fromContext: 'created_user' resolves the id "id-7"`) && created.includes('"name": "Ada"'), 'get_context should show the value and the id fromContext takes from it.');
+  check((await call('get_context', { key: 'existing_users' })).includes("⚠️ fromContext: 'existing_users' does not resolve an id"), 'get_context should explain when fromContext finds no id.');
+  check((await call('get_context', { key: 'existing_users', path: '$[1].id' })).endsWith('"id-2"'), 'get_context should read a path into the value.');
+  await checkThrows(() => call('get_context', { key: 'created_user', path: '$.email' }), "Path $.email not found in context key 'created_user'", 'Missing paths should be reported.');
+  await checkThrows(() => call('get_context', { key: 'created_post' }), "Context key 'created_post' is not set. Available keys: created_user, existing_users, profile, token", 'Missing keys should list the available keys.');
+
+  check(await call('delete_context', { keys: ['token', 'nope'] }) === '🗑️ Deleted 1 key(s): token\n⚠️ Not set: nope', 'delete_context should delete keys and report missing ones.');
+  check(await call('clear_context') === '🧹 Cleared 3 context key(s)' && context.size === 0, 'clear_context should delete every key.');
+}
+
+/**
+ * Test Suite 27: Persisting the context and run history in sessions.
+ */
+async function testSessionPersistence() {
+  console.log('\n🧪 Running Test Suite 27: Session Persistence...');
+  console.log('=====================================\n');
+
+  check(parseDuration('7d') === 7 * 24 * 60 * 60 * 1000 && parseDuration('30m') === 30 * 60 * 1000 && parseDuration(1500) === 1500 && parseDuration(0) === 0, 'Durations should accept units and milliseconds.');
+  await checkThrows(async () => parseDuration('soon'), "Invalid duration 'soon'", 'Invalid durations should be rejected.');
+  await checkThrows(async () => new SessionStore({ storage: 'redis' }), "Unknown persistence storage 'redis'", 'Unknown storages should be rejected.');
+
+  const sessionDir = path.join(testDir, 'sessions-tmp');
+  const sessionFile = path.join(sessionDir, 'sessions.json');
+  const quietLogger = { info() {}, error() {} };
+  const startServer = async session => {
+    const server = new APIBridgeMCPServer();
+    server.config = { persistence: { enabled: true, path: sessionFile, session } };
+    server.logger = quietLogger;
+    return { server, session: await server.openSession('stdio', session) };
+  };
+
+  try {
+    const { server: first, session: checkout } = await startServer('checkout');
+    check(checkout.testContext.size === 0 && checkout.store.session === 'checkout', 'A new session should start empty.');
+    checkout.testContext.set('created_user', { id: 'id-1', name: 'Ada' });
+    first.recordMetric(checkout.metrics, 'requests_total', 1);
+    await first.persistCall(checkout, { name: 'create_user', arguments: { data: { name: 'Ada' }, headers: { Authorization: 'Bearer secret' } } }, 'passed', 12, '✨ POST users | Status: 201\n\n{}');
+    await first.persistCall(checkout, { name: 'run_workflow', arguments: { workflow: 'users_crud_workflow' } }, 'failed', 80, '🚀 Starting workflow: users_crud_workflow');
+
+    const { server: restarted, session: restored } = await startServer('checkout');
+    assert.deepStrictEqual(restored.testContext.get('created_user'), { id: 'id-1', name: 'Ada' }, 'The context should be restored after a restart.');
+    check(restored.metrics.get('requests_total') === 1, 'Metrics should be restored after a restart.');
+    const history = (await restarted.toolManager.handleGetHistory({}, restored.testContext, restored.metrics, restored)).content[0].text;
+    check(history.startsWith("📜 Session 'checkout': 2 call(s)") && /✅ \S+ create_user \(12ms\): ✨ POST users \| Status: 201\n❌ \S+ run_workflow users_crud_workflow \(80ms\)/.test(history), 'The run history should be restored and listed.');
+    check((await restarted.toolManager.handleGetHistory({ tool: 'run_workflow' }, restored.testContext, restored.metrics, restored)).content[0].text.includes('1 call(s)'), 'The history should filter by tool.');
+    const stored = JSON.parse(await fs.readFile(sessionFile, 'utf8'));
+    check(stored.sessions.checkout.history[0].args.headers.Authorization === '***', 'Credentials in tool arguments should be masked.');
+
+    const { server: other, session: smoke } = await startServer('smoke');
+    check(smoke.testContext.size === 0, 'Sessions should not share their context.');
+    smoke.testContext.set('token', 'abc');
+    await other.persistCall(smoke, { name: 'set_context', arguments: { key: 'token', value: 'abc' } }, 'passed', 1, '✅ Saved token');
+    const both = JSON.parse(await fs.readFile(sessionFile, 'utf8'));
+    check(Object.keys(both.sessions).sort().join() === 'checkout,smoke', 'Sessions should be kept side by side in one file.');
+
+    const concurrent = await Promise.all(['a', 'b', 'c', 'd', 'e'].map(async name => {
+      const parallelStore = new SessionStore({ path: sessionFile, session: `parallel-${name}` });
+      await parallelStore.open();
+      return parallelStore;
+    }));
+    await Promise.all(concurrent.flatMap((parallelStore, index) => [1, 2, 3].map(count => parallelStore.save(new Map([['count', index * 10 + count]]), new Map()))));
+    const afterConcurrent = JSON.parse(await fs.readFile(sessionFile, 'utf8'));
+    check(['a', 'b', 'c', 'd', 'e'].every((name, index) => afterConcurrent.sessions[`parallel-${name}`].context.count.value === index * 10 + 3) && afterConcurrent.sessions.checkout, 'Concurrent saves should keep the file valid and every session in it.');
+    check((await fs.readdir(sessionDir)).every(file => !file.endsWith('.tmp')), 'Concurrent saves should not leave temporary files behind.');
+
+    const store = new SessionStore({ path: sessionFile, session: 'checkout', historyLimit: 2 });
+    await store.open();
+    const context = new Map([['created_user', { id: 'id-1', name: 'Ada' }], ['created_post', { id: 'id-2' }]]);
+    const keptAt = store.state.context.created_user.updatedAt;
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await store.save(context, new Map());
+    check(store.state.context.created_user.updatedAt === keptAt && store.state.context.created_post.updatedAt !== keptAt, 'Unchanged values should keep the time they were saved.');
+    ['a', 'b', 'c'].forEach(tool => store.recordCall({ tool, args: {}, status: 'passed', duration: 1, summary: '' }));
+    check(store.getHistory().map(call => call.tool).join() === 'b,c', 'The history should keep at most historyLimit calls.');
+
+    const old = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString();
+    const fresh = new Date().toISOString();
+    await fs.writeFile(sessionFile, JSON.stringify({
+      version: 1,
+      sessions: {
+        stale: { updatedAt: old, context: {}, metrics: {}, history: [] },
+        checkout: {
+          updatedAt: fresh,
+          context: { oldKey: { value: 1, updatedAt: old }, newKey: { value: 2, updatedAt: fresh } },
+          metrics: {},
+          history: [{ at: old, tool: 'ping_api' }, { at: fresh, tool: 'get_metrics' }]
+        }
+      }
+    }));
+    const expiring = new SessionStore({ path: sessionFile, session: 'checkout', ttl: '1d' });
+    const unexpired = await expiring.open();
+    check([...unexpired.context.keys()].join() === 'newKey' && unexpired.history.map(call => call.tool).join() === 'get_metrics', 'Entries older than the TTL should be dropped.');
+    check(!JSON.parse(await fs.readFile(sessionFile, 'utf8')).sessions.stale, 'Sessions older than the TTL should be deleted.');
+
+    const hasSqlite = await import('node:sqlite').then(() => true, () => false);
+    if (hasSqlite) {
+      const sqliteStore = new SessionStore({ storage: 'sqlite', path: path.join(sessionDir, 'sessions.db') });
+      await sqliteStore.open();
+      await sqliteStore.save(new Map([['token', 'abc']]), new Map());
+      const reopened = new SessionStore({ storage: 'sqlite', path: path.join(sessionDir, 'sessions.db') });
+      check((await reopened.open()).context.get('token') === 'abc', 'SQLite sessions should be restored.');
+      const { db } = sqliteStore.backend;
+      sqliteStore.close();
+      await checkThrows(() => db.prepare('SELECT 1'), 'database is not open', 'Closing a store should close its database.');
+      check((await reopened.backend.read()).default.context.token.value === 'abc', 'Closing a store should leave other stores of the file open.');
+      reopened.close();
+    } else {
+      await checkThrows(() => new SessionStore({ storage: 'sqlite', path: path.join(sessionDir, 'sessions.db') }).open(), 'SQLite persistence needs Node.js 22.5 or later', 'SQLite storage should explain what it needs.');
+    }
+
+    const toolManager = new ToolManager();
+    await checkThrows(() => toolManager.handleGetHistory({}), 'The run history is only kept with persistence', 'get_history should explain how to enable persistence.');
+  } finally {
+    await fs.rm(sessionDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test Suite 28: Per-session context, metrics and history, and the shared namespace.
+ */
+async function testSessionIsolation() {
+  console.log('\n🧪 Running Test Suite 28: Session Isolation...');
+  console.log('=====================================\n');
+
+  const sessionDir = path.join(testDir, 'isolation-tmp');
+  const server = new APIBridgeMCPServer();
+  server.config = { apiBaseUrl: 'http://127.0.0.1:9/api', endpoints: {}, workflows: {}, persistence: { enabled: true, path: path.join(sessionDir, 'sessions.json') } };
+  server.logger = { info() {}, error() {} };
+  server.toolManager.initialize(server.config, createTestHttpClient(server.config), server.logger);
+
+  try {
+    const alice = await server.openSession('client-a', 'alice');
+    const bob = await server.openSession('client-b', 'bob');
+    const anonymous = await server.openSession('client-c');
+    const call = async (session, name, args = {}) => (await server.handleCallTool({ name, arguments: args }, session)).content[0].text;
+
+    await call(alice, 'set_context', { key: 'created_user', value: { id: 'id-1' } });
+    await call(bob, 'set_context', { key: 'created_user', value: { id: 'id-2' } });
+    check(alice.testContext.get('created_user').id === 'id-1' && bob.testContext.get('created_user').id === 'id-2', 'Sessions should keep their own context.');
+    check(!anonymous.testContext.has('created_user') && anonymous.store === null, 'A session without a name should start empty and stay in memory.');
+    check(alice.metrics.get('requests_total') === 1 && anonymous.metrics.get('requests_total') === 0, 'Sessions should keep their own metrics.');
+    check((await call(bob, 'get_history')).startsWith("📜 Session 'bob': 1 call(s)"), 'Sessions should keep their own history.');
+    await checkThrows(() => server.toolManager.handleGetHistory({}, anonymous.testContext, anonymous.metrics, anonymous), 'The run history is only kept with persistence', 'In-memory sessions have no history.');
+    server.config.workflows.history_workflow = { name: 'History', steps: [{ action: 'get_history', args: { tool: 'set_context' } }] };
+    const workflowHistory = await server.handleCallTool({ name: 'run_workflow', arguments: { workflow: 'history_workflow' } }, bob);
+    check(!workflowHistory.isError && workflowHistory.content[0].text.includes("📜 Session 'bob': 1 call(s)"), 'Workflow steps should read the history of the session running them.');
+
+    await call(alice, 'set_context', { key: 'shared:token', value: 'abc' });
+    check(bob.testContext.get('shared:token') === 'abc' && server.sharedContext.get('token') === 'abc', 'Shared keys should be visible to every session.');
+    check((await call(bob, 'list_context')).includes('-   shared:token: string (3 chars)'), 'list_context should list shared keys with their prefix.');
+    check(server.toolManager.getTemplateScope({ vars: {}, context: anonymous.testContext, records: [] }).shared.token === 'abc', 'Templates should read shared keys under shared.');
+
+    const copy = new Map(bob.testContext);
+    copy.set('shared:token', 'def');
+    copy.set('created_post', { id: 'id-3' });
+    server.toolManager.mergeContextWrites(bob.testContext, [copy]);
+    check(alice.testContext.get('shared:token') === 'def' && !alice.testContext.has('created_post'), 'Workflow writes to shared keys should reach every session.');
+
+    check(await call(bob, 'clear_context') === '🧹 Cleared 2 context key(s); kept 1 shared key(s), delete them with delete_context' && server.sharedContext.size === 1, 'clear_context should keep the shared keys.');
+    await call(bob, 'delete_context', { keys: ['shared:token'] });
+    check(!alice.testContext.has('shared:token'), 'delete_context should delete shared keys.');
+
+    const stored = JSON.parse(await fs.readFile(path.join(sessionDir, 'sessions.json'), 'utf8'));
+    check(Object.keys(stored.sessions.alice.context).join() === 'created_user', 'Shared keys should not be persisted with a session.');
+
+    const joined = await server.openSession('client-d', 'alice');
+    check(joined === alice && server.sessions.get('client-d') === alice, 'Opening the name of an open session should join it.');
+    server.closeSession('client-d');
+    check(!server.sessions.has('client-d') && server.sessions.get('client-a') === alice, 'Closing a session should only forget that client.');
+    check(alice.store.backend !== null, 'A session store should stay open while another client uses it.');
+    server.closeSession('client-a');
+    check(alice.store.backend === null, 'A session store should be closed with its last client.');
+    check(server.createMCPServer(alice) !== server.createMCPServer(bob), 'Each session should get its own MCP server.');
+    await server.stop();
+    check(server.sessions.size === 0 && bob.store.backend === null, 'Stopping the server should close every session.');
+  } finally {
+    await fs.rm(sessionDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test Suite 29: Serving MCP over Streamable HTTP and SSE.
+ */
+async function testHttpTransport() {
+  console.log('\n🧪 Running Test Suite 29: HTTP Transport...');
+  console.log('=====================================\n');
+
+  const configManager = new ConfigManager();
+  const cliConfig = await configManager.loadConfig({ port: 9100, host: '0.0.0.0' });
+  check(cliConfig.transport === 'http' && cliConfig.http.port === 9100 && cliConfig.http.host === '0.0.0.0', '--port should serve MCP over HTTP on that port.');
+  const partialConfigFile = path.join(testDir, 'partial-config.json');
+  await fs.writeFile(partialConfigFile, JSON.stringify({ persistence: { enabled: true }, http: { port: 9000 }, responseValidation: { strict: true } }));
+  try {
+    const partial = await new ConfigManager().loadConfig({ configFile: partialConfigFile });
+    check(partial.persistence.enabled && partial.persistence.storage === 'json' && partial.persistence.ttl === '7d' && partial.persistence.session === 'default', 'A partial persistence block should keep its defaults.');
+    check(partial.http.port === 9000 && partial.http.host === '127.0.0.1' && Array.isArray(partial.http.corsOrigins), 'A partial http block should keep its defaults.');
+    check(partial.responseValidation.strict === true && partial.responseValidation.enabled === true, 'A partial responseValidation block should keep its defaults.');
+  } finally {
+    await fs.unlink(partialConfigFile);
+  }
+  configManager.config.transport = 'websocket';
+  await checkThrows(async () => configManager.validate(), "transport must be stdio or http, got 'websocket'", 'Unknown transports should be rejected.');
+
+  const bridge = new APIBridgeMCPServer();
+  bridge.config = { name: 'Test Bridge', version: '1.2.3', apiBaseUrl: 'http://127.0.0.1:9/api', endpoints: {}, workflows: {} };
+  bridge.logger = { info() {}, error() {} };
+  bridge.toolManager.initialize(bridge.config, createTestHttpClient(bridge.config), bridge.logger);
+  const httpServer = new HttpServer(bridge, { port: 0, corsOrigins: ['http://dashboard.test'], hostnames: ['mcp.internal'] });
+  const url = await httpServer.listen();
+
+  let nextId = 1;
+  const post = (body, headers = {}) => fetch(`${url}/mcp`, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(body) });
+  const request = (method, params = {}) => ({ jsonrpc: '2.0', id: nextId++, method, params });
+  const initialize = () => request('initialize', { protocolVersion: '2024-11-05', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } });
+  const openClient = async () => {
+    const response = await post(initialize());
+    const sessionId = response.headers.get('mcp-session-id');
+    await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, { 'Mcp-Session-Id': sessionId });
+    return { sessionId, init: await response.json() };
+  };
+  const callTool = async (sessionId, name, args = {}) => {
+    const response = await post(request('tools/call', { name, arguments: args }), { 'Mcp-Session-Id': sessionId });
+    return (await response.json()).result.content[0].text;
+  };
+
+  try {
+    const health = await (await fetch(`${url}/health`)).json();
+    check(health.status === 'ok' && health.name === 'Test Bridge' && health.sessions === 0, 'The health route should report the server.');
+
+    const missing = await post(request('tools/list'));
+    check(missing.status === 400 && (await missing.json()).error.message.startsWith('Missing Mcp-Session-Id header'), 'Requests outside a session should be refused.');
+
+    const malformed = await post({ jsonrpc: '2.0', id: 'x', method: 'initialize', params: { capabilities: {} } });
+    const notJsonRpc = await post({ hello: 'world' });
+    check(malformed.status === 400 && !malformed.headers.get('mcp-session-id') && notJsonRpc.status === 400, 'Invalid initialize requests should be refused.');
+    check(bridge.sessions.size === 0 && httpServer.transports.size === 0, 'Refused initialize requests should leave no session behind.');
+
+    const alice = await openClient();
+    check(alice.sessionId && alice.init.result.serverInfo.name === 'Test Bridge', 'An initialize request should open a session.');
+    const bob = await openClient();
+    check(bob.sessionId !== alice.sessionId && bridge.sessions.size === 2, 'Each client should get its own session.');
+
+    await callTool(alice.sessionId, 'set_context', { key: 'created_user', value: { id: 'id-1' } });
+    check(await callTool(bob.sessionId, 'list_context') === '📦 The test context is empty', 'Clients should not see each other\'s context.');
+    check((await callTool(alice.sessionId, 'get_context', { key: 'created_user' })).includes('"id-1"'), 'A client should keep its context between calls.');
+
+    const batch = await (await post([request('tools/list'), { jsonrpc: '2.0', method: 'notifications/initialized' }, request('ping')], { 'Mcp-Session-Id': bob.sessionId })).json();
+    check(Array.isArray(batch) && batch.length === 2 && batch[0].result.tools.some(tool => tool.name === 'list_context'), 'A batch should get the responses to its requests.');
+
+    const repeated = await post([{ jsonrpc: '2.0', id: 7, method: 'ping' }, { jsonrpc: '2.0', id: 7, method: 'tools/list' }], { 'Mcp-Session-Id': bob.sessionId });
+    check(repeated.status === 400 && (await repeated.json()).error.message.includes('Request id 7 is used more than once'), 'A batch should not repeat request ids.');
+    const idle = new StreamableHTTPServerTransport('idle');
+    const running = idle.handleMessages({ jsonrpc: '2.0', id: 1, method: 'ping' });
+    await checkThrows(() => idle.handleMessages({ jsonrpc: '2.0', id: 1, method: 'ping' }), 'Request id 1 is already in use by a running request', 'Overlapping requests should not reuse an id.');
+    await idle.close();
+    check((await running)[0].error.message === 'Session closed', 'Closing a session should answer its running requests.');
+
+    const unknown = await post(request('tools/list'), { 'Mcp-Session-Id': 'nope' });
+    check(unknown.status === 404, 'Unknown sessions should get a 404 so clients start a new one.');
+    check((await fetch(`${url}/mcp`)).status === 405, 'GET /mcp should not open a stream.');
+
+    // fetch cannot set the Host header, so DNS rebinding requests are sent with http
+    const { port } = new URL(url);
+    const sendTo = (host, method, pathname) => new Promise((resolve, reject) => {
+      http.request(`${url}${pathname}`, { method, headers: { Host: host } }, response => {
+        response.resume();
+        resolve(response.statusCode);
+      }).on('error', reject).end();
+    });
+    check(await sendTo(`rebind.evil.test:${port}`, 'GET', '/sse') === 403 && await sendTo(`rebind.evil.test:${port}`, 'POST', '/mcp') === 403, 'Requests sent to another host name should be refused.');
+    check(await sendTo('127.0.0.1:1', 'GET', '/mcp') === 403, 'Requests sent to another port should be refused.');
+    check(bridge.sessions.size === 2, 'Refused hosts should not open sessions.');
+    check(await sendTo(`localhost:${port}`, 'GET', '/mcp') === 405 && await sendTo('mcp.internal', 'GET', '/mcp') === 405, 'Requests sent to localhost or a configured host name should be served.');
+    check(await sendTo('rebind.evil.test', 'GET', '/health') === 200, 'The health route should answer any host.');
+
+    const foreign = await fetch(`${url}/health`, { headers: { Origin: 'http://evil.test' } });
+    check(foreign.status === 403, 'Requests from origins not in corsOrigins should be refused.');
+    const preflight = await fetch(`${url}/mcp`, { method: 'OPTIONS', headers: { Origin: 'http://dashboard.test' } });
+    check(preflight.status === 204 && preflight.headers.get('access-control-allow-origin') === 'http://dashboard.test' && preflight.headers.get('access-control-expose-headers') === 'Mcp-Session-Id', 'Allowed origins should get CORS headers.');
+
+    check((await fetch(`${url}/mcp`, { method: 'DELETE', headers: { 'Mcp-Session-Id': bob.sessionId } })).status === 204, 'DELETE should end a session.');
+    check(!bridge.sessions.has(bob.sessionId) && (await post(request('tools/list'), { 'Mcp-Session-Id': bob.sessionId })).status === 404, 'An ended session should be forgotten.');
+
+    // Older clients connect with SSE and post their messages to the endpoint it announces
+    const stream = await new Promise((resolve, reject) => http.get(`${url}/sse?session=legacy`, resolve).on('error', reject));
+    stream.setEncoding('utf8');
+    const events = [];
+    let buffer = '';
+    const waitForEvent = type => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`No ${type} event`)), 2000);
+      const poll = () => {
+        const index = events.findIndex(event => event.type === type);
+        if (index >= 0) {
+          clearTimeout(timer);
+          resolve(events.splice(index, 1)[0].data);
+        } else {
+          setTimeout(poll, 5);
+        }
+      };
+      poll();
+    });
+    stream.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\n\n')) >= 0) {
+        const [type, data] = buffer.slice(0, end).split('\n').map(line => line.slice(line.indexOf(':') + 2));
+        events.push({ type, data });
+        buffer = buffer.slice(end + 2);
+      }
+    });
+    const endpoint = await waitForEvent('endpoint');
+    check(endpoint.startsWith('/messages?sessionId=') && bridge.sessions.get(endpoint.split('=')[1]).name === 'legacy', 'The SSE stream should announce where to post messages.');
+    const accepted = await fetch(`${url}${endpoint}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(initialize()) });
+    check(accepted.status === 202 && JSON.parse(await waitForEvent('message')).result.serverInfo.version === '1.2.3', 'SSE responses should arrive on the stream.');
+    stream.destroy();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    check(!bridge.sessions.has(endpoint.split('=')[1]), 'Closing the SSE stream should end its session.');
+  } finally {
+    await httpServer.close();
+  }
+}
+
+/**
+ * Test Suite 30: validate_api fills foreign keys and unique values of its payloads.
+ */
+async function testApiValidationForeignKeys() {
+  console.log('\n🧪 Running Test Suite 30: API Validation Foreign Keys...');
+  console.log('============================================\n');
+
+  const specFile = path.join(testDir, 'validation-foreign-keys.yml');
+  await fs.writeFile(specFile, `
+openapi: 3.0.0
+info: { title: Blog, version: 1.0.0 }
+paths:
+  /users:
+    get:
+      responses: { '200': { description: ok } }
+    post:
+      requestBody:
+        content:
+          application/json:
+            schema:
+              type: object
+              required: [email]
+              properties:
+                email: { type: string, format: email }
+      responses: { '201': { description: created }, '400': { description: invalid }, '409': { description: taken } }
+  /users/{userId}:
+    parameters:
+      - { name: userId, in: path, required: true, schema: { type: string } }
+    delete:
+      responses: { '204': { description: deleted }, '404': { description: not found } }
+  /posts:
+    post:
+      requestBody:
+        content:
+          application/json:
+            schema:
+              type: object
+              required: [title, authorId]
+              properties:
+                title: { type: string }
+                authorId: { type: string, format: uuid }
+      responses: { '201': { description: created }, '400': { description: invalid } }
+  /posts/{postId}:
+    parameters:
+      - { name: postId, in: path, required: true, schema: { type: string } }
+    delete:
+      responses: { '204': { description: deleted }, '404': { description: not found } }
+`);
+
+  const users = new Map();
+  const posts = new Map();
+  const server = await startTestServer((req, res, body) => {
+    const data = body ? JSON.parse(body) : {};
+    const [, , collection, id] = req.url.split('?')[0].split('/');
+    const records = collection === 'users' ? users : posts;
+    if (req.method === 'DELETE') return records.delete(id) ? sendJson(res, 204) : sendJson(res, 404, { error: 'not found' });
+    if (req.method === 'GET') return sendJson(res, 200, [...records.values()]);
+    if (collection === 'users') {
+      if (typeof data.email !== 'string' || !data.email.includes('@')) return sendJson(res, 400, { error: 'invalid email' });
+      if ([...users.values()].some(user => user.email === data.email)) return sendJson(res, 409, { error: 'email taken' });
+    } else if (typeof data.title !== 'string' || !users.has(data.authorId)) {
+      return sendJson(res, 400, { error: 'Invalid author' });
+    }
+    const record = { id: randomUUID(), ...data };
+    records.set(record.id, record);
+    sendJson(res, 201, record);
+  });
+
+  try {
+    const config = await new OpenAPIParser().parseFromFile(specFile);
+    config.apiBaseUrl = `${server.url}/api`;
+    check(config.endpoints.posts.operations.POST.sampleData.authorId === '{{DYNAMIC_USERS_ID}}' && config.endpoints.users.operations.POST.sampleData.email === '{{randomEmail}}', 'Sample data should mark foreign keys and unique fields.');
+
+    const toolManager = new ToolManager();
+    toolManager.initialize(config, createTestHttpClient(config), null);
+    await toolManager.generateTools(config);
+    const validate = async endpoints => (await toolManager.handleToolCall('validate_api', { endpoints }, new Map(), new Map())).content[0].text;
+
+    const missing = await validate(['posts']);
+    check(missing.includes('⏭️ POST /posts: skipped, no users id available') && !missing.includes('❌'), 'A foreign key without a resource to point at should skip the checks that need it.');
+
+    const both = await validate(['users', 'posts']);
+    check(both.includes('✅ POST /users: 201') && both.includes('✅ POST /posts: 201'), 'Foreign keys should be filled with the id of a resource created by the run.');
+    check(both.includes("✅ POST /posts without required 'title': 400") && !both.includes('409'), 'Negative cases should keep a valid foreign key, and unique values should be fresh for each request.');
+    check(users.size === 0 && posts.size === 0, 'validate_api should delete what it created.');
+
+    const existing = { id: randomUUID(), email: 'ada@example.com' };
+    users.set(existing.id, existing);
+    const listed = await validate(['posts']);
+    check(listed.includes('✅ POST /posts: 201') && listed.includes('✅ DELETE /posts/{postId}: 204'), 'Foreign keys should fall back to a listed resource.');
+  } finally {
+    await server.close();
+    await fs.unlink(specFile);
+  }
+}
+
 // #endregion
 
 /**
@@ -316,6 +2466,32 @@ async function main() {
       await testErrorHandling();
       await testUtilitiesAndEdgeCases();
       await testToolSchemaGeneration();
+      await testHttpRetries();
+      await testHttpErrorDetails();
+      await testAuthStrategies();
+      await testOperationSecurity();
+      await testOperationParameters();
+      await testNestedResources();
+      await testSwagger2Support();
+      await testExternalReferences();
+      await testSchemaComposition();
+      await testResponseValidation();
+      await testApiValidation();
+      await testReports();
+      await testStepAssertions();
+      await testExtract();
+      await testTemplates();
+      await testWorkflowFiles();
+      await testWorkflowControlFlow();
+      await testParallelWorkflows();
+      await testWorkflowCleanup();
+      await testDatasetRuns();
+      await testHttpRequestTool();
+      await testContextTools();
+      await testSessionPersistence();
+      await testSessionIsolation();
+      await testHttpTransport();
+      await testApiValidationForeignKeys();
       console.log('\n🎉🎉 All internal test suites passed successfully! 🎉🎉\n');
     } catch (error) {
       console.error(`\n❌ TEST SUITE FAILED: ${error.message}`);